@@ -8,7 +8,7 @@
  * 1. NWS Alerts - Active weather alerts for OKC, Tulsa, Stillwater
  * 2. SPC Storm Reports - Today's tornado, wind, and hail reports
  * 3. FEMA Open Shelters - Currently open emergency shelters in Oklahoma
- * 4. Historical Tornado Data - Recent tornado events from NCEI
+ * 4. Historical Tornado Data - Oklahoma tornado climatology from downloaded NCEI Storm Events files
  * 
  * PREDICTIVE WEATHER APIs (NEW):
  * 5. SPC Convective Outlook - Tornado probability forecasts (Day 1-3)
@@ -34,6 +34,21 @@
 
 import fs from 'fs';
 import path from 'path';
+import { esriRingsToGeoJSON, isPointInPolygon, polygonsIntersect } from '../services/geoUtils.js';
+import {
+  summarizeOutlookRisk,
+  OpenMeteoService,
+  GridForecastService,
+  SimpleCache,
+  openMeteoEnvironment,
+  gridForecastInputs
+} from '../services/weatherDataService.js';
+import { parseMCD, isPointInMCD, isMCDActive } from '../services/mcdParser.js';
+import { parseStormReportsCSV, getConvectiveDay } from '../services/stormReportParser.js';
+import { TornadoClimatology } from '../services/stormEvents.js';
+import { importStormEventsDirectory } from '../services/stormEventsImporter.js';
+import { evaluateThreat, normalizeLevel, THREAT_RULES } from '../services/threatEngine.js';
+import { thresholdIn } from '../services/units.js';
 
 // =============
 // CONFIGURATION
@@ -48,6 +63,10 @@ const CONFIG = {
   SPC_REPORTS_URL: 'https://www.spc.noaa.gov/climo/reports',
   FEMA_SHELTERS_URL: 'https://gis.fema.gov/arcgis/rest/services/NSS/OpenShelters/MapServer/0/query',
   NCEI_STORM_EVENTS_URL: 'https://www.ncei.noaa.gov/cgi-bin/swdi/stormevents/csv',
+
+  // Downloaded NCEI StormEvents_details-*.csv(.gz) files for the climatology
+  STORM_EVENTS_DIR: './storm_events',
+  HISTORICAL_TRACK_RADIUS_MILES: 10,
   
   // API endpoints - Predictive Weather (NEW)
   SPC_OUTLOOK_URL: 'https://mapservices.weather.noaa.gov/vector/rest/services/outlooks/SPC_wx_outlks/MapServer',
@@ -293,15 +312,17 @@ async function pullSPCReports() {
         throw new Error(`HTTP ${response.status}`);
       }
 
+      // today_*.csv covers the convective day in progress (12Z-12Z)
+      const convectiveDay = getConvectiveDay();
       const csvText = await response.text();
-      const reports = parseCSV(csvText, report.type);
+      const reports = parseStormReportsCSV(csvText, { reportType: report.type, convectiveDay });
       
       results[report.type] = reports;
 
       saveJSON(`spc_${report.type}_reports_today.json`, {
         pulledAt: new Date().toISOString(),
         reportType: report.type,
-        date: new Date().toISOString().split('T')[0],
+        date: convectiveDay,
         count: reports.length,
         reports: reports
       });
@@ -319,34 +340,6 @@ async function pullSPCReports() {
   return results;
 }
 
-function parseCSV(csvText, reportType) {
-  const lines = csvText.trim().split('\n');
-  const dataLines = lines[0].toLowerCase().includes('time') ? lines.slice(1) : lines;
-
-  return dataLines.map(line => {
-    const parts = line.split(',');
-    const report = {
-      time: parts[0]?.trim(),
-      location: parts[2]?.trim(),
-      county: parts[3]?.trim(),
-      state: parts[4]?.trim(),
-      lat: parseFloat(parts[5]) || null,
-      lon: parseFloat(parts[6]) || null,
-      comments: parts[7]?.trim() || ''
-    };
-
-    if (reportType === 'tornado') {
-      report.fScale = parts[1]?.trim();
-    } else if (reportType === 'wind') {
-      report.speed = parts[1]?.trim();
-    } else if (reportType === 'hail') {
-      report.size = parts[1]?.trim();
-    }
-
-    return report;
-  }).filter(r => r.lat && r.lon);
-}
-
 // ======================
 // FEMA SHELTERS PULL
 // ======================
@@ -416,17 +409,15 @@ async function pullFEMAShelters() {
 async function pullHistoricalData() {
   logSection('4. Historical Tornado Data (Oklahoma)');
   
-  log('Creating historical tornado data summary...');
+  log(`Importing NCEI Storm Events files from ${CONFIG.STORM_EVENTS_DIR}/...`);
   
   const historicalSummary = {
     pulledAt: new Date().toISOString(),
     dataSource: 'NCEI Storm Events Database',
     state: 'Oklahoma',
-    oklahomaTornadoStats: {
-      description: 'Oklahoma averages 52 tornadoes per year',
-      peakMonths: ['April', 'May', 'June'],
-      tornadoAlley: true
-    },
+    files: [],
+    years: [],
+    tornadoCount: 0,
     downloadLinks: {
       stormEventsCSV: 'https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/',
       spcSVRGIS: 'https://www.spc.noaa.gov/gis/svrgis/',
@@ -434,8 +425,61 @@ async function pullHistoricalData() {
     }
   };
 
+  try {
+    const { store, files } = await importStormEventsDirectory(CONFIG.STORM_EVENTS_DIR, { states: ['OKLAHOMA'] });
+    if (files.length === 0) {
+      throw new Error('No StormEvents_details files found');
+    }
+
+    const climatology = new TornadoClimatology(store);
+    const monthly = climatology.countsByMonth();
+    const years = store.years();
+
+    historicalSummary.files = files.map(file => path.basename(file.path));
+    historicalSummary.years = years;
+    historicalSummary.tornadoCount = monthly.total;
+    historicalSummary.averagePerYear = Math.round(monthly.total / years.length * 10) / 10;
+    historicalSummary.peakMonths = [...monthly.byMonth]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+      .map(month => month.name);
+    historicalSummary.byMonth = monthly.byMonth;
+    historicalSummary.efScaleDistribution = climatology.efScaleDistribution();
+    historicalSummary.counties = climatology.countsByCountyMonth();
+
+    historicalSummary.nearbyTracks = LOCATIONS.map(location => {
+      const tracks = climatology.tracksNear(location.lat, location.lon, CONFIG.HISTORICAL_TRACK_RADIUS_MILES);
+      return {
+        location: location.name,
+        radiusMiles: CONFIG.HISTORICAL_TRACK_RADIUS_MILES,
+        count: tracks.length,
+        significant: tracks.filter(track => track.rating >= 2).length,
+        closest: tracks.slice(0, 5).map(track => ({
+          eventId: track.eventId,
+          date: track.beginTime.toISOString(),
+          efScale: track.efScale,
+          county: track.county,
+          lengthMiles: track.lengthMiles,
+          distanceMiles: track.distanceMiles,
+          deaths: track.deaths,
+          injuries: track.injuries
+        }))
+      };
+    });
+
+    logSuccess(`${monthly.total} tornado(es) from ${files.length} file(s), ${years[0]}-${years[years.length - 1]}`);
+    logInfo(`Peak months: ${historicalSummary.peakMonths.join(', ')}`);
+    for (const nearby of historicalSummary.nearbyTracks) {
+      logInfo(`${nearby.location}: ${nearby.count} track(s) within ${nearby.radiusMiles} mi (${nearby.significant} EF2+)`);
+    }
+
+  } catch (error) {
+    logError(`Storm Events import: ${error.message}`);
+    logInfo(`Download StormEvents_details-*.csv.gz from ${historicalSummary.downloadLinks.stormEventsCSV} into ${CONFIG.STORM_EVENTS_DIR}/`);
+    historicalSummary.error = error.message;
+  }
+
   saveJSON('historical_tornado_data_oklahoma.json', historicalSummary);
-  logSuccess('Created historical tornado data summary');
 
   return historicalSummary;
 }
@@ -460,9 +504,9 @@ async function pullSPCConvectiveOutlook() {
   // Layer IDs for SPC Outlooks
   const outlookLayers = [
     { id: 1, name: 'day1_categorical', description: 'Day 1 Categorical Outlook (Risk Levels)' },
-    { id: 7, name: 'day1_tornado', description: 'Day 1 Tornado Probability' },
-    { id: 8, name: 'day1_tornado_significant', description: 'Day 1 Significant Tornado (EF2+)' },
-    { id: 10, name: 'day2_tornado', description: 'Day 2 Tornado Probability' },
+    { id: 3, name: 'day1_tornado', description: 'Day 1 Tornado Probability' },
+    { id: 2, name: 'day1_tornado_significant', description: 'Day 1 Significant Tornado (EF2+)' },
+    { id: 11, name: 'day2_tornado', description: 'Day 2 Tornado Probability' },
     { id: 17, name: 'day3_categorical', description: 'Day 3 Categorical Outlook' }
   ];
 
@@ -470,7 +514,7 @@ async function pullSPCConvectiveOutlook() {
     log(`  Fetching ${layer.description}...`);
     
     try {
-      const url = `${CONFIG.SPC_OUTLOOK_URL}/${layer.id}/query?where=1%3D1&outFields=*&f=json`;
+      const url = `${CONFIG.SPC_OUTLOOK_URL}/${layer.id}/query?where=1%3D1&outFields=*&outSR=4326&f=json`;
       const response = await fetchWithTimeout(url, {
         headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
       });
@@ -482,14 +526,16 @@ async function pullSPCConvectiveOutlook() {
       const data = await response.json();
       const features = data.features || [];
 
-      // Process features
+      // Process features (attribute names are lowercase in this service)
+      // Layers with no risk return a placeholder feature with no label
       const processedFeatures = features.map(f => ({
-        label: f.attributes.LABEL || f.attributes.LABEL2 || 'Unknown',
-        probability: f.attributes.LABEL2 || null,
-        valid: f.attributes.VALID,
-        expire: f.attributes.EXPIRE,
-        issue: f.attributes.ISSUE,
-        hasGeometry: !!f.geometry
+        label: f.attributes.label || f.attributes.LABEL || null,
+        probability: f.attributes.label2 || f.attributes.LABEL2 || null,
+        valid: f.attributes.valid || f.attributes.VALID,
+        expire: f.attributes.expire || f.attributes.EXPIRE,
+        issue: f.attributes.issue || f.attributes.ISSUE,
+        hasGeometry: !!f.geometry,
+        geometry: esriRingsToGeoJSON(f.geometry?.rings)
       }));
 
       results.outlooks[layer.name] = {
@@ -510,13 +556,20 @@ async function pullSPCConvectiveOutlook() {
     await new Promise(r => setTimeout(r, 300));
   }
 
+  // Oklahoma county boundaries, to test which outlook areas touch the state
+  const counties = await pullOklahomaCounties();
+
   // Check if Oklahoma is in any risk area
-  results.oklahomaRisk = checkOklahomaRisk(results.outlooks);
+  results.oklahomaRisk = checkOklahomaRisk(results.outlooks, counties);
 
   saveJSON('spc_convective_outlook.json', results);
   
   if (results.oklahomaRisk.inRiskArea) {
     logInfo(`Oklahoma Risk Level: ${results.oklahomaRisk.highestRisk}`);
+    if (results.oklahomaRisk.maxTornadoProbability > 0) {
+      logInfo(`Oklahoma Tornado Probability: ${Math.round(results.oklahomaRisk.maxTornadoProbability * 100)}%` +
+        (results.oklahomaRisk.significantTornado ? ' (significant tornado area)' : ''));
+    }
   } else {
     logInfo('Oklahoma: No severe weather outlook currently');
   }
@@ -524,33 +577,104 @@ async function pullSPCConvectiveOutlook() {
   return results;
 }
 
-function checkOklahomaRisk(outlooks) {
-  // Check if any outlook features might cover Oklahoma
+async function pullOklahomaCounties() {
+  log('  Fetching Oklahoma county boundaries...');
+
+  try {
+    const url = `${CONFIG.NWS_BASE_URL}/zones?area=OK&type=county&include_geometry=true`;
+    const response = await fetchWithTimeout(url, {
+      headers: {
+        'User-Agent': CONFIG.APP_USER_AGENT,
+        'Accept': 'application/geo+json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const counties = (data.features || [])
+      .filter(f => f.geometry)
+      .map(f => ({ id: f.properties.id, name: f.properties.name, geometry: f.geometry }));
+
+    logSuccess(`  Oklahoma counties: ${counties.length}`);
+    return counties;
+
+  } catch (error) {
+    logError(`  Oklahoma counties: Failed - ${error.message} (using approximate state bounds)`);
+    return null;
+  }
+}
+
+function checkOklahomaRisk(outlooks, counties) {
   // Oklahoma bounds approximately: lat 33.6-37.0, lon -103.0 to -94.4
+  // Only used when county boundaries could not be fetched
   const okBounds = { minLat: 33.6, maxLat: 37.0, minLon: -103.0, maxLon: -94.4 };
-  
-  let inRiskArea = false;
-  let highestRisk = 'NONE';
-  
+  const boundsPolygon = {
+    type: 'Polygon',
+    coordinates: [[
+      [okBounds.minLon, okBounds.minLat],
+      [okBounds.maxLon, okBounds.minLat],
+      [okBounds.maxLon, okBounds.maxLat],
+      [okBounds.minLon, okBounds.maxLat],
+      [okBounds.minLon, okBounds.minLat]
+    ]]
+  };
+
+  // Day 1 outlook in the shape summarizeOutlookRisk expects
+  const toAreas = outlook => (outlook?.features || []).filter(f => f.label && f.geometry);
+  const day1 = {
+    day: 1,
+    categorical: toAreas(outlooks.day1_categorical),
+    tornado: toAreas(outlooks.day1_tornado),
+    significantTornado: toAreas(outlooks.day1_tornado_significant)
+  };
+
+  const areas = counties?.length
+    ? counties
+    : [{ id: 'OK', name: 'Oklahoma (approximate bounds)', geometry: boundsPolygon }];
+
   const riskLevels = ['TSTM', 'MRGL', 'SLGT', 'ENH', 'MDT', 'HIGH'];
-  
-  if (outlooks.day1_categorical?.features) {
-    for (const feature of outlooks.day1_categorical.features) {
-      if (feature.label && riskLevels.includes(feature.label)) {
-        inRiskArea = true;
-        const riskIndex = riskLevels.indexOf(feature.label);
-        const currentIndex = riskLevels.indexOf(highestRisk);
-        if (riskIndex > currentIndex || highestRisk === 'NONE') {
-          highestRisk = feature.label;
-        }
-      }
-    }
+
+  const countyRisks = areas.map(county => {
+    const risk = summarizeOutlookRisk(day1, geometry => polygonsIntersect(geometry, county.geometry));
+    return {
+      county: county.name,
+      risk: risk.categorical,
+      tornadoProbability: risk.tornadoProbability,
+      significantTornado: risk.significantTornado
+    };
+  });
+
+  const countiesAtRisk = countyRisks
+    .filter(c => c.risk !== 'NONE')
+    .sort((a, b) => riskLevels.indexOf(b.risk) - riskLevels.indexOf(a.risk));
+
+  // Exact risk at each city we pull data for
+  const locations = {};
+  for (const location of LOCATIONS) {
+    const risk = summarizeOutlookRisk(day1, geometry => isPointInPolygon(location.lat, location.lon, geometry));
+    locations[location.abbrev] = {
+      name: location.name,
+      risk: risk.categorical,
+      riskDescription: getRiskDescription(risk.categorical),
+      tornadoProbability: risk.tornadoProbability,
+      significantTornado: risk.significantTornado
+    };
   }
 
+  const highestRisk = countiesAtRisk[0]?.risk || 'NONE';
+
   return {
-    inRiskArea,
+    inRiskArea: highestRisk !== 'NONE',
     highestRisk,
-    riskDescription: getRiskDescription(highestRisk)
+    riskDescription: getRiskDescription(highestRisk),
+    maxTornadoProbability: Math.max(0, ...countyRisks.map(c => c.tornadoProbability)),
+    significantTornado: countyRisks.some(c => c.significantTornado),
+    countiesAtRisk,
+    locations,
+    usedCountyBoundaries: !!counties?.length
   };
 }
 
@@ -603,40 +727,36 @@ async function pullSPCMesoscaleDiscussions() {
     
     // Parse MCD numbers from the HTML
     const mcdMatches = html.match(/md\d{4}/g) || [];
-    const uniqueMCDs = [...new Set(mcdMatches)].slice(0, 10); // Get latest 10
+    const uniqueMCDs = [...new Set(mcdMatches)];
 
     logSuccess(`Found ${uniqueMCDs.length} recent Mesoscale Discussion(s)`);
 
-    // Fetch details for each MCD
-    for (const mcdId of uniqueMCDs.slice(0, 5)) {
-      try {
-        const mcdNumber = mcdId.replace('md', '');
-        const mcdUrl = `${CONFIG.SPC_MCD_URL}/${mcdId}.html`;
-        
-        const mcdResponse = await fetchWithTimeout(mcdUrl, {
-          headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
-        });
-
-        if (mcdResponse.ok) {
-          const mcdHtml = await mcdResponse.text();
-          
-          // Extract key information from MCD
-          const mcdData = parseMCDContent(mcdHtml, mcdNumber);
-          results.discussions.push(mcdData);
-          
-          log(`  MCD ${mcdNumber}: ${mcdData.concerning || 'Severe weather analysis'}`);
-        }
-      } catch (err) {
-        // Skip individual MCD errors
+    // Fetch details for every listed MCD in parallel
+    const fetched = await Promise.allSettled(uniqueMCDs.map(async (mcdId) => {
+      const mcdNumber = mcdId.replace('md', '');
+      const mcdResponse = await fetchWithTimeout(`${CONFIG.SPC_MCD_URL}/${mcdId}.html`, {
+        headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+      });
+
+      if (!mcdResponse.ok) {
+        throw new Error(`HTTP ${mcdResponse.status}`);
       }
-      
-      await new Promise(r => setTimeout(r, 200));
+
+      // Extract key information from MCD
+      return parseMCDContent(await mcdResponse.text(), mcdNumber);
+    }));
+
+    // Skip individual MCD errors and discussions that have expired
+    for (const result of fetched) {
+      if (result.status !== 'fulfilled' || !result.value.isActive) continue;
+      results.discussions.push(result.value);
+      log(`  MCD ${result.value.number}: ${result.value.concerning || 'Severe weather analysis'}`);
     }
 
     // Check for Oklahoma-related MCDs
     results.oklahomaAffected = results.discussions.some(mcd => 
       mcd.states?.includes('OK') || 
-      mcd.rawText?.toLowerCase().includes('oklahoma')
+      mcd.locationsInside?.length > 0
     );
 
   } catch (error) {
@@ -664,42 +784,28 @@ async function pullSPCMesoscaleDiscussions() {
 }
 
 function parseMCDContent(html, mcdNumber) {
-  const mcd = {
-    number: mcdNumber,
-    pulledAt: new Date().toISOString()
-  };
-
-  // Try to extract concerning/summary line
-  const concerningMatch = html.match(/CONCERNING[.]{3}([^<]+)/i);
-  if (concerningMatch) {
-    mcd.concerning = concerningMatch[1].trim();
-  }
-
-  // Try to extract states
-  const statesMatch = html.match(/AREAS AFFECTED[.]{3}([^<]+)/i);
-  if (statesMatch) {
-    mcd.affectedAreas = statesMatch[1].trim();
-    // Extract state abbreviations
-    const stateAbbrevs = statesMatch[1].match(/\b[A-Z]{2}\b/g) || [];
-    mcd.states = stateAbbrevs;
-  }
-
-  // Check for watch probability
-  const watchProbMatch = html.match(/(\d+)\s*%?\s*(probability|chance).*watch/i);
-  if (watchProbMatch) {
-    mcd.watchProbability = parseInt(watchProbMatch[1]);
-  }
+  const parsed = parseMCD(html);
 
-  // Check for tornado mentions
-  mcd.mentionsTornado = /tornado/i.test(html);
-  
-  // Store raw text excerpt
-  const textMatch = html.match(/<pre[^>]*>([^<]+)<\/pre>/i);
-  if (textMatch) {
-    mcd.rawText = textMatch[1].substring(0, 1000);
-  }
-
-  return mcd;
+  return {
+    number: parsed.number || mcdNumber,
+    pulledAt: new Date().toISOString(),
+    issued: parsed.issued?.toISOString() || null,
+    validFrom: parsed.validFrom?.toISOString() || null,
+    validUntil: parsed.validUntil?.toISOString() || null,
+    isActive: isMCDActive(parsed),
+    concerning: parsed.concerning,
+    affectedAreas: parsed.areasAffected,
+    states: parsed.states,
+    watchProbability: parsed.watchProbability,
+    summary: parsed.summary,
+    mentionsTornado: parsed.mentionsTornado,
+    polygon: parsed.polygon,
+    // Which of our cities are inside the MCD area
+    locationsInside: LOCATIONS
+      .filter(location => isPointInMCD(parsed, location.lat, location.lon))
+      .map(location => location.abbrev),
+    rawText: parsed.rawText.substring(0, 1000)
+  };
 }
 
 // ================================================
@@ -719,70 +825,44 @@ async function pullNWSForecastGridData() {
     locations: {}
   };
 
+  // Next 24 hours, one entry per hour (grid values can cover several hours)
+  const gridService = new GridForecastService(new SimpleCache());
+
   for (const location of LOCATIONS) {
     log(`  Fetching grid data for ${location.name}...`);
     
     try {
-      // Step 1: Get grid point info
-      const pointUrl = `${CONFIG.NWS_BASE_URL}/points/${location.lat},${location.lon}`;
-      const pointResponse = await fetchWithTimeout(pointUrl, {
-        headers: {
-          'User-Agent': CONFIG.APP_USER_AGENT,
-          'Accept': 'application/geo+json'
-        }
-      });
-
-      if (!pointResponse.ok) {
-        throw new Error(`HTTP ${pointResponse.status}`);
-      }
-
-      const pointData = await pointResponse.json();
-      const gridId = pointData.properties.gridId;
-      const gridX = pointData.properties.gridX;
-      const gridY = pointData.properties.gridY;
-      const forecastUrl = pointData.properties.forecastGridData;
-
-      // Step 2: Get grid forecast data
-      const gridResponse = await fetchWithTimeout(forecastUrl, {
-        headers: {
-          'User-Agent': CONFIG.APP_USER_AGENT,
-          'Accept': 'application/geo+json'
-        }
-      });
-
-      if (!gridResponse.ok) {
-        throw new Error(`HTTP ${gridResponse.status}`);
-      }
-
-      const gridData = await gridResponse.json();
-      const props = gridData.properties;
+      const hourly = await gridService.getHourlyForecast(location.lat, location.lon, { hours: 24 });
+      const props = hourly.properties;
+      const gridId = hourly.office;
+      const { gridX, gridY } = hourly;
 
       // Extract key parameters for severe weather
       const forecast = {
         location: location.name,
         coordinates: { lat: location.lat, lon: location.lon },
         gridInfo: { office: gridId, gridX, gridY },
-        updateTime: props.updateTime,
+        updateTime: hourly.updateTime,
         
         // Temperature data
-        temperature: extractForecastValues(props.temperature, 5),
-        apparentTemperature: extractForecastValues(props.apparentTemperature, 5),
+        temperature: props.temperature,
+        apparentTemperature: props.apparentTemperature,
         
         // Moisture indicators
-        dewpoint: extractForecastValues(props.dewpoint, 5),
-        relativeHumidity: extractForecastValues(props.relativeHumidity, 5),
+        dewpoint: props.dewpoint,
+        relativeHumidity: props.relativeHumidity,
         
         // Wind data (important for severe weather)
-        windSpeed: extractForecastValues(props.windSpeed, 5),
-        windGust: extractForecastValues(props.windGust, 5),
-        windDirection: extractForecastValues(props.windDirection, 5),
+        windSpeed: props.windSpeed,
+        windGust: props.windGust,
+        windDirection: props.windDirection,
         
         // Precipitation indicators
-        probabilityOfPrecipitation: extractForecastValues(props.probabilityOfPrecipitation, 5),
-        probabilityOfThunder: extractForecastValues(props.probabilityOfThunder, 5),
+        probabilityOfPrecipitation: props.probabilityOfPrecipitation,
+        probabilityOfThunder: props.probabilityOfThunder,
         
         // Atmospheric
-        pressure: extractForecastValues(props.pressure, 5),
+        pressure: props.pressure,
         
         // Hazards
         hazards: props.hazards?.values || []
@@ -815,13 +895,30 @@ async function pullNWSForecastGridData() {
   return results;
 }
 
-function extractForecastValues(property, count = 5) {
-  if (!property?.values) return [];
-  
-  return property.values.slice(0, count).map(v => ({
-    validTime: v.validTime,
-    value: v.value
-  }));
+// Grid forecast indicator tiers, highest first (values are converted
+// from each series' unit before comparing)
+const SEVERE_INDICATOR_THRESHOLDS = {
+  moisture: [
+    { level: 'OPTIMAL', value: 65, unit: 'degF' },
+    { level: 'FAVORABLE', value: 55, unit: 'degF' },
+    { level: 'MARGINAL', value: 45, unit: 'degF' }
+  ],
+  thunder: [
+    { level: 'HIGH', value: 60, unit: 'percent' },
+    { level: 'MODERATE', value: 40, unit: 'percent' },
+    { level: 'LOW', value: 20, unit: 'percent' }
+  ],
+  wind: [
+    { level: 'SEVERE', value: 50, unit: 'mph' },
+    { level: 'MODERATE', value: 30, unit: 'mph' },
+    { level: 'LOW', value: 20, unit: 'mph' }
+  ]
+};
+
+// First tier a value in `unit` reaches, or null
+function thresholdTier(value, unit, tiers) {
+  if (value === null || !unit) return null;
+  return tiers.find(tier => value >= thresholdIn(tier, unit))?.level || null;
 }
 
 function calculateSevereIndicators(forecast) {
@@ -829,48 +926,34 @@ function calculateSevereIndicators(forecast) {
     moistureLevel: 'LOW',
     thunderPotential: 'LOW',
     windThreat: 'LOW',
-    overallTornadoPotential: 'LOW'
+    overallTornadoPotential: 'NONE'
   };
 
+  const seriesValues = series => series?.values.map(entry => entry.value).filter(v => typeof v === 'number') || [];
+
   // Check dewpoint (moisture)
-  const dewpoints = forecast.dewpoint?.map(d => d.value) || [];
-  const avgDewpoint = dewpoints.length > 0 ? dewpoints.reduce((a, b) => a + b, 0) / dewpoints.length : 0;
-  
-  if (avgDewpoint >= 18) indicators.moistureLevel = 'OPTIMAL'; // ~65°F
-  else if (avgDewpoint >= 13) indicators.moistureLevel = 'FAVORABLE'; // ~55°F
-  else if (avgDewpoint >= 7) indicators.moistureLevel = 'MARGINAL'; // ~45°F
+  const dewpoints = seriesValues(forecast.dewpoint);
+  const avgDewpoint = dewpoints.length > 0 ? dewpoints.reduce((a, b) => a + b, 0) / dewpoints.length : null;
+  indicators.moistureLevel = thresholdTier(avgDewpoint, forecast.dewpoint?.unit, SEVERE_INDICATOR_THRESHOLDS.moisture) ||
+    indicators.moistureLevel;
 
   // Check thunder probability
-  const thunderProbs = forecast.probabilityOfThunder?.map(t => t.value) || [];
-  const maxThunder = Math.max(...thunderProbs, 0);
-  
-  if (maxThunder >= 60) indicators.thunderPotential = 'HIGH';
-  else if (maxThunder >= 40) indicators.thunderPotential = 'MODERATE';
-  else if (maxThunder >= 20) indicators.thunderPotential = 'LOW';
+  const thunderProbs = seriesValues(forecast.probabilityOfThunder);
+  const maxThunder = thunderProbs.length > 0 ? Math.max(...thunderProbs) : null;
+  indicators.thunderPotential = thresholdTier(maxThunder, forecast.probabilityOfThunder?.unit, SEVERE_INDICATOR_THRESHOLDS.thunder) ||
+    indicators.thunderPotential;
 
   // Check wind gusts
-  const gusts = forecast.windGust?.map(g => g.value) || [];
-  const maxGust = Math.max(...gusts, 0);
-  
-  if (maxGust >= 22) indicators.windThreat = 'SEVERE'; // ~50 mph
-  else if (maxGust >= 13) indicators.windThreat = 'MODERATE'; // ~30 mph
-  else if (maxGust >= 9) indicators.windThreat = 'LOW'; // ~20 mph
+  const gusts = seriesValues(forecast.windGust);
+  const maxGust = gusts.length > 0 ? Math.max(...gusts) : null;
+  indicators.windThreat = thresholdTier(maxGust, forecast.windGust?.unit, SEVERE_INDICATOR_THRESHOLDS.wind) ||
+    indicators.windThreat;
 
   // Overall tornado potential
-  let score = 0;
-  if (indicators.moistureLevel === 'OPTIMAL') score += 3;
-  else if (indicators.moistureLevel === 'FAVORABLE') score += 2;
-  
-  if (indicators.thunderPotential === 'HIGH') score += 3;
-  else if (indicators.thunderPotential === 'MODERATE') score += 2;
-  
-  if (indicators.windThreat === 'SEVERE') score += 2;
-  else if (indicators.windThreat === 'MODERATE') score += 1;
-
-  if (score >= 7) indicators.overallTornadoPotential = 'HIGH';
-  else if (score >= 5) indicators.overallTornadoPotential = 'MODERATE';
-  else if (score >= 3) indicators.overallTornadoPotential = 'LOW';
-  else indicators.overallTornadoPotential = 'MINIMAL';
+  const threat = evaluateThreat({ forecast: gridForecastInputs(forecast) });
+  indicators.overallTornadoPotential = threat.level;
+  indicators.score = threat.score;
+  indicators.factors = threat.factors.map(f => f.description);
 
   return indicators;
 }
@@ -884,7 +967,7 @@ async function pullOpenMeteoTornadoMetrics() {
   
   log('Fetching tornado prediction parameters from Open-Meteo...');
   logInfo('FREE API - No key required');
-  logInfo('Parameters: CAPE, Lifted Index, CIN, Dewpoint, Wind Speed/Gusts');
+  logInfo('Parameters: CAPE, Lifted Index, CIN, Dewpoint, Wind Speed/Gusts, 850/700/500 hPa Winds');
   
   const results = {
     pulledAt: new Date().toISOString(),
@@ -928,136 +1011,79 @@ async function pullOpenMeteoTornadoMetrics() {
       },
       dewpoint: {
         name: 'Dewpoint Temperature',
-        unit: '°C',
+        unit: '°F (see each location\'s units.temperature)',
         thresholds: {
-          dry: '< 10°C',
-          marginal: '10-15°C',
-          favorable: '15-20°C',
-          optimal: '> 20°C (high moisture for severe storms)'
+          dry: '< 50°F',
+          marginal: '50-59°F',
+          favorable: '59-68°F',
+          optimal: '> 68°F (high moisture for severe storms)'
         },
         description: 'Moisture indicator - higher dewpoints fuel stronger storms'
+      },
+      bulk_shear_0_6km_kt: {
+        name: '0-6 km Bulk Wind Shear',
+        unit: 'kt',
+        thresholds: {
+          weak: '< 35 kt',
+          supercell: '35-50 kt (supports supercells)',
+          strong: '> 50 kt'
+        },
+        description: 'Change in wind between the surface and ~6 km - organizes storms into supercells (estimated from 10 m and 500 hPa winds)'
+      },
+      srh_0_1km: {
+        name: '0-1 km Storm-Relative Helicity',
+        unit: 'm²/s²',
+        thresholds: {
+          weak: '< 100 m²/s²',
+          moderate: '100-250 m²/s²',
+          strong: '> 250 m²/s² (favors tornadoes)'
+        },
+        description: 'Low-level spin available to a right-moving supercell (estimated from 10 m and 850 hPa winds)'
+      },
+      stp: {
+        name: 'Significant Tornado Parameter',
+        unit: 'index',
+        thresholds: {
+          low: '< 0.5',
+          marginal: '0.5-1',
+          significant: '1-3 (EF2+ tornadoes possible)',
+          high: '> 3'
+        },
+        description: 'Combines CAPE, LCL height, 0-1 km SRH, 0-6 km shear and CIN'
+      },
+      scp: {
+        name: 'Supercell Composite Parameter',
+        unit: 'index',
+        thresholds: {
+          low: '< 2',
+          supercell: '2-8',
+          high: '> 8 (supercells likely)'
+        },
+        description: 'Combines CAPE, 0-3 km SRH and 0-6 km shear'
       }
     }
   };
 
-  // Open-Meteo parameters for tornado prediction
-  const params = [
-    'cape',
-    'lifted_index', 
-    'convective_inhibition',
-    'temperature_2m',
-    'dewpoint_2m',
-    'relative_humidity_2m',
-    'wind_speed_10m',
-    'wind_gusts_10m',
-    'wind_direction_10m',
-    'pressure_msl',
-    'precipitation',
-    'weather_code'
-  ].join(',');
+  // Same request, "now" alignment and scoring as the app
+  const openMeteo = new OpenMeteoService(new SimpleCache());
 
   for (const location of LOCATIONS) {
     log(`  Fetching metrics for ${location.name}...`);
     
     try {
-      const url = `${CONFIG.OPEN_METEO_URL}?latitude=${location.lat}&longitude=${location.lon}&hourly=${params}&daily=cape_max,cape_min,cape_mean,precipitation_sum,wind_gusts_10m_max&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=America/Chicago&forecast_days=16`;
-      
-      const response = await fetchWithTimeout(url);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Extract current and forecast data
-      const hourlyData = data.hourly;
-      const dailyData = data.daily;
-      const currentHourIndex = new Date().getHours();
-      
-      // Get tornado-relevant metrics
       const metrics = {
         location: location.name,
-        coordinates: { lat: location.lat, lon: location.lon },
-        timezone: data.timezone,
-        elevation: data.elevation,
-        forecastDays: 16,
-        
-        // Current conditions (this hour)
-        current: {
-          time: hourlyData.time[currentHourIndex],
-          cape: hourlyData.cape?.[currentHourIndex] || 0,
-          lifted_index: hourlyData.lifted_index?.[currentHourIndex] || null,
-          convective_inhibition: hourlyData.convective_inhibition?.[currentHourIndex] || 0,
-          temperature_f: hourlyData.temperature_2m?.[currentHourIndex],
-          dewpoint_f: hourlyData.dewpoint_2m?.[currentHourIndex],
-          humidity_percent: hourlyData.relative_humidity_2m?.[currentHourIndex],
-          wind_speed_mph: hourlyData.wind_speed_10m?.[currentHourIndex],
-          wind_gust_mph: hourlyData.wind_gusts_10m?.[currentHourIndex],
-          wind_direction: hourlyData.wind_direction_10m?.[currentHourIndex],
-          pressure_hpa: hourlyData.pressure_msl?.[currentHourIndex],
-          weather_code: hourlyData.weather_code?.[currentHourIndex]
-        },
-        
-        // 16-Day Daily Summary (KEY FOR EXTENDED FORECASTS)
-        dailyForecast: dailyData?.time?.map((date, i) => ({
-          date: date,
-          cape_max: dailyData.cape_max?.[i] || 0,
-          cape_min: dailyData.cape_min?.[i] || 0,
-          cape_mean: dailyData.cape_mean?.[i] || 0,
-          precipitation_sum: dailyData.precipitation_sum?.[i] || 0,
-          wind_gusts_max: dailyData.wind_gusts_10m_max?.[i] || 0,
-          tornadoRisk: assessDailyTornadoRisk(dailyData.cape_max?.[i] || 0)
-        })) || [],
-        
-        // Next 24 hours - hourly data
-        next24Hours: {
-          time: hourlyData.time.slice(currentHourIndex, currentHourIndex + 24),
-          cape: hourlyData.cape?.slice(currentHourIndex, currentHourIndex + 24) || [],
-          lifted_index: hourlyData.lifted_index?.slice(currentHourIndex, currentHourIndex + 24) || [],
-          convective_inhibition: hourlyData.convective_inhibition?.slice(currentHourIndex, currentHourIndex + 24) || [],
-          dewpoint_f: hourlyData.dewpoint_2m?.slice(currentHourIndex, currentHourIndex + 24) || [],
-          wind_gust_mph: hourlyData.wind_gusts_10m?.slice(currentHourIndex, currentHourIndex + 24) || []
-        },
-        
-        // Calculate peak values for next 7 days and full 16 days
-        peakValues: {
-          // Next 24 hours
-          maxCAPE_24hr: Math.max(...(hourlyData.cape?.slice(currentHourIndex, currentHourIndex + 24) || [0])),
-          // Next 7 days
-          maxCAPE_7day: Math.max(...(dailyData?.cape_max?.slice(0, 7) || [0])),
-          // Full 16 days
-          maxCAPE_16day: Math.max(...(dailyData?.cape_max || [0])),
-          minLiftedIndex: Math.min(...(hourlyData.lifted_index?.slice(currentHourIndex, currentHourIndex + 24).filter(v => v !== null) || [0])),
-          maxWindGust_16day: Math.max(...(dailyData?.wind_gusts_10m_max || [0])),
-          maxDewpoint: Math.max(...(hourlyData.dewpoint_2m?.slice(currentHourIndex, currentHourIndex + 24) || [0]))
-        },
-        
-        // Find high-risk days in the 16-day forecast
-        highRiskDays: []
+        ...(await openMeteo.getTornadoMetrics(location.lat, location.lon)),
+        coordinates: { lat: location.lat, lon: location.lon }
       };
 
-      // Identify high-risk days (CAPE >= 1000)
-      metrics.dailyForecast.forEach(day => {
-        if (day.cape_max >= 1000) {
-          metrics.highRiskDays.push({
-            date: day.date,
-            cape_max: day.cape_max,
-            risk: day.tornadoRisk
-          });
-        }
-      });
-
-      // Calculate tornado threat assessment
-      metrics.tornadoThreatAssessment = assessTornadoThreat(metrics);
-
       results.locations[location.abbrev] = metrics;
       
       // Log key metrics
       const cape = metrics.current.cape;
       const li = metrics.current.lifted_index;
       const highRiskCount = metrics.highRiskDays.length;
-      logSuccess(`  ${location.name}: CAPE=${cape} J/kg, LI=${li !== null ? li + '°C' : 'N/A'}, High-risk days: ${highRiskCount}`);
+      logSuccess(`  ${location.name}: CAPE=${cape !== null ? cape + ' J/kg' : 'N/A'}, LI=${li !== null ? li + '°C' : 'N/A'}, High-risk days: ${highRiskCount}`);
 
     } catch (error) {
       logError(`  ${location.name}: Failed - ${error.message}`);
@@ -1078,7 +1104,7 @@ async function pullOpenMeteoTornadoMetrics() {
     if (!data.error) {
       const threat = data.tornadoThreatAssessment?.level || 'UNKNOWN';
       const color = threat === 'HIGH' || threat === 'EXTREME' ? COLORS.red : 
-                    threat === 'MODERATE' ? COLORS.yellow : COLORS.green;
+                    threat === 'ELEVATED' || threat === 'MODERATE' ? COLORS.yellow : COLORS.green;
       log(`  ${data.location}: ${color}${threat}${COLORS.reset}`);
       log(`    Current CAPE: ${data.current?.cape || 0} J/kg`);
       log(`    Max CAPE (7-day): ${data.peakValues?.maxCAPE_7day || 0} J/kg`);
@@ -1090,110 +1116,6 @@ async function pullOpenMeteoTornadoMetrics() {
   return results;
 }
 
-function assessDailyTornadoRisk(capeMax) {
-  if (capeMax >= 4000) return 'EXTREME';
-  if (capeMax >= 2500) return 'HIGH';
-  if (capeMax >= 1000) return 'MODERATE';
-  if (capeMax >= 300) return 'LOW';
-  return 'MINIMAL';
-}
-
-function assessTornadoThreat(metrics) {
-  const assessment = {
-    level: 'LOW',
-    score: 0,
-    factors: []
-  };
-
-  const peak = metrics.peakValues;
-  const current = metrics.current;
-
-  // CAPE Assessment - use 7-day max for primary assessment
-  const maxCAPE = peak.maxCAPE_7day || peak.maxCAPE_24hr || 0;
-  if (maxCAPE >= 4000) {
-    assessment.score += 40;
-    assessment.factors.push(`EXTREME CAPE: ${maxCAPE} J/kg (7-day max)`);
-  } else if (maxCAPE >= 2500) {
-    assessment.score += 30;
-    assessment.factors.push(`HIGH CAPE: ${maxCAPE} J/kg (7-day max)`);
-  } else if (maxCAPE >= 1000) {
-    assessment.score += 20;
-    assessment.factors.push(`MODERATE CAPE: ${maxCAPE} J/kg (7-day max)`);
-  } else if (maxCAPE >= 300) {
-    assessment.score += 10;
-    assessment.factors.push(`LOW CAPE: ${maxCAPE} J/kg (7-day max)`);
-  }
-
-  // Lifted Index Assessment
-  if (peak.minLiftedIndex <= -6) {
-    assessment.score += 25;
-    assessment.factors.push(`VERY UNSTABLE: LI ${peak.minLiftedIndex}°C`);
-  } else if (peak.minLiftedIndex <= -3) {
-    assessment.score += 15;
-    assessment.factors.push(`UNSTABLE: LI ${peak.minLiftedIndex}°C`);
-  } else if (peak.minLiftedIndex < 0) {
-    assessment.score += 5;
-    assessment.factors.push(`MARGINAL INSTABILITY: LI ${peak.minLiftedIndex}°C`);
-  }
-
-  // Dewpoint Assessment (moisture)
-  const dewpointC = (peak.maxDewpoint - 32) * 5/9; // Convert F to C
-  if (dewpointC >= 20) {
-    assessment.score += 15;
-    assessment.factors.push(`HIGH MOISTURE: Dewpoint ${peak.maxDewpoint}°F`);
-  } else if (dewpointC >= 15) {
-    assessment.score += 10;
-    assessment.factors.push(`GOOD MOISTURE: Dewpoint ${peak.maxDewpoint}°F`);
-  }
-
-  // Wind Gust Assessment - use 16-day max
-  const maxGust = peak.maxWindGust_16day || 0;
-  if (maxGust >= 50) {
-    assessment.score += 15;
-    assessment.factors.push(`STRONG GUSTS: ${maxGust} mph (16-day max)`);
-  } else if (maxGust >= 30) {
-    assessment.score += 10;
-    assessment.factors.push(`MODERATE GUSTS: ${maxGust} mph (16-day max)`);
-  }
-
-  // CIN Assessment (lower is worse - means storms can develop)
-  const cin = current.convective_inhibition || 0;
-  if (cin < 25) {
-    assessment.score += 10;
-    assessment.factors.push(`WEAK CAP: CIN ${cin} J/kg (storms develop easily)`);
-  } else if (cin < 100) {
-    assessment.score += 5;
-    assessment.factors.push(`MODERATE CAP: CIN ${cin} J/kg`);
-  }
-
-  // High-risk days bonus
-  const highRiskDays = metrics.highRiskDays?.length || 0;
-  if (highRiskDays >= 3) {
-    assessment.score += 10;
-    assessment.factors.push(`MULTIPLE HIGH-RISK DAYS: ${highRiskDays} days with CAPE >= 1000`);
-  }
-
-  // Determine threat level
-  if (assessment.score >= 70) {
-    assessment.level = 'EXTREME';
-    assessment.recommendation = 'DANGEROUS CONDITIONS EXPECTED - Be ready to shelter immediately';
-  } else if (assessment.score >= 50) {
-    assessment.level = 'HIGH';
-    assessment.recommendation = 'Elevated tornado risk - Have shelter plan ready';
-  } else if (assessment.score >= 30) {
-    assessment.level = 'MODERATE';
-    assessment.recommendation = 'Some tornado potential - Stay weather aware';
-  } else if (assessment.score >= 15) {
-    assessment.level = 'LOW';
-    assessment.recommendation = 'Low tornado risk - Monitor conditions';
-  } else {
-    assessment.level = 'MINIMAL';
-    assessment.recommendation = 'No significant tornado threat';
-  }
-
-  return assessment;
-}
-
 function generateOklahomaAssessment(locations) {
   const assessments = Object.values(locations)
     .filter(loc => !loc.error && loc.tornadoThreatAssessment)
@@ -1218,10 +1140,10 @@ function generateOklahomaAssessment(locations) {
   const lowestLI = Math.min(...assessments.map(a => a.minLI));
   const totalHighRiskDays = assessments.reduce((sum, a) => sum + a.highRiskDays, 0);
 
-  const levelOrder = ['MINIMAL', 'LOW', 'MODERATE', 'HIGH', 'EXTREME'];
+  const levelOrder = THREAT_RULES.levels;
   const highestLevel = assessments.reduce((max, a) => {
-    return levelOrder.indexOf(a.level) > levelOrder.indexOf(max) ? a.level : max;
-  }, 'MINIMAL');
+    return levelOrder.indexOf(normalizeLevel(a.level)) > levelOrder.indexOf(max) ? normalizeLevel(a.level) : max;
+  }, 'NONE');
 
   // Collect all high-risk days across all locations
   const allHighRiskDays = [];
@@ -1270,6 +1192,9 @@ function createPredictiveWeatherSummary(outlookResults, mcdResults, gridResults,
       oklahomaInRiskArea: outlookResults.oklahomaRisk?.inRiskArea || false,
       riskLevel: outlookResults.oklahomaRisk?.highestRisk || 'NONE',
       riskDescription: outlookResults.oklahomaRisk?.riskDescription || 'No data',
+      maxTornadoProbability: outlookResults.oklahomaRisk?.maxTornadoProbability || 0,
+      significantTornadoArea: outlookResults.oklahomaRisk?.significantTornado || false,
+      countiesAtRisk: outlookResults.oklahomaRisk?.countiesAtRisk?.length || 0,
       day1TornadoZones: outlookResults.outlooks?.day1_tornado?.featureCount || 0,
       day1SignificantTornadoZones: outlookResults.outlooks?.day1_tornado_significant?.featureCount || 0
     },
@@ -1342,55 +1267,58 @@ function createPredictiveWeatherSummary(outlookResults, mcdResults, gridResults,
 }
 
 function generateOverallAssessment(outlookResults, mcdResults, gridResults, openMeteoResults) {
-  let threatLevel = 'LOW';
-  let recommendation = 'No immediate action needed. Continue monitoring.';
-
-  // Check for high-risk conditions
   const outlookRisk = outlookResults.oklahomaRisk?.highestRisk || 'NONE';
   const hasMCDs = (mcdResults.discussions?.length || 0) > 0;
-  const oklahomaInMCD = mcdResults.oklahomaAffected || false;
-
-  // Check grid indicators
-  let highTornadoPotential = false;
-  for (const [_, data] of Object.entries(gridResults.locations || {})) {
-    if (data.severeWeatherIndicators?.overallTornadoPotential === 'HIGH') {
-      highTornadoPotential = true;
-      break;
+  const oklahomaMCDs = (mcdResults.discussions || []).filter(mcd =>
+    mcd.states?.includes('OK') || mcd.locationsInside?.length > 0
+  );
+
+  // Worst value of each metric across the monitored locations
+  const worst = (values, pick) => {
+    const present = values.filter(v => typeof v === 'number' && !isNaN(v));
+    return present.length > 0 ? pick(...present) : null;
+  };
+  const grid = Object.values(gridResults.locations || {})
+    .filter(data => !data.error)
+    .map(data => gridForecastInputs(data));
+  const environments = Object.values(openMeteoResults.locations || {})
+    .filter(data => !data.error && data.peakValues)
+    .map(openMeteoEnvironment);
+
+  const threat = evaluateThreat({
+    outlook: outlookRisk,
+    mcds: oklahomaMCDs,
+    environment: {
+      cape: worst(environments.map(e => e.cape), Math.max),
+      liftedIndex: worst(environments.map(e => e.liftedIndex), Math.min),
+      cin: worst(environments.map(e => e.cin), Math.min),
+      dewpointC: worst(environments.map(e => e.dewpointC), Math.max),
+      windGustMph: worst(environments.map(e => e.windGustMph), Math.max),
+      highRiskDays: openMeteoResults.oklahomaAssessment?.totalHighRiskDayCount ?? null,
+      bulkShear06Kt: worst(environments.map(e => e.bulkShear06Kt), Math.max),
+      srh01: worst(environments.map(e => e.srh01), Math.max),
+      lclM: worst(environments.map(e => e.lclM), Math.min),
+      stp: worst(environments.map(e => e.stp), Math.max),
+      scp: worst(environments.map(e => e.scp), Math.max)
+    },
+    forecast: {
+      dewpointC: worst(grid.map(g => g.dewpointC), Math.max),
+      thunderProbability: worst(grid.map(g => g.thunderProbability), Math.max),
+      windGustMph: worst(grid.map(g => g.windGustMph), Math.max)
     }
-  }
-
-  // Check Open-Meteo tornado metrics (NEW)
-  const openMeteoThreat = openMeteoResults.oklahomaAssessment?.overallThreatLevel || 'MINIMAL';
-  const maxCAPE = openMeteoResults.oklahomaAssessment?.highestCAPE || 0;
-  const highCAPE = maxCAPE >= 2500;
-  const extremeCAPE = maxCAPE >= 4000;
-
-  // Determine threat level (updated with Open-Meteo)
-  if (outlookRisk === 'HIGH' || outlookRisk === 'MDT' || extremeCAPE || openMeteoThreat === 'EXTREME') {
-    threatLevel = 'EXTREME';
-    recommendation = 'DANGEROUS WEATHER EXPECTED. Know your shelter location. Be ready to take action immediately.';
-  } else if (outlookRisk === 'ENH' || (oklahomaInMCD && hasMCDs) || highCAPE || openMeteoThreat === 'HIGH') {
-    threatLevel = 'HIGH';
-    recommendation = 'Elevated severe weather threat. Review your safety plan. Stay weather aware.';
-  } else if (outlookRisk === 'SLGT' || hasMCDs || highTornadoPotential || openMeteoThreat === 'MODERATE') {
-    threatLevel = 'MODERATE';
-    recommendation = 'Severe weather possible. Know your shelter location. Monitor forecasts.';
-  } else if (outlookRisk === 'MRGL' || openMeteoThreat === 'LOW') {
-    threatLevel = 'LOW';
-    recommendation = 'Marginal severe weather risk. Stay informed of changing conditions.';
-  }
+  });
 
   return {
-    threatLevel,
-    recommendation,
+    threatLevel: threat.level,
+    score: threat.score,
+    recommendation: threat.recommendation,
     factors: {
       convectiveOutlookRisk: outlookRisk,
       activeMCDs: hasMCDs,
-      oklahomaInMCD: oklahomaInMCD,
-      gridIndicatorsShowHighRisk: highTornadoPotential,
-      openMeteoThreatLevel: openMeteoThreat,
-      maxCAPE: maxCAPE,
-      capeIndicatesRisk: highCAPE
+      oklahomaInMCD: oklahomaMCDs.length > 0,
+      openMeteoThreatLevel: openMeteoResults.oklahomaAssessment?.overallThreatLevel || 'NONE',
+      maxCAPE: threat.metrics.cape || 0,
+      contributing: threat.factors.map(f => f.description)
     }
   };
 }
@@ -1428,6 +1356,12 @@ function createSummary(nwsResults, spcResults, femaResults, historicalResults, p
         status: femaResults.error ? 'error' : 'success',
         totalShelters: femaResults.totalShelters || 0
       },
+
+      historicalTornadoes: {
+        status: historicalResults.error ? 'error' : 'success',
+        tornadoes: historicalResults.tornadoCount || 0,
+        years: historicalResults.years?.length || 0
+      },
       
       // Predictive Weather
       predictiveWeather: {
@@ -6,7 +6,7 @@
  * 
  * HOW TO RUN:
  * 1. Make sure your package.json has "type": "module"
- * 2. Run: node test-weather-apis.js
+ * 2. Run: npm run test:apis
  * 
  * APIS TESTED:
  * 
@@ -0,0 +1,275 @@
+/**
+ * Alert Store for Tornado Shelter App
+ * Tracks the lifecycle of NWS alerts between polls
+ *
+ * Every call to getActiveAlerts() returns a fresh array. This store
+ * remembers what was active last time and uses the CAP `messageType`
+ * (Alert / Update / Cancel) and `references` fields, plus the VTEC
+ * `eventKey` (see vtec.js), to tell apart:
+ * - new:       first time we see this alert
+ * - updated:   an Update message that replaces an alert we knew about
+ *              (e.g. warning extended, upgraded or area changed)
+ * - cancelled: a Cancel message, or an update that ends the alert early
+ * - expired:   the alert reached its end time or dropped off the feed
+ *
+ * Usage:
+ *   import { AlertStore } from './services/alertStore';
+ *
+ *   const store = new AlertStore();
+ *   const alerts = await service.nws.getActiveAlerts(lat, lon);
+ *   const diff = store.update(alerts);
+ *   diff.updated.forEach(change => console.log(change.message));
+ *   // "Tornado Warning extended until 4:45 PM"
+ */
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+function formatTime(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+// When the event itself ends (ends), falling back to message expiry
+function getEndTime(alert) {
+  return alert.ends || alert.expires || null;
+}
+
+// Every VTEC code in the product ends the event (CAN / EXP / UPG)
+function isCancellation(alert) {
+  if (alert.messageType === 'Cancel') return true;
+  return alert.vtec?.length > 0 && alert.vtec.every(code => code.isEnding);
+}
+
+/**
+ * Describes what changed between two versions of an alert
+ *
+ * @returns {Object} { changes, message }
+ */
+function describeUpdate(previous, current) {
+  const changes = {};
+  const messages = [];
+
+  if (previous.event !== current.event) {
+    changes.event = { from: previous.event, to: current.event };
+    messages.push(`${previous.event} upgraded to ${current.event}`);
+  }
+
+  const previousEnd = getEndTime(previous);
+  const currentEnd = getEndTime(current);
+  if (previousEnd && currentEnd && previousEnd.getTime() !== currentEnd.getTime()) {
+    changes.endTime = { from: previousEnd, to: currentEnd };
+    const verb = currentEnd > previousEnd ? 'extended' : 'shortened';
+    messages.push(`${current.event} ${verb} until ${formatTime(currentEnd)}`);
+  }
+
+  if (previous.severity !== current.severity) {
+    changes.severity = { from: previous.severity, to: current.severity };
+  }
+
+  if (previous.areaDesc !== current.areaDesc) {
+    changes.areaDesc = { from: previous.areaDesc, to: current.areaDesc };
+    messages.push(`${current.event} area updated: ${current.areaDesc}`);
+  }
+
+  return {
+    changes,
+    message: messages[0] || `${current.event} updated`
+  };
+}
+
+// ==========================================
+// ALERT STORE
+// ==========================================
+
+class AlertStore {
+  constructor() {
+    // Active alerts keyed on NWS alert id
+    this.alerts = new Map();
+
+    // Cancelled alert ids and VTEC events (eventKey -> time of the
+    // cancelling message), so older products of a cancelled event
+    // still in the feed don't come back as new
+    this.cancelledIds = new Set();
+    this.cancelledEvents = new Map();
+  }
+
+  /**
+   * Applies a fresh set of alerts and returns what changed
+   *
+   * @param {Array} alerts - Mapped alerts from NWSAlertsService
+   * @param {Date} now - Current time (for testing)
+   * @returns {Object} { new, updated, cancelled, expired, active }
+   */
+  update(alerts, now = new Date()) {
+    const diff = { new: [], updated: [], cancelled: [], expired: [], active: [] };
+    const seen = new Set();
+
+    // Cancels first, so an Update in the same batch can't resurrect them;
+    // otherwise oldest first, so follow-up statements apply in order
+    const sentTime = alert => (alert.sent ? new Date(alert.sent).getTime() : 0);
+    const ordered = [...alerts].sort((a, b) =>
+      (isCancellation(a) ? 0 : 1) - (isCancellation(b) ? 0 : 1) || sentTime(a) - sentTime(b)
+    );
+
+    for (const alert of ordered) {
+      seen.add(alert.id);
+      if (this.isSuperseded(alert)) continue;
+      const referenced = this.findPrevious(alert);
+
+      if (isCancellation(alert)) {
+        this.retire(alert, referenced);
+        for (const id of referenced) {
+          const previous = this.alerts.get(id);
+          this.alerts.delete(id);
+          diff.cancelled.push({
+            alert: previous,
+            cancelledBy: alert,
+            message: `${previous.event} cancelled`
+          });
+        }
+        continue;
+      }
+
+      // Same message we already know about
+      if (this.alerts.has(alert.id)) continue;
+
+      if (referenced.length > 0) {
+        // Update replacing one or more known alerts
+        const previous = this.alerts.get(referenced[0]);
+        const previousIds = referenced.flatMap(id => [id, ...(this.alerts.get(id).previousIds || [])]);
+
+        const endTime = getEndTime(alert);
+        if (endTime && endTime <= now) {
+          // Updates that end the alert immediately are cancellations
+          this.retire(alert, referenced);
+          referenced.forEach(id => this.alerts.delete(id));
+          diff.cancelled.push({
+            alert: previous,
+            cancelledBy: alert,
+            message: `${previous.event} cancelled`
+          });
+          continue;
+        }
+
+        referenced.forEach(id => this.alerts.delete(id));
+        this.alerts.set(alert.id, { ...alert, previousIds });
+        diff.updated.push({
+          alert: this.alerts.get(alert.id),
+          previous,
+          ...describeUpdate(previous, alert)
+        });
+        continue;
+      }
+
+      // Already over before we ever saw it
+      const endTime = getEndTime(alert);
+      if (endTime && endTime <= now) continue;
+
+      this.alerts.set(alert.id, alert);
+      diff.new.push(alert);
+    }
+
+    // Anything that ended or silently dropped off the feed has expired
+    for (const [id, alert] of this.alerts) {
+      const endTime = getEndTime(alert);
+      const hasEnded = endTime && endTime <= now;
+
+      if (hasEnded || !seen.has(id)) {
+        this.alerts.delete(id);
+        diff.expired.push({
+          alert,
+          message: `${alert.event} expired`
+        });
+      }
+    }
+
+    // Forget cancellations once their products leave the feed
+    const seenEvents = new Set(alerts.map(alert => alert.eventKey).filter(Boolean));
+    for (const id of this.cancelledIds) {
+      if (!seen.has(id)) this.cancelledIds.delete(id);
+    }
+    for (const eventKey of this.cancelledEvents.keys()) {
+      if (!seenEvents.has(eventKey)) this.cancelledEvents.delete(eventKey);
+    }
+
+    diff.active = this.getActive();
+    return diff;
+  }
+
+  /**
+   * Remembers a cancelled event and every message in it
+   */
+  retire(cancelledBy, ids) {
+    this.cancelledIds.add(cancelledBy.id);
+    for (const id of ids) {
+      this.cancelledIds.add(id);
+      (this.alerts.get(id)?.previousIds || []).forEach(previousId => this.cancelledIds.add(previousId));
+    }
+    if (cancelledBy.eventKey) {
+      this.cancelledEvents.set(cancelledBy.eventKey, cancelledBy.sent || new Date());
+    }
+  }
+
+  /**
+   * Known alerts this one replaces: by CAP reference, or by sharing
+   * its VTEC event (a follow-up statement whose references point at a
+   * message we never saw)
+   */
+  findPrevious(alert) {
+    const ids = new Set((alert.references || []).filter(id => this.alerts.has(id)));
+    if (alert.eventKey) {
+      for (const [id, known] of this.alerts) {
+        if (id !== alert.id && known.eventKey === alert.eventKey) ids.add(id);
+      }
+    }
+    return [...ids];
+  }
+
+  /**
+   * Whether a newer message for the same event has already replaced
+   * this one (the feed can still list the original warning next to
+   * its follow-up statements)
+   */
+  isSuperseded(alert) {
+    if (this.cancelledIds.has(alert.id)) return true;
+
+    const cancelledAt = alert.eventKey && this.cancelledEvents.get(alert.eventKey);
+    if (cancelledAt && (!alert.sent || alert.sent <= cancelledAt)) return true;
+
+    for (const [id, known] of this.alerts) {
+      if (id === alert.id) continue;
+      if (known.previousIds?.includes(alert.id)) return true;
+      if (alert.eventKey && known.eventKey === alert.eventKey &&
+          known.sent && alert.sent && known.sent > alert.sent) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Currently active alerts
+   */
+  getActive() {
+    return [...this.alerts.values()];
+  }
+
+  get(id) {
+    return this.alerts.get(id) || null;
+  }
+
+  clear() {
+    this.alerts.clear();
+    this.cancelledIds.clear();
+    this.cancelledEvents.clear();
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export { AlertStore };
+
+export default AlertStore;
@@ -0,0 +1,291 @@
+/**
+ * Cache Backends for Tornado Shelter App
+ * Drop-in replacements for the in-memory SimpleCache
+ *
+ * Backends:
+ * - FileCache:     JSON files on disk, survives restarts (offline use)
+ * - SupabaseCache: Shared Supabase table, so a server process can warm
+ *                  the cache and mobile/edge clients can read it
+ *
+ * All backends implement the SimpleCache interface
+ * (get, getStale, set, delete, clear) and return Promises.
+ *
+ * Usage:
+ *   import { createClient } from '@supabase/supabase-js';
+ *   import { WeatherDataService } from './services/weatherDataService';
+ *   import { FileCache, SupabaseCache } from './services/cacheBackends';
+ *
+ *   // Offline-capable cache on disk (Node.js)
+ *   const service = new WeatherDataService({ cache: new FileCache('./.weather-cache') });
+ *
+ *   // Shared cache in Supabase
+ *   const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+ *   const shared = new WeatherDataService({ cache: new SupabaseCache(supabase) });
+ *
+ * Note: FileCache uses Node's fs module and is not available in React Native.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from './weatherDataService.js';
+
+// ==========================================
+// SERIALIZATION
+// ==========================================
+
+// Cached payloads contain Date objects (alert onset/expires, etc.)
+// that plain JSON would turn into strings
+const DATE_TAG = '__date';
+
+function serialize(data) {
+  return JSON.parse(JSON.stringify(data, function (key, value) {
+    const original = this[key];
+    return original instanceof Date ? { [DATE_TAG]: original.toISOString() } : value;
+  }));
+}
+
+function deserialize(data) {
+  return JSON.parse(JSON.stringify(data), (key, value) =>
+    value && typeof value === 'object' && typeof value[DATE_TAG] === 'string'
+      ? new Date(value[DATE_TAG])
+      : value
+  );
+}
+
+/**
+ * Builds a getStale() result from a stored entry
+ */
+function toStaleEntry(entry, maxStaleMs) {
+  if (!entry) return null;
+  if (Date.now() > entry.expiry + maxStaleMs) return null;
+
+  return {
+    data: deserialize(entry.data),
+    storedAt: entry.storedAt,
+    expiry: entry.expiry,
+    isStale: Date.now() > entry.expiry
+  };
+}
+
+// ==========================================
+// FILE CACHE
+// ==========================================
+
+// Temp files are <entry>.json.<pid>.<n>.tmp; the counter keeps
+// concurrent writes to one key in the same process apart
+const TEMP_FILE_PATTERN = /\.json\.\d+\.\d+\.tmp$/;
+let tempFileCounter = 0;
+
+// Entry files hold what set() writes
+function isCacheEntry(entry) {
+  return !!entry && typeof entry.key === 'string' &&
+    typeof entry.storedAt === 'number' && typeof entry.expiry === 'number';
+}
+
+class FileCache {
+  /**
+   * @param {string} directory - Folder for cache files (created if missing)
+   * @param {Object} options
+   * @param {number} options.maxStaleMs - How long expired data stays available
+   */
+  constructor(directory = './.weather-cache', options = {}) {
+    this.directory = directory;
+    this.maxStaleMs = options.maxStaleMs || CONFIG.CACHE_DURATION.MAX_STALE;
+  }
+
+  filePath(key) {
+    const safeKey = key.replace(/[^a-zA-Z0-9_.-]/g, '_');
+    return path.join(this.directory, `${safeKey}.json`);
+  }
+
+  async readEntry(key) {
+    try {
+      const text = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`FileCache read failed for ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async get(key) {
+    const entry = await this.readEntry(key);
+    if (!entry || Date.now() > entry.expiry) return null;
+    return deserialize(entry.data);
+  }
+
+  async getStale(key) {
+    const entry = await this.readEntry(key);
+    const stale = toStaleEntry(entry, this.maxStaleMs);
+    if (entry && !stale) {
+      await this.delete(key);
+    }
+    return stale;
+  }
+
+  async set(key, data, durationMs) {
+    const now = Date.now();
+    const entry = {
+      key,
+      data: serialize(data),
+      storedAt: now,
+      expiry: now + durationMs
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      // Write then rename so readers never see a half-written file
+      const target = this.filePath(key);
+      const temp = `${target}.${process.pid}.${++tempFileCounter}.tmp`;
+      try {
+        await fs.writeFile(temp, JSON.stringify(entry));
+        await fs.rename(temp, target);
+      } catch (error) {
+        await fs.rm(temp, { force: true });
+        throw error;
+      }
+    } catch (error) {
+      // A failed cache write should never fail the API call
+      console.warn(`FileCache write failed for ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Deletes this cache's entry and temp files
+   * Anything else in the directory is left alone
+   */
+  async clear() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const name of names) {
+      const file = path.join(this.directory, name);
+      if (TEMP_FILE_PATTERN.test(name)) {
+        await fs.rm(file, { force: true });
+      } else if (name.endsWith('.json') && isCacheEntry(await this.readFile(file))) {
+        await fs.rm(file, { force: true });
+      }
+    }
+  }
+
+  async readFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ==========================================
+// SUPABASE CACHE
+// ==========================================
+
+/**
+ * Shared cache stored in a Supabase (Postgres) table
+ *
+ * Expected table:
+ *
+ *   create table weather_cache (
+ *     key        text primary key,
+ *     data       jsonb not null,
+ *     stored_at  timestamptz not null,
+ *     expires_at timestamptz not null
+ *   );
+ *
+ * Give read-only clients a select-only RLS policy; only the process
+ * that warms the cache needs insert/update/delete.
+ */
+class SupabaseCache {
+  /**
+   * @param {Object} supabase - Client from @supabase/supabase-js createClient()
+   * @param {Object} options
+   * @param {string} options.table - Table name (default 'weather_cache')
+   * @param {number} options.maxStaleMs - How long expired data stays available
+   */
+  constructor(supabase, options = {}) {
+    if (!supabase) {
+      throw new Error('SupabaseCache requires a Supabase client');
+    }
+    this.supabase = supabase;
+    this.table = options.table || 'weather_cache';
+    this.maxStaleMs = options.maxStaleMs || CONFIG.CACHE_DURATION.MAX_STALE;
+  }
+
+  async readEntry(key) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('data, stored_at, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`SupabaseCache read failed for ${key}:`, error.message);
+      return null;
+    }
+    if (!data) return null;
+
+    return {
+      data: data.data,
+      storedAt: new Date(data.stored_at).getTime(),
+      expiry: new Date(data.expires_at).getTime()
+    };
+  }
+
+  async get(key) {
+    const entry = await this.readEntry(key);
+    if (!entry || Date.now() > entry.expiry) return null;
+    return deserialize(entry.data);
+  }
+
+  async getStale(key) {
+    return toStaleEntry(await this.readEntry(key), this.maxStaleMs);
+  }
+
+  async set(key, data, durationMs) {
+    const now = Date.now();
+    const { error } = await this.supabase
+      .from(this.table)
+      .upsert({
+        key,
+        data: serialize(data),
+        stored_at: new Date(now).toISOString(),
+        expires_at: new Date(now + durationMs).toISOString()
+      });
+
+    if (error) {
+      // A failed cache write should never fail the API call
+      console.warn(`SupabaseCache write failed for ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    const { error } = await this.supabase.from(this.table).delete().eq('key', key);
+    if (error) throw new Error(`SupabaseCache delete failed: ${error.message}`);
+  }
+
+  async clear() {
+    const { error } = await this.supabase.from(this.table).delete().neq('key', '');
+    if (error) throw new Error(`SupabaseCache clear failed: ${error.message}`);
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  FileCache,
+  SupabaseCache
+};
@@ -0,0 +1,317 @@
+/**
+ * Convective Parameters for Tornado Shelter App
+ * Shear, helicity, LCL and composite tornado indices from model winds
+ *
+ * CAPE says how strong updrafts can get; tornadoes also need the wind
+ * to change speed and direction with height (shear and helicity) and
+ * a low cloud base (LCL). Open-Meteo has no sounding, only winds at
+ * 10 m and a few pressure levels (850 / 700 / 500 hPa), so these are
+ * estimates from a coarse hodograph:
+ *
+ * - Bulk shear: wind difference between the surface and 1 km / 6 km
+ *   AGL (winds interpolated between levels; 6 km is clamped to the
+ *   highest level, usually 500 hPa at ~5.5 km)
+ * - Storm motion: Bunkers right-mover (0-6 km mean wind, 7.5 m/s to
+ *   the right of the shear vector)
+ * - Storm-relative helicity (SRH): 0-1 km and 0-3 km, relative to
+ *   the Bunkers right mover
+ * - LCL height: 125 m per °C of dewpoint depression
+ * - Significant Tornado Parameter (STP, fixed layer) and Supercell
+ *   Composite Parameter (SCP) from the SPC mesoanalysis formulas
+ *
+ * Winds are meteorological: direction is where the wind blows FROM.
+ *
+ * Usage:
+ *   import { calculateConvectiveParameters } from './services/convectiveParameters';
+ *
+ *   const params = calculateConvectiveParameters({
+ *     surface: { speedMs: 9, directionDeg: 160, temperatureC: 28, dewpointC: 21 },
+ *     levels: [
+ *       { heightM: 1100, speedMs: 22, directionDeg: 195 },
+ *       { heightM: 2700, speedMs: 24, directionDeg: 225 },
+ *       { heightM: 5300, speedMs: 30, directionDeg: 245 }
+ *     ],
+ *     cape: 3200,
+ *     cin: 20
+ *   });
+ *   // { bulkShear06Kt: 59, srh01: 235, lclM: 875, stp: 5, scp: 23.9, ... }
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const MS_TO_KNOTS = 1.94384;
+const MPH_TO_MS = 0.44704;
+
+// Standard-atmosphere heights (m MSL) when geopotential height is missing
+const STANDARD_LEVEL_HEIGHTS = {
+  850: 1457,
+  700: 3012,
+  500: 5574
+};
+
+// Bunkers storm motion deviation from the mean wind
+const BUNKERS_DEVIATION_MS = 7.5;
+
+// Lifted parcel cools ~125 m per °C of dewpoint depression
+const LCL_METERS_PER_DEGREE = 125;
+
+// ==========================================
+// WIND HELPERS
+// ==========================================
+
+/**
+ * Wind speed / direction to u (east) and v (north) components
+ */
+function windToComponents(speed, directionDeg) {
+  const radians = directionDeg * Math.PI / 180;
+  return { u: -speed * Math.sin(radians), v: -speed * Math.cos(radians) };
+}
+
+/**
+ * u / v components back to speed and the direction the wind blows from
+ */
+function componentsToWind(u, v) {
+  const speed = Math.hypot(u, v);
+  const directionDeg = speed === 0 ? 0 : (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+  return { speed, directionDeg };
+}
+
+/**
+ * Hodograph points (height AGL + u/v), lowest first
+ */
+function buildHodograph(profile) {
+  const points = [{ heightM: 0, ...windToComponents(profile.surface.speedMs, profile.surface.directionDeg) }];
+  for (const level of profile.levels || []) {
+    // Levels below ground (850 hPa over high terrain) have no meaning
+    if (level.heightM > 10 && typeof level.speedMs === 'number' && typeof level.directionDeg === 'number') {
+      points.push({ heightM: level.heightM, ...windToComponents(level.speedMs, level.directionDeg) });
+    }
+  }
+  return points.sort((a, b) => a.heightM - b.heightM);
+}
+
+/**
+ * Wind at a height, linear in u/v between hodograph points
+ * (clamped to the lowest / highest point)
+ */
+function windAtHeight(points, heightM) {
+  if (heightM <= points[0].heightM) return points[0];
+  for (let i = 1; i < points.length; i++) {
+    const below = points[i - 1];
+    const above = points[i];
+    if (heightM <= above.heightM) {
+      const fraction = (heightM - below.heightM) / (above.heightM - below.heightM);
+      return {
+        heightM,
+        u: below.u + (above.u - below.u) * fraction,
+        v: below.v + (above.v - below.v) * fraction
+      };
+    }
+  }
+  return points[points.length - 1];
+}
+
+/**
+ * Hodograph points from the surface up to a height (inclusive)
+ */
+function layerPoints(points, topM) {
+  return [...points.filter(point => point.heightM < topM), windAtHeight(points, topM)];
+}
+
+// ==========================================
+// KINEMATIC PARAMETERS
+// ==========================================
+
+/**
+ * Bulk wind difference between the surface and a height
+ *
+ * @param {Array} points - Hodograph points (see buildHodograph)
+ * @param {number} topM - Top of the layer (m AGL)
+ * @returns {number} Shear magnitude, m/s
+ */
+function bulkShear(points, topM) {
+  const bottom = points[0];
+  const top = windAtHeight(points, topM);
+  return Math.hypot(top.u - bottom.u, top.v - bottom.v);
+}
+
+/**
+ * Bunkers right-moving supercell motion
+ *
+ * @param {Array} points - Hodograph points (see buildHodograph)
+ * @returns {Object} { u, v } in m/s
+ */
+function bunkersStormMotion(points) {
+  // 0-6 km mean wind, sampled every 500 m
+  let u = 0;
+  let v = 0;
+  let samples = 0;
+  for (let height = 0; height <= 6000; height += 500) {
+    const wind = windAtHeight(points, height);
+    u += wind.u;
+    v += wind.v;
+    samples++;
+  }
+  const mean = { u: u / samples, v: v / samples };
+
+  const bottom = points[0];
+  const top = windAtHeight(points, 6000);
+  const shearU = top.u - bottom.u;
+  const shearV = top.v - bottom.v;
+  const shear = Math.hypot(shearU, shearV);
+  if (shear === 0) return mean;
+
+  // Right of the shear vector
+  return {
+    u: mean.u + BUNKERS_DEVIATION_MS * shearV / shear,
+    v: mean.v - BUNKERS_DEVIATION_MS * shearU / shear
+  };
+}
+
+/**
+ * Storm-relative helicity of a layer
+ *
+ * @param {Array} points - Hodograph points (see buildHodograph)
+ * @param {number} topM - Top of the layer (m AGL)
+ * @param {Object} storm - Storm motion { u, v } in m/s
+ * @returns {number} SRH, m²/s²
+ */
+function stormRelativeHelicity(points, topM, storm) {
+  const layer = layerPoints(points, topM);
+  let srh = 0;
+  for (let i = 0; i < layer.length - 1; i++) {
+    const lower = { u: layer[i].u - storm.u, v: layer[i].v - storm.v };
+    const upper = { u: layer[i + 1].u - storm.u, v: layer[i + 1].v - storm.v };
+    srh += upper.u * lower.v - lower.u * upper.v;
+  }
+  return srh;
+}
+
+/**
+ * LCL height above ground
+ *
+ * @param {number} temperatureC - 2 m temperature, °C
+ * @param {number} dewpointC - 2 m dewpoint, °C
+ * @returns {number} LCL height, m AGL
+ */
+function lclHeight(temperatureC, dewpointC) {
+  return Math.max(0, (temperatureC - dewpointC) * LCL_METERS_PER_DEGREE);
+}
+
+// ==========================================
+// COMPOSITE INDICES
+// ==========================================
+
+/**
+ * Significant Tornado Parameter (fixed layer)
+ *
+ * STP = (sbCAPE / 1500) x ((2000 - LCL) / 1000) x (SRH01 / 150)
+ *       x (BWD06 / 20 m/s) x ((200 + sbCIN) / 150)
+ *
+ * Values of 1 or more favor significant (EF2+) tornadoes.
+ *
+ * @param {Object} params
+ * @param {number} params.cape - Surface-based CAPE, J/kg
+ * @param {number} params.cin - Surface-based CIN magnitude, J/kg (positive)
+ * @param {number} params.lclM - LCL height, m AGL
+ * @param {number} params.srh01 - 0-1 km SRH, m²/s²
+ * @param {number} params.bulkShear06 - 0-6 km bulk shear, m/s
+ * @returns {number} STP (0 or more)
+ */
+function significantTornadoParameter({ cape, cin = 0, lclM, srh01, bulkShear06 }) {
+  const capeTerm = Math.max(0, cape) / 1500;
+  const lclTerm = lclM < 1000 ? 1 : lclM > 2000 ? 0 : (2000 - lclM) / 1000;
+  const srhTerm = Math.max(0, srh01) / 150;
+  const shearTerm = bulkShear06 < 12.5 ? 0 : Math.min(bulkShear06, 30) / 20;
+  const cinTerm = cin < 50 ? 1 : cin > 200 ? 0 : (200 - cin) / 150;
+  return capeTerm * lclTerm * srhTerm * shearTerm * cinTerm;
+}
+
+/**
+ * Supercell Composite Parameter
+ *
+ * SCP = (muCAPE / 1000) x (SRH / 50) x (BWD / 20 m/s), with 0-3 km SRH
+ * and 0-6 km shear standing in for the effective-layer values.
+ * Values of 1 or more favor supercells.
+ *
+ * @param {Object} params
+ * @param {number} params.cape - Most-unstable CAPE, J/kg
+ * @param {number} params.srh03 - 0-3 km SRH, m²/s²
+ * @param {number} params.bulkShear06 - 0-6 km bulk shear, m/s
+ * @returns {number} SCP (0 or more)
+ */
+function supercellCompositeParameter({ cape, srh03, bulkShear06 }) {
+  const shearTerm = bulkShear06 < 10 ? 0 : Math.min(bulkShear06 / 20, 1);
+  return Math.max(0, (Math.max(0, cape) / 1000) * (srh03 / 50) * shearTerm);
+}
+
+/**
+ * All parameters for one hour
+ *
+ * @param {Object} profile
+ * @param {Object} profile.surface - { speedMs, directionDeg, temperatureC, dewpointC } (10 m wind, 2 m temps)
+ * @param {Array} profile.levels - [{ heightM (AGL), speedMs, directionDeg }]
+ * @param {number} profile.cape - CAPE, J/kg
+ * @param {number} profile.cin - CIN magnitude, J/kg
+ * @returns {Object|null} { bulkShear01Kt, bulkShear06Kt, srh01, srh03, lclM,
+ *   stormMotion: { directionDeg, speedKt }, stp, scp }, or null without winds
+ */
+function calculateConvectiveParameters(profile) {
+  const surface = profile?.surface;
+  if (!surface || typeof surface.speedMs !== 'number' || typeof surface.directionDeg !== 'number') {
+    return null;
+  }
+
+  const points = buildHodograph(profile);
+  if (points.length < 2) return null;
+
+  const storm = bunkersStormMotion(points);
+  const stormWind = componentsToWind(storm.u, storm.v);
+  const bulkShear01 = bulkShear(points, 1000);
+  const bulkShear06 = bulkShear(points, 6000);
+  const srh01 = stormRelativeHelicity(points, 1000, storm);
+  const srh03 = stormRelativeHelicity(points, 3000, storm);
+  const hasTemps = typeof surface.temperatureC === 'number' && typeof surface.dewpointC === 'number';
+  const lclM = hasTemps ? lclHeight(surface.temperatureC, surface.dewpointC) : null;
+  const cape = profile.cape || 0;
+
+  const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    bulkShear01Kt: round(bulkShear01 * MS_TO_KNOTS),
+    bulkShear06Kt: round(bulkShear06 * MS_TO_KNOTS),
+    srh01: round(srh01),
+    srh03: round(srh03),
+    lclM: lclM !== null ? round(lclM) : null,
+    stormMotion: {
+      directionDeg: round(stormWind.directionDeg),
+      speedKt: round(stormWind.speed * MS_TO_KNOTS)
+    },
+    // Without CIN the CIN term drops out, as in the fixed-layer STP
+    stp: lclM !== null
+      ? round(significantTornadoParameter({ cape, cin: profile.cin || 0, lclM, srh01, bulkShear06 }), 1)
+      : null,
+    scp: round(supercellCompositeParameter({ cape, srh03, bulkShear06 }), 1)
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  calculateConvectiveParameters,
+  significantTornadoParameter,
+  supercellCompositeParameter,
+  stormRelativeHelicity,
+  bunkersStormMotion,
+  bulkShear,
+  lclHeight,
+  buildHodograph,
+  windToComponents,
+  componentsToWind,
+  STANDARD_LEVEL_HEIGHTS,
+  MPH_TO_MS
+};
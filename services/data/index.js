@@ -0,0 +1,20 @@
+/**
+ * Bundled data files (Node.js)
+ *
+ * The data itself stays plain JSON so it can be edited without code
+ * changes. Node loads it with require(); React Native apps get
+ * index.native.js instead through the "react-native" field in
+ * package.json, since Metro imports .json files directly.
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const OKLAHOMA_SHELTERS = require('./oklahomaShelters.json');
+const THREAT_RULES = require('./threatRules.json');
+
+export {
+  OKLAHOMA_SHELTERS,
+  THREAT_RULES
+};
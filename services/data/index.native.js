@@ -0,0 +1,15 @@
+/**
+ * Bundled data files (React Native)
+ *
+ * Metro bundles .json imports as-is. Apps that copy services/ into
+ * their own tree need the same "react-native" mapping this repo's
+ * package.json has, from ./services/data/index.js to this file.
+ */
+
+import OKLAHOMA_SHELTERS from './oklahomaShelters.json';
+import THREAT_RULES from './threatRules.json';
+
+export {
+  OKLAHOMA_SHELTERS,
+  THREAT_RULES
+};
@@ -0,0 +1,335 @@
+/**
+ * Geometry Helpers for Tornado Shelter App
+ *
+ * Small, dependency-free helpers for working with the GeoJSON
+ * geometries returned by NWS, SPC and shelter data sources.
+ *
+ * All coordinates follow GeoJSON order: [longitude, latitude].
+ *
+ * Usage:
+ *   import { isPointInPolygon, distanceToPolygonEdgeMiles } from './geoUtils.js';
+ *
+ *   const inside = isPointInPolygon(35.4676, -97.5164, alert.geometry);
+ */
+
+const EARTH_RADIUS_MILES = 3959;
+
+// ==========================================
+// DISTANCE
+// ==========================================
+
+/**
+ * Haversine formula for distance calculation
+ *
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in miles
+ */
+function calculateDistanceMiles(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_MILES * c;
+}
+
+/**
+ * Distance from a point to a line segment, in miles
+ * Uses a local equirectangular projection, which is accurate
+ * to well under 1% at warning-polygon scales (< 100 miles)
+ */
+function distanceToSegmentMiles(lat, lon, [lon1, lat1], [lon2, lat2]) {
+  const milesPerDegLat = EARTH_RADIUS_MILES * Math.PI / 180;
+  const milesPerDegLon = milesPerDegLat * Math.cos(lat * Math.PI / 180);
+
+  // Project segment endpoints relative to the point
+  const ax = (lon1 - lon) * milesPerDegLon;
+  const ay = (lat1 - lat) * milesPerDegLat;
+  const bx = (lon2 - lon) * milesPerDegLon;
+  const by = (lat2 - lat) * milesPerDegLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+
+  // Closest point on the segment to the origin (our point)
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Initial bearing from one point to another
+ *
+ * @returns {number} Degrees clockwise from north (0-360)
+ */
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Point reached by travelling a distance along a bearing
+ *
+ * @param {number} lat - Start latitude
+ * @param {number} lon - Start longitude
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} miles - Distance in miles
+ * @returns {Object} { latitude, longitude }
+ */
+function destinationPoint(lat, lon, bearing, miles) {
+  const delta = miles / EARTH_RADIUS_MILES;
+  const theta = bearing * Math.PI / 180;
+  const phi1 = lat * Math.PI / 180;
+  const lambda1 = lon * Math.PI / 180;
+
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) +
+    Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return {
+    latitude: phi2 * 180 / Math.PI,
+    longitude: ((lambda2 * 180 / Math.PI) + 540) % 360 - 180
+  };
+}
+
+/**
+ * Smallest angle between two bearings (0-180)
+ */
+function angleBetween(bearing1, bearing2) {
+  const diff = Math.abs(bearing1 - bearing2) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// ==========================================
+// POLYGONS
+// ==========================================
+
+/**
+ * Returns the polygons of a GeoJSON geometry as arrays of rings
+ * Supports Polygon, MultiPolygon and GeometryCollection
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Array of polygons, each an array of [lon, lat] rings
+ */
+function getPolygons(geometry) {
+  if (!geometry) return [];
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(getPolygons);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Converts ArcGIS (Esri JSON) polygon rings to a GeoJSON MultiPolygon
+ *
+ * Esri polygons list every ring in one array: clockwise rings are
+ * outer boundaries, counter-clockwise rings are holes in whichever
+ * outer ring contains them.
+ *
+ * @param {Array} rings - Esri geometry.rings ([x, y] = [lon, lat])
+ * @returns {Object|null} GeoJSON MultiPolygon, or null if there are no rings
+ */
+function esriRingsToGeoJSON(rings) {
+  if (!rings || rings.length === 0) return null;
+
+  // Shoelace sum: positive for clockwise rings in x/y space
+  const isClockwise = ring => {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum > 0;
+  };
+
+  const polygons = [];
+  const holes = [];
+  for (const ring of rings) {
+    if (ring.length < 4) continue;
+    if (isClockwise(ring)) {
+      polygons.push([ring]);
+    } else {
+      holes.push(ring);
+    }
+  }
+
+  for (const hole of holes) {
+    const [lon, lat] = hole[0];
+    const owner = polygons.find(([outer]) => isPointInRing(lat, lon, outer));
+    // A counter-clockwise ring with no outer ring is a mis-wound outer ring
+    if (owner) owner.push(hole);
+    else polygons.push([hole]);
+  }
+
+  return polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null;
+}
+
+/**
+ * Ray-casting test for a single linear ring
+ */
+function isPointInRing(lat, lon, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lon < (xj - xi) * (lat - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Checks whether a point falls inside a GeoJSON polygon geometry
+ * Holes (inner rings) are respected
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean} True if the point is inside
+ */
+function isPointInPolygon(lat, lon, geometry) {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    outer && isPointInRing(lat, lon, outer) &&
+    !holes.some(hole => isPointInRing(lat, lon, hole))
+  );
+}
+
+/**
+ * Bounding box of a geometry's outer rings
+ */
+function getBounds(polygons) {
+  const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+  for (const [outer] of polygons) {
+    for (const [lon, lat] of outer || []) {
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Whether segments p1-p2 and q1-q2 cross ([lon, lat] points)
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * Checks whether two polygon geometries overlap at all
+ * (one contains a vertex of the other, or their edges cross)
+ *
+ * @param {Object} geometryA - GeoJSON Polygon or MultiPolygon
+ * @param {Object} geometryB - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean} True if the polygons share any area
+ */
+function polygonsIntersect(geometryA, geometryB) {
+  const polygonsA = getPolygons(geometryA);
+  const polygonsB = getPolygons(geometryB);
+  if (polygonsA.length === 0 || polygonsB.length === 0) return false;
+
+  // Quick reject on bounding boxes
+  const a = getBounds(polygonsA);
+  const b = getBounds(polygonsB);
+  if (a.maxLon < b.minLon || b.maxLon < a.minLon || a.maxLat < b.minLat || b.maxLat < a.minLat) {
+    return false;
+  }
+
+  const hasVertexInside = (polygons, geometry) => polygons.some(([outer]) =>
+    (outer || []).some(([lon, lat]) => isPointInPolygon(lat, lon, geometry))
+  );
+  if (hasVertexInside(polygonsA, geometryB) || hasVertexInside(polygonsB, geometryA)) {
+    return true;
+  }
+
+  const ringsA = polygonsA.flat();
+  const ringsB = polygonsB.flat();
+  for (const ringA of ringsA) {
+    for (let i = 0; i < ringA.length - 1; i++) {
+      for (const ringB of ringsB) {
+        for (let j = 0; j < ringB.length - 1; j++) {
+          if (segmentsIntersect(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) return true;
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Distance from a point to the nearest edge of a polygon geometry
+ * Works for points both inside and outside the polygon
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number|null} Distance in miles, or null if there is no polygon
+ */
+function distanceToPolygonEdgeMiles(lat, lon, geometry) {
+  const rings = getPolygons(geometry).flat();
+  if (rings.length === 0) return null;
+
+  let minDistance = Infinity;
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      minDistance = Math.min(minDistance, distanceToSegmentMiles(lat, lon, ring[i], ring[i + 1]));
+    }
+  }
+
+  return Number.isFinite(minDistance) ? minDistance : null;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  calculateDistanceMiles,
+  distanceToSegmentMiles,
+  bearingDegrees,
+  destinationPoint,
+  angleBetween,
+  getPolygons,
+  esriRingsToGeoJSON,
+  isPointInPolygon,
+  polygonsIntersect,
+  distanceToPolygonEdgeMiles
+};
@@ -0,0 +1,292 @@
+/**
+ * SPC Mesoscale Discussion Parser for Tornado Shelter App
+ * Turns the MCD text product into structured data
+ *
+ * An MCD text product looks like:
+ *
+ *   Mesoscale Discussion 0124
+ *   NWS Storm Prediction Center Norman OK
+ *   1139 AM CST Sun Mar 01 2026
+ *
+ *   Areas affected...South Florida
+ *   Concerning...Severe potential...Watch unlikely
+ *   Valid 011739Z - 011945Z
+ *   Probability of Watch Issuance...20 percent
+ *
+ *   SUMMARY...
+ *   DISCUSSION...
+ *   ..Forecaster.. 03/01/2026
+ *
+ *   LAT...LON   25208029 25198059 ...
+ *
+ * LAT...LON pairs are DDdd DDdd (degrees x 100, west longitude
+ * positive). Longitudes of 100W and beyond drop the leading 1,
+ * so "36500250" is 36.50N 102.50W.
+ *
+ * Sample products: sample_api_responses/spc_mcd_*.txt
+ *
+ * Usage:
+ *   import { parseMCD, isPointInMCD } from './services/mcdParser';
+ *
+ *   const mcd = parseMCD(productText);
+ *   if (isPointInMCD(mcd, 35.4676, -97.5164)) { ... }
+ */
+
+import { isPointInPolygon } from './geoUtils.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// Timezones used in SPC issuance lines (hours from UTC)
+const TIMEZONE_OFFSETS = {
+  UTC: 0, GMT: 0,
+  EST: -5, EDT: -4,
+  CST: -6, CDT: -5,
+  MST: -7, MDT: -6,
+  PST: -8, PDT: -7
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// State names as written in "Areas affected" (SPC spells states out)
+const STATE_CODES = {
+  'alabama': 'AL', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'florida': 'FL',
+  'georgia': 'GA', 'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN',
+  'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA',
+  'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI',
+  'minnesota': 'MN', 'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT',
+  'nebraska': 'NE', 'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+  'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA',
+  'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN',
+  'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+  'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Pulls the text product out of an MCD web page (the <pre> block)
+ * Plain text is returned unchanged
+ */
+function extractMCDText(html) {
+  const pre = String(html || '').match(/<pre[^>]*>([\s\S]*?)<\/pre>/i);
+  if (!pre) return String(html || '');
+
+  return pre[1]
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collapses a wrapped paragraph onto one line
+ */
+function unwrap(text) {
+  return text ? text.replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Text after "LABEL..." up to the next blank line
+ */
+function field(text, label) {
+  // ^ is per line (m flag); (?![\\s\\S]) is end of text
+  const match = text.match(new RegExp(`^\\s*${label}\\.\\.\\.([\\s\\S]*?)(?:\\n\\s*\\n|(?![\\s\\S]))`, 'im'));
+  return match ? unwrap(match[1]) : null;
+}
+
+/**
+ * Text after "LABEL..." to the end of that line
+ */
+function lineField(text, label) {
+  const match = text.match(new RegExp(`^\\s*${label}\\.\\.\\.(.*)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Parses the issuance line ("1139 AM CST Sun Mar 01 2026")
+ */
+function parseIssuanceTime(text) {
+  const match = text.match(
+    /^\s*(\d{3,4})\s+(AM|PM)\s+([A-Z]{3})\s+[A-Z]{3}\s+([A-Z]{3})\s+(\d{1,2})\s+(\d{4})\s*$/im
+  );
+  if (!match) return null;
+
+  const [, hhmm, meridiem, zone, monthName, day, year] = match;
+  const offset = TIMEZONE_OFFSETS[zone.toUpperCase()];
+  const month = MONTHS.indexOf(monthName.toUpperCase());
+  if (offset === undefined || month === -1) return null;
+
+  let hour = parseInt(hhmm.slice(0, -2), 10) % 12;
+  if (meridiem.toUpperCase() === 'PM') hour += 12;
+  const minute = parseInt(hhmm.slice(-2), 10);
+
+  return new Date(Date.UTC(+year, month, +day, hour - offset, minute));
+}
+
+/**
+ * Resolves a DDHHMM "Z" time against the issuance time
+ * The valid period can start or end in the next month
+ */
+function resolveDayTime(ddhhmm, reference) {
+  if (!ddhhmm || !reference) return null;
+
+  const day = parseInt(ddhhmm.slice(0, 2), 10);
+  const hour = parseInt(ddhhmm.slice(2, 4), 10);
+  const minute = parseInt(ddhhmm.slice(4, 6), 10);
+
+  const candidates = [-1, 0, 1].map(monthOffset => new Date(Date.UTC(
+    reference.getUTCFullYear(),
+    reference.getUTCMonth() + monthOffset,
+    day, hour, minute
+  )));
+
+  // The candidate closest to issuance
+  return candidates.reduce((best, date) =>
+    Math.abs(date - reference) < Math.abs(best - reference) ? date : best
+  );
+}
+
+/**
+ * Parses the LAT...LON block into a closed GeoJSON polygon
+ */
+function parseLatLonPolygon(text) {
+  const block = text.match(/LAT\.\.\.LON\s+([\d\s]+)/i);
+  if (!block) return null;
+
+  const coordinates = (block[1].match(/\d{8}/g) || []).map(pair => {
+    const lat = parseInt(pair.slice(0, 4), 10) / 100;
+    let lon = parseInt(pair.slice(4), 10) / 100;
+    // 100W and beyond are written without the leading 1
+    if (lon < 50) lon += 100;
+    return [-lon, lat];
+  });
+
+  if (coordinates.length < 3) return null;
+
+  const [firstLon, firstLat] = coordinates[0];
+  const [lastLon, lastLat] = coordinates[coordinates.length - 1];
+  if (firstLon !== lastLon || firstLat !== lastLat) {
+    coordinates.push([firstLon, firstLat]);
+  }
+
+  return { type: 'Polygon', coordinates: [coordinates] };
+}
+
+/**
+ * State codes for states named in "Areas affected"
+ */
+function parseStates(areasAffected) {
+  if (!areasAffected) return [];
+  const text = areasAffected.toLowerCase();
+
+  return Object.entries(STATE_CODES)
+    // "Virginia" inside "West Virginia" doesn't count ("Northwest Texas" does)
+    .filter(([name]) => new RegExp(`(?<!\\bwest )\\b${name}\\b`).test(text))
+    .map(([, code]) => code);
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Parses an SPC Mesoscale Discussion text product (or its web page)
+ *
+ * @param {string} product - MCD text product or HTML page
+ * @returns {Object} {
+ *   number, issued, validFrom, validUntil, areasAffected, states,
+ *   concerning, watchProbability, summary, discussion, forecasters,
+ *   attnWFOs, polygon, peakTornadoIntensity, peakWindGust, peakHailSize,
+ *   mentionsTornado, rawText
+ * }
+ */
+function parseMCD(product) {
+  const text = extractMCDText(product).replace(/\r\n/g, '\n');
+
+  const numberMatch = text.match(/Mesoscale Discussion\s+(\d+)/i);
+  const issued = parseIssuanceTime(text);
+
+  const validMatch = text.match(/Valid\s+(\d{6})Z\s*-\s*(\d{6})Z/i);
+  const validFrom = validMatch ? resolveDayTime(validMatch[1], issued) : null;
+  let validUntil = validMatch ? resolveDayTime(validMatch[2], issued) : null;
+  if (validFrom && validUntil && validUntil < validFrom) {
+    validUntil = resolveDayTime(validMatch[2], validFrom);
+  }
+
+  const probabilityMatch = text.match(/Probability of Watch Issuance\.\.\.\s*(\d{1,3})\s*percent/i);
+
+  // DISCUSSION runs until the "..Forecaster.. MM/DD/YYYY" signature
+  const discussionMatch = text.match(/DISCUSSION\.\.\.([\s\S]*?)(?:\n\s*\.\.[^\n]*\.\.\s*\d{2}\/\d{2}\/\d{4}|\n\s*\.\.\.Please see|$)/i);
+  const signatureMatch = text.match(/^\s*\.\.(.+?)\.\.\s*\d{2}\/\d{2}\/\d{4}/m);
+
+  const attn = text.match(/ATTN\.\.\.WFO\.\.\.([A-Z.]+)/);
+  const areasAffected = field(text, 'Areas affected');
+  const summary = field(text, 'SUMMARY');
+
+  return {
+    number: numberMatch ? numberMatch[1].padStart(4, '0') : null,
+    issued,
+    validFrom,
+    validUntil,
+    areasAffected,
+    states: parseStates(areasAffected),
+    concerning: field(text, 'Concerning'),
+    watchProbability: probabilityMatch ? parseInt(probabilityMatch[1], 10) : null,
+    summary,
+    discussion: discussionMatch ? unwrap(discussionMatch[1]) : null,
+    forecasters: signatureMatch ? signatureMatch[1].split('/').map(name => name.trim()) : [],
+    attnWFOs: attn ? attn[1].split('.').filter(Boolean) : [],
+    polygon: parseLatLonPolygon(text),
+    peakTornadoIntensity: lineField(text, 'MOST PROBABLE PEAK TORNADO INTENSITY'),
+    peakWindGust: lineField(text, 'MOST PROBABLE PEAK WIND GUST'),
+    peakHailSize: lineField(text, 'MOST PROBABLE PEAK HAIL SIZE'),
+    mentionsTornado: /tornado/i.test(`${field(text, 'Concerning') || ''} ${summary || ''}`) ||
+      /PEAK TORNADO INTENSITY/i.test(text),
+    rawText: text.trim()
+  };
+}
+
+/**
+ * Checks whether a point is inside an MCD's area
+ *
+ * @param {Object} mcd - From parseMCD()
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if the point is inside the MCD polygon
+ */
+function isPointInMCD(mcd, lat, lon) {
+  return !!mcd?.polygon && isPointInPolygon(lat, lon, mcd.polygon);
+}
+
+/**
+ * Whether an MCD is valid at a given time
+ */
+function isMCDActive(mcd, now = new Date()) {
+  if (!mcd?.validUntil) return false;
+  return now <= mcd.validUntil && (!mcd.validFrom || now >= mcd.validFrom);
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseMCD,
+  extractMCDText,
+  isPointInMCD,
+  isMCDActive,
+  // Shared with the other SPC text products (watches)
+  parseIssuanceTime,
+  resolveDayTime,
+  parseLatLonPolygon,
+  parseStates,
+  TIMEZONE_OFFSETS
+};
@@ -0,0 +1,527 @@
+/**
+ * Notification Service for Tornado Shelter App
+ * Enforces the README's 5-level Alert Priority System
+ *
+ * This service:
+ * - Evaluates weather data against the alert rules
+ *   (push notification / in-app alert / status update)
+ * - Sends push notifications through pluggable transports
+ *   (Expo push, FCM, web-push, or a local mock)
+ * - Records which alerts were already sent so a user
+ *   never gets the same warning twice
+ *
+ * Usage:
+ *   import { WeatherDataService } from './services/weatherDataService';
+ *   import { NotificationService, ExpoPushTransport } from './services/notificationService';
+ *
+ *   const service = new WeatherDataService();
+ *   const notifier = new NotificationService({
+ *     transports: [new ExpoPushTransport()]
+ *   });
+ *
+ *   const data = await service.fetchAllData(35.4676, -97.5164);
+ *   const result = await notifier.notify(
+ *     { id: 'user-123', expoPushToken: 'ExponentPushToken[xxx]' },
+ *     notifier.conditionsFromWeatherData(data, { mcds, cape, outlookRisk })
+ *   );
+ */
+
+import { fetchWithTimeout } from './weatherDataService.js';
+import { getActiveEventAlerts } from './vtec.js';
+
+// ==========================================
+// ALERT RULES
+// ==========================================
+
+// Thresholds from the README Alert Priority System
+// (mirrors CAPE_HIGH_THRESHOLD / CAPE_MODERATE_THRESHOLD / MCD_PUSH_THRESHOLD)
+const NOTIFICATION_THRESHOLDS = {
+  MCD_PUSH: 80,        // MCD watch probability for a push notification
+  MCD_IN_APP: 50,      // MCD watch probability for an in-app alert
+  CAPE_PUSH: 2500,     // J/kg
+  CAPE_IN_APP: 1000,   // J/kg
+  CAPE_STATUS: 300     // J/kg
+};
+
+// How a notification is delivered
+const CHANNELS = {
+  PUSH: 'push',
+  IN_APP: 'inApp',
+  STATUS: 'status'
+};
+
+// SPC categorical risk levels, lowest to highest
+const OUTLOOK_RISK_ORDER = ['TSTM', 'MRGL', 'SLGT', 'ENH', 'MDT', 'HIGH'];
+
+// Tornado warning escalation tiers, lowest first
+const WARNING_TIERS = ['warning', 'pds', 'observed', 'emergency'];
+
+const WARNING_TITLES = {
+  warning: '🌪️ TORNADO WARNING',
+  pds: '🌪️ TORNADO WARNING - PARTICULARLY DANGEROUS SITUATION',
+  observed: '🌪️ TORNADO WARNING - TORNADO OBSERVED',
+  emergency: '🚨 TORNADO EMERGENCY'
+};
+
+/**
+ * Escalation tier from the warning's impact tags
+ */
+function tornadoWarningTier(alert) {
+  if (alert.isTornadoEmergency) return 'emergency';
+  if (alert.isTornadoObserved) return 'observed';
+  if (alert.isPDS) return 'pds';
+  return 'warning';
+}
+
+// ==========================================
+// SENT ALERT STORE
+// ==========================================
+
+/**
+ * Remembers which notifications each user already received
+ * Default in-memory implementation - swap for a persistent store
+ * with the same has()/add() methods if needed
+ */
+class SentAlertStore {
+  constructor() {
+    this.sent = new Map();
+  }
+
+  has(userId, key) {
+    return this.sent.get(userId)?.has(key) || false;
+  }
+
+  add(userId, key) {
+    if (!this.sent.has(userId)) {
+      this.sent.set(userId, new Set());
+    }
+    this.sent.get(userId).add(key);
+  }
+
+  clear(userId) {
+    if (userId) {
+      this.sent.delete(userId);
+    } else {
+      this.sent.clear();
+    }
+  }
+}
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+/**
+ * Expo push notifications (React Native / Expo apps)
+ * FREE - No API key required for basic use
+ *
+ * Recipient must have an `expoPushToken`
+ */
+class ExpoPushTransport {
+  constructor(options = {}) {
+    this.name = 'expo';
+    this.url = options.url || 'https://exp.host/--/api/v2/push/send';
+    this.accessToken = options.accessToken || null;
+  }
+
+  canSend(recipient) {
+    return !!recipient.expoPushToken;
+  }
+
+  async send(recipient, notification) {
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+    if (this.accessToken) {
+      headers['Authorization'] = `Bearer ${this.accessToken}`;
+    }
+
+    const response = await fetchWithTimeout(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        to: recipient.expoPushToken,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        sound: 'default',
+        priority: notification.priority <= 2 ? 'high' : 'default'
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Expo push error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (result.data?.status === 'error') {
+      throw new Error(`Expo push error: ${result.data.message}`);
+    }
+
+    return result.data;
+  }
+}
+
+/**
+ * Firebase Cloud Messaging (HTTP v1 API)
+ * Requires a Firebase project ID and an OAuth2 access token
+ *
+ * Recipient must have an `fcmToken`
+ */
+class FCMTransport {
+  constructor(options = {}) {
+    if (!options.projectId || !options.accessToken) {
+      throw new Error('FCMTransport requires projectId and accessToken');
+    }
+    this.name = 'fcm';
+    this.projectId = options.projectId;
+    this.accessToken = options.accessToken;
+  }
+
+  canSend(recipient) {
+    return !!recipient.fcmToken;
+  }
+
+  async send(recipient, notification) {
+    const url = `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`;
+    const isUrgent = notification.priority <= 2;
+
+    // FCM data payload values must be strings
+    const data = Object.fromEntries(
+      Object.entries(notification.data || {}).map(([k, v]) => [k, String(v)])
+    );
+
+    const response = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token: recipient.fcmToken,
+          notification: { title: notification.title, body: notification.body },
+          data,
+          android: { priority: isUrgent ? 'high' : 'normal' },
+          apns: { headers: { 'apns-priority': isUrgent ? '10' : '5' } }
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`FCM error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Web Push (browsers)
+ * Payload encryption and VAPID signing are delegated to a
+ * `sendNotification(subscription, payload)` function, such as
+ * the one exported by the `web-push` npm package
+ *
+ * Recipient must have a `webPushSubscription`
+ */
+class WebPushTransport {
+  constructor(options = {}) {
+    if (typeof options.sendNotification !== 'function') {
+      throw new Error('WebPushTransport requires a sendNotification function');
+    }
+    this.name = 'webpush';
+    this.sendNotification = options.sendNotification;
+  }
+
+  canSend(recipient) {
+    return !!recipient.webPushSubscription;
+  }
+
+  async send(recipient, notification) {
+    return this.sendNotification(
+      recipient.webPushSubscription,
+      JSON.stringify({
+        title: notification.title,
+        body: notification.body,
+        data: notification.data
+      })
+    );
+  }
+}
+
+/**
+ * Local mock transport for examples and tests
+ * Records every notification instead of sending it - never use it
+ * for real users
+ */
+class MockTransport {
+  constructor() {
+    this.name = 'mock';
+    this.sent = [];
+  }
+
+  canSend() {
+    return true;
+  }
+
+  async send(recipient, notification) {
+    this.sent.push({ recipient, notification, sentAt: new Date() });
+    return { status: 'ok' };
+  }
+}
+
+// ==========================================
+// NOTIFICATION SERVICE
+// ==========================================
+
+class NotificationService {
+  /**
+   * @param {Object} options
+   * @param {Array} options.transports - Push transports (required; MockTransport for examples)
+   * @param {Object} options.sentStore - Store with has()/add() (default: in-memory)
+   * @param {Object} options.thresholds - Overrides for NOTIFICATION_THRESHOLDS
+   */
+  constructor(options = {}) {
+    // A warning that can't be delivered must never look sent
+    if (!Array.isArray(options.transports) || options.transports.length === 0) {
+      throw new Error('NotificationService requires at least one push transport');
+    }
+    this.transports = options.transports;
+    this.sentStore = options.sentStore || new SentAlertStore();
+    this.thresholds = { ...NOTIFICATION_THRESHOLDS, ...options.thresholds };
+  }
+
+  /**
+   * Builds rule inputs from a fetchAllData() result
+   * Predictive data (MCDs, CAPE, SPC outlook) is passed separately
+   *
+   * @param {Object} weatherData - Result of WeatherDataService.fetchAllData()
+   * @param {Object} predictive - { mcds, cape, capeDate, outlookRisk, highRiskDays }
+   * @returns {Object} Conditions for evaluate()
+   */
+  conditionsFromWeatherData(weatherData, predictive = {}) {
+    return {
+      alerts: weatherData?.alerts?.all || [],
+      mcds: predictive.mcds || weatherData?.mesoscaleDiscussions?.covering || [],
+      cape: predictive.cape ?? null,
+      capeDate: predictive.capeDate || null,
+      outlookRisk: predictive.outlookRisk || weatherData?.summary?.outlookRisk || 'NONE',
+      highRiskDays: predictive.highRiskDays || weatherData?.tornadoMetrics?.highRiskDays || []
+    };
+  }
+
+  /**
+   * Evaluates the Alert Priority System rules
+   *
+   * Each notification has a stable `key` used for de-duplication:
+   * the VTEC event + escalation tier for warnings (so follow-up
+   * statements don't push again), the MCD number, or the rule + date
+   * for forecast-based rules. `covers` lists keys a notification makes
+   * redundant (the lower tiers of the same warning).
+   *
+   * @param {Object} conditions - { alerts, mcds, cape, capeDate, outlookRisk, highRiskDays }
+   * @returns {Array} Notifications sorted by priority (1 = most urgent)
+   */
+  evaluate(conditions) {
+    const { alerts = [], mcds = [], cape = null, outlookRisk = 'NONE', highRiskDays = [] } = conditions;
+    const capeDate = conditions.capeDate || new Date().toISOString().split('T')[0];
+    const t = this.thresholds;
+    const notifications = [];
+
+    // Priority 1: NWS Tornado Warning
+    // Latest product of each warning still in effect - cancelled and
+    // expired warnings leave nothing to shelter from
+    for (const alert of getActiveEventAlerts(alerts)) {
+      if (alert.event !== 'Tornado Warning') continue;
+
+      // Outside the storm-based warning box - still tell the user, but in-app
+      const outsidePolygon = alert.isInsidePolygon === false;
+      const channel = outsidePolygon ? CHANNELS.IN_APP : CHANNELS.PUSH;
+      const tier = tornadoWarningTier(alert);
+      const eventKey = alert.eventKey || alert.id;
+      const tierKey = level => `tornado_${eventKey}_${level}_${channel}`;
+
+      notifications.push({
+        // Re-notify only when the warning escalates or the user moves inside it
+        key: tierKey(tier),
+        covers: WARNING_TIERS.slice(0, WARNING_TIERS.indexOf(tier)).map(tierKey),
+        priority: outsidePolygon ? 3 : 1,
+        channel,
+        title: WARNING_TITLES[tier],
+        body: outsidePolygon
+          ? `${alert.isTornadoEmergency ? 'Tornado Emergency' : 'Tornado Warning'} near you: ${alert.areaDesc}`
+          : alert.headline || 'Seek shelter immediately!',
+        data: {
+          type: 'nws_alert',
+          alertId: alert.id,
+          eventKey,
+          tornadoDetection: alert.tornadoDetection || null,
+          tornadoDamageThreat: alert.tornadoDamageThreat || null
+        }
+      });
+    }
+
+    // Priority 2: SPC Mesoscale Discussion watch probability
+    for (const mcd of mcds) {
+      const probability = mcd.watchProbability ?? 0;
+      let channel = CHANNELS.STATUS;
+      let priority = 5;
+      if (probability >= t.MCD_PUSH) {
+        channel = CHANNELS.PUSH;
+        priority = 2;
+      } else if (probability >= t.MCD_IN_APP) {
+        channel = CHANNELS.IN_APP;
+        priority = 3;
+      }
+
+      notifications.push({
+        // Re-notify if the watch probability is raised into a new channel
+        key: `mcd_${mcd.number}_${channel}`,
+        priority,
+        channel,
+        title: priority === 2 ? '⚠️ Tornado Watch Likely Soon' : 'Mesoscale Discussion',
+        body: `SPC MCD #${mcd.number}: ${mcd.concerning || 'Severe weather analysis'}` +
+          (mcd.watchProbability != null ? ` (watch probability ${mcd.watchProbability}%)` : ''),
+        data: { type: 'spc_mcd', mcdNumber: mcd.number }
+      });
+    }
+
+    // Priority 3: Open-Meteo CAPE
+    if (cape !== null) {
+      let rule = null;
+      if (cape >= t.CAPE_PUSH) {
+        rule = { channel: CHANNELS.PUSH, priority: 3, threshold: t.CAPE_PUSH };
+      } else if (cape >= t.CAPE_IN_APP) {
+        rule = { channel: CHANNELS.IN_APP, priority: 3, threshold: t.CAPE_IN_APP };
+      } else if (cape >= t.CAPE_STATUS) {
+        rule = { channel: CHANNELS.STATUS, priority: 5, threshold: t.CAPE_STATUS };
+      }
+
+      if (rule) {
+        notifications.push({
+          key: `cape_${capeDate}_${rule.threshold}`,
+          priority: rule.priority,
+          channel: rule.channel,
+          title: 'Tornado Environment',
+          body: `CAPE of ${cape} J/kg - stay weather aware`,
+          data: { type: 'cape', cape, date: capeDate }
+        });
+      }
+    }
+
+    // Priority 4: SPC Convective Outlook
+    const riskIndex = OUTLOOK_RISK_ORDER.indexOf(outlookRisk);
+    if (riskIndex >= OUTLOOK_RISK_ORDER.indexOf('MRGL')) {
+      const isEnhancedOrHigher = riskIndex >= OUTLOOK_RISK_ORDER.indexOf('ENH');
+      notifications.push({
+        key: `outlook_${capeDate}_${outlookRisk}`,
+        priority: isEnhancedOrHigher ? 4 : 5,
+        channel: isEnhancedOrHigher ? CHANNELS.IN_APP : CHANNELS.STATUS,
+        title: 'Severe Weather Outlook',
+        body: `SPC risk level today: ${outlookRisk}`,
+        data: { type: 'spc_outlook', risk: outlookRisk }
+      });
+    }
+
+    // Priority 5: 16-day high-risk days
+    for (const day of highRiskDays) {
+      notifications.push({
+        key: `high_risk_day_${day.date}`,
+        priority: 5,
+        channel: CHANNELS.STATUS,
+        title: 'High-Risk Day Ahead',
+        body: `${day.date}: CAPE up to ${day.cape_max} J/kg` +
+          (day.risk ? ` (${day.risk} tornado risk)` : ''),
+        data: { type: 'high_risk_day', date: day.date, cape: day.cape_max, risk: day.risk || null }
+      });
+    }
+
+    return notifications.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Evaluates rules and delivers new notifications to a recipient
+   * Push notifications go through every transport that can reach
+   * the recipient; in-app and status updates are returned for the UI.
+   *
+   * @param {Object} recipient - { id, expoPushToken?, fcmToken?, webPushSubscription? }
+   * @param {Object} conditions - See evaluate()
+   * @returns {Promise<Object>} { pushed, inApp, status, skipped, errors }
+   */
+  async notify(recipient, conditions) {
+    const result = { pushed: [], inApp: [], status: [], skipped: [], errors: [] };
+
+    for (const notification of this.evaluate(conditions)) {
+      if (await this.sentStore.has(recipient.id, notification.key)) {
+        result.skipped.push(notification);
+        continue;
+      }
+
+      if (notification.channel === CHANNELS.PUSH) {
+        const delivered = await this.sendPush(recipient, notification, result.errors);
+        // Only mark as sent once a transport accepted it, so failures are retried
+        if (!delivered) continue;
+        result.pushed.push(notification);
+      } else {
+        result[notification.channel].push(notification);
+      }
+
+      await this.sentStore.add(recipient.id, notification.key);
+      for (const key of notification.covers || []) {
+        await this.sentStore.add(recipient.id, key);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Sends one push notification through all capable transports
+   * A recipient no transport can reach is reported in `errors`
+   *
+   * @returns {Promise<boolean>} True if at least one transport succeeded
+   */
+  async sendPush(recipient, notification, errors = []) {
+    const transports = this.transports.filter(t => t.canSend(recipient));
+    if (transports.length === 0) {
+      errors.push({
+        transport: null,
+        key: notification.key,
+        error: `No transport can reach recipient ${recipient.id}`
+      });
+      return false;
+    }
+
+    let delivered = false;
+
+    for (const transport of transports) {
+      try {
+        await transport.send(recipient, notification);
+        delivered = true;
+      } catch (error) {
+        console.error(`${transport.name} push failed:`, error.message);
+        errors.push({ transport: transport.name, key: notification.key, error: error.message });
+      }
+    }
+
+    return delivered;
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  NotificationService,
+  SentAlertStore,
+  ExpoPushTransport,
+  FCMTransport,
+  WebPushTransport,
+  MockTransport,
+  NOTIFICATION_THRESHOLDS,
+  CHANNELS
+};
+
+export default NotificationService;
@@ -0,0 +1,432 @@
+/**
+ * Shelter Occupancy Service for Tornado Shelter App
+ * Live check-in / check-out for registered community shelters
+ *
+ * Community tornado shelters aren't in FEMA's National Shelter System,
+ * so there is no live population for them - and they fill up fast.
+ * People check in when they arrive and check out when they leave;
+ * the running headcount becomes the shelter's `currentPopulation`
+ * and `availableCapacity`, and a shelter at capacity is marked FULL.
+ *
+ * Stores:
+ * - MemoryOccupancyStore:   In-process (single device, or tests)
+ * - SupabaseOccupancyStore: Shared Supabase table, so every phone sees
+ *                           the same headcount
+ *
+ * Usage:
+ *   import { createClient } from '@supabase/supabase-js';
+ *   import { ShelterOccupancyService, SupabaseOccupancyStore } from './services/occupancyService';
+ *
+ *   const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+ *   const occupancy = new ShelterOccupancyService(new SupabaseOccupancyStore(supabase), registry);
+ *   const service = new WeatherDataService({ shelterRegistry: registry, occupancy });
+ *
+ *   const { checkIn } = await occupancy.checkIn('ok-stillwater-001', { partySize: 3 });
+ *   await occupancy.checkOut(checkIn.id);
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const OCCUPANCY_CONFIG = {
+  // People rarely check out after the all-clear. Check-ins older
+  // than this stop counting toward occupancy.
+  CHECK_IN_TTL_MS: 6 * 60 * 60 * 1000,
+  MAX_PARTY_SIZE: 50
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+function generateCheckInId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Sums active party sizes per shelter
+ *
+ * @returns {Map} shelterId -> people checked in
+ */
+function countByShelter(checkIns) {
+  const counts = new Map();
+  for (const checkIn of checkIns) {
+    counts.set(checkIn.shelterId, (counts.get(checkIn.shelterId) || 0) + checkIn.partySize);
+  }
+  return counts;
+}
+
+/**
+ * Capacity fields for a shelter given its headcount
+ */
+function capacityFields(totalCapacity, currentPopulation) {
+  const availableCapacity = totalCapacity != null && currentPopulation != null
+    ? Math.max(0, totalCapacity - currentPopulation)
+    : null;
+
+  return {
+    currentPopulation,
+    availableCapacity,
+    isFull: availableCapacity === 0
+  };
+}
+
+/**
+ * Occupancy summary for one shelter
+ */
+function buildOccupancy(shelterId, totalCapacity, currentPopulation) {
+  const fields = capacityFields(totalCapacity, currentPopulation);
+  return {
+    shelterId,
+    totalCapacity,
+    ...fields,
+    status: fields.isFull ? 'FULL' : 'OPEN'
+  };
+}
+
+// ==========================================
+// STORES
+// ==========================================
+
+/**
+ * Check-in store interface (all methods return Promises):
+ *
+ * - addIfRoom(checkIn, { capacity, since })
+ *                                      Saves { id, shelterId, partySize, userId, checkedInAt }
+ *                                      unless active check-ins (made after `since`) plus the
+ *                                      party would exceed `capacity` (null = no limit). Must
+ *                                      count and insert atomically. Returns { added, population }
+ *                                      (headcount including the party if added)
+ * - checkOut(id, at)                   Sets checkedOutAt; returns the check-in or null
+ * - listActive(shelterIds, since)      Check-ins not checked out, made after `since`
+ */
+class MemoryOccupancyStore {
+  constructor() {
+    this.checkIns = new Map();
+  }
+
+  async addIfRoom(checkIn, { capacity = null, since }) {
+    // Counted and saved with no await in between, so check-ins can't interleave
+    const population = countByShelter(this.activeCheckIns([checkIn.shelterId], since))
+      .get(checkIn.shelterId) || 0;
+    if (capacity != null && population + checkIn.partySize > capacity) {
+      return { added: false, population };
+    }
+
+    this.checkIns.set(checkIn.id, { ...checkIn, checkedOutAt: null });
+    return { added: true, population: population + checkIn.partySize };
+  }
+
+  async checkOut(id, at) {
+    const checkIn = this.checkIns.get(id);
+    if (!checkIn || checkIn.checkedOutAt) return null;
+
+    checkIn.checkedOutAt = at;
+    return { ...checkIn };
+  }
+
+  async listActive(shelterIds, since) {
+    return this.activeCheckIns(shelterIds, since);
+  }
+
+  activeCheckIns(shelterIds, since) {
+    const ids = new Set(shelterIds);
+    return [...this.checkIns.values()].filter(checkIn =>
+      ids.has(checkIn.shelterId) &&
+      !checkIn.checkedOutAt &&
+      checkIn.checkedInAt >= since
+    );
+  }
+}
+
+/**
+ * Check-ins stored in a Supabase (Postgres) table
+ *
+ * Expected table:
+ *
+ *   create table shelter_checkins (
+ *     id             text primary key,
+ *     shelter_id     text not null,
+ *     party_size     integer not null,
+ *     user_id        text,
+ *     checked_in_at  timestamptz not null,
+ *     checked_out_at timestamptz
+ *   );
+ *   create index on shelter_checkins (shelter_id) where checked_out_at is null;
+ *
+ * Check-ins go through a function that holds a per-shelter lock while
+ * it counts and inserts, so two phones can't both take the last spots:
+ *
+ *   create function shelter_check_in(
+ *     p_id text, p_shelter_id text, p_party_size integer, p_user_id text,
+ *     p_checked_in_at timestamptz, p_since timestamptz, p_capacity integer
+ *   ) returns jsonb language plpgsql as $$
+ *   declare
+ *     v_population integer;
+ *   begin
+ *     perform pg_advisory_xact_lock(hashtext(p_shelter_id));
+ *
+ *     select coalesce(sum(party_size), 0) into v_population
+ *     from shelter_checkins
+ *     where shelter_id = p_shelter_id
+ *       and checked_out_at is null
+ *       and checked_in_at >= p_since;
+ *
+ *     if p_capacity is not null and v_population + p_party_size > p_capacity then
+ *       return jsonb_build_object('added', false, 'population', v_population);
+ *     end if;
+ *
+ *     insert into shelter_checkins (id, shelter_id, party_size, user_id, checked_in_at)
+ *     values (p_id, p_shelter_id, p_party_size, p_user_id, p_checked_in_at);
+ *     return jsonb_build_object('added', true, 'population', v_population + p_party_size);
+ *   end;
+ *   $$;
+ */
+class SupabaseOccupancyStore {
+  /**
+   * @param {Object} supabase - Client from @supabase/supabase-js createClient()
+   * @param {Object} options
+   * @param {string} options.table - Table name (default 'shelter_checkins')
+   * @param {string} options.checkInFunction - Check-in function name (default 'shelter_check_in')
+   */
+  constructor(supabase, options = {}) {
+    if (!supabase) {
+      throw new Error('SupabaseOccupancyStore requires a Supabase client');
+    }
+    this.supabase = supabase;
+    this.table = options.table || 'shelter_checkins';
+    this.checkInFunction = options.checkInFunction || 'shelter_check_in';
+  }
+
+  toCheckIn(row) {
+    return {
+      id: row.id,
+      shelterId: row.shelter_id,
+      partySize: row.party_size,
+      userId: row.user_id,
+      checkedInAt: new Date(row.checked_in_at),
+      checkedOutAt: row.checked_out_at ? new Date(row.checked_out_at) : null
+    };
+  }
+
+  async addIfRoom(checkIn, { capacity = null, since }) {
+    const { data, error } = await this.supabase.rpc(this.checkInFunction, {
+      p_id: checkIn.id,
+      p_shelter_id: checkIn.shelterId,
+      p_party_size: checkIn.partySize,
+      p_user_id: checkIn.userId,
+      p_checked_in_at: checkIn.checkedInAt.toISOString(),
+      p_since: since.toISOString(),
+      p_capacity: capacity
+    });
+
+    if (error) throw new Error(`Shelter check-in failed: ${error.message}`);
+    return { added: data.added, population: data.population };
+  }
+
+  async checkOut(id, at) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .update({ checked_out_at: at.toISOString() })
+      .eq('id', id)
+      .is('checked_out_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(`Shelter check-out failed: ${error.message}`);
+    return data ? this.toCheckIn(data) : null;
+  }
+
+  async listActive(shelterIds, since) {
+    if (shelterIds.length === 0) return [];
+
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .in('shelter_id', shelterIds)
+      .is('checked_out_at', null)
+      .gte('checked_in_at', since.toISOString());
+
+    if (error) throw new Error(`Shelter occupancy lookup failed: ${error.message}`);
+    return (data || []).map(row => this.toCheckIn(row));
+  }
+}
+
+// ==========================================
+// OCCUPANCY SERVICE
+// ==========================================
+
+class ShelterOccupancyService {
+  /**
+   * @param {Object} store - Check-in store (default: in-memory)
+   * @param {ShelterRegistry} registry - Registered shelters (for capacity and ID checks)
+   */
+  constructor(store = new MemoryOccupancyStore(), registry = null) {
+    this.store = store;
+    this.registry = registry;
+  }
+
+  /**
+   * Checks a party into a registered shelter
+   *
+   * @param {string} shelterId - Registry shelter ID
+   * @param {Object} options
+   * @param {number} options.partySize - People arriving (default 1)
+   * @param {string} options.userId - Optional user/device ID
+   * @returns {Promise<Object>} { checkIn, occupancy }
+   * @throws {Error} code 'SHELTER_FULL' if the party doesn't fit (checked by the store,
+   *   atomically with the insert)
+   */
+  async checkIn(shelterId, options = {}) {
+    const { partySize = 1, userId = null } = options;
+
+    if (!Number.isInteger(partySize) || partySize < 1 || partySize > OCCUPANCY_CONFIG.MAX_PARTY_SIZE) {
+      throw new Error(`Invalid party size: ${partySize}`);
+    }
+    if (this.registry && !this.registry.get(shelterId)) {
+      throw new Error(`Unknown shelter: ${shelterId}`);
+    }
+
+    const totalCapacity = this.getTotalCapacity(shelterId);
+    const checkIn = {
+      id: generateCheckInId(),
+      shelterId,
+      partySize,
+      userId,
+      checkedInAt: new Date()
+    };
+
+    let result;
+    try {
+      result = await this.store.addIfRoom(checkIn, { capacity: totalCapacity, since: this.activeSince() });
+    } catch (error) {
+      console.error('Shelter check-in error:', error.message);
+      throw error;
+    }
+
+    const occupancy = buildOccupancy(shelterId, totalCapacity, result.population);
+    if (!result.added) {
+      const error = new Error(
+        occupancy.isFull
+          ? `Shelter ${shelterId} is full`
+          : `Shelter ${shelterId} only has room for ${occupancy.availableCapacity} more`
+      );
+      error.code = 'SHELTER_FULL';
+      error.occupancy = occupancy;
+      throw error;
+    }
+
+    return { checkIn, occupancy };
+  }
+
+  /**
+   * Checks a party out
+   *
+   * @param {string} checkInId - ID returned by checkIn()
+   * @returns {Promise<Object|null>} Updated occupancy, or null if the
+   *   check-in was unknown or already checked out
+   */
+  async checkOut(checkInId) {
+    let checkIn;
+    try {
+      checkIn = await this.store.checkOut(checkInId, new Date());
+    } catch (error) {
+      console.error('Shelter check-out error:', error.message);
+      throw error;
+    }
+
+    return checkIn ? this.getOccupancy(checkIn.shelterId) : null;
+  }
+
+  /**
+   * Live occupancy for one shelter
+   *
+   * @param {string} shelterId - Registry shelter ID
+   * @returns {Promise<Object>} { shelterId, totalCapacity, currentPopulation, availableCapacity, isFull, status }
+   */
+  async getOccupancy(shelterId) {
+    const counts = await this.getCounts([shelterId]);
+    return buildOccupancy(shelterId, this.getTotalCapacity(shelterId), counts.get(shelterId) || 0);
+  }
+
+  getTotalCapacity(shelterId) {
+    return this.registry?.get(shelterId)?.totalCapacity ?? null;
+  }
+
+  /**
+   * Adds live occupancy to shelter results
+   *
+   * Registered shelters ('local' / 'local+fema') get their headcount
+   * from check-ins (or FEMA's, if higher). Any shelter with no room
+   * left gets `isFull: true` and `status: 'FULL'`.
+   *
+   * If check-ins can't be read, registered shelters keep FEMA's
+   * headcount (or null) with `availableCapacity: null` and
+   * `occupancyUnknown: true` - never "empty".
+   *
+   * @param {Array} shelters - From FEMASheltersService.getNearbyShelters()
+   * @returns {Promise<Array>} Shelters with occupancy fields
+   */
+  async applyOccupancy(shelters) {
+    const registeredIds = shelters
+      .filter(shelter => shelter.source === 'local' || shelter.source === 'local+fema')
+      .map(shelter => shelter.id);
+
+    let counts = null;
+    try {
+      counts = await this.getCounts(registeredIds);
+    } catch (error) {
+      // Shelter results are more useful without occupancy than not at all
+      console.warn('Shelter occupancy unavailable:', error.message);
+    }
+
+    const femaFields = shelter => ({
+      isFull: shelter.availableCapacity != null && shelter.availableCapacity <= 0
+    });
+
+    return shelters.map(shelter => {
+      const isRegistered = registeredIds.includes(shelter.id);
+
+      let fields = femaFields(shelter);
+      if (isRegistered && counts) {
+        const currentPopulation = Math.max(counts.get(shelter.id) || 0, shelter.currentPopulation || 0);
+        fields = capacityFields(shelter.totalCapacity, currentPopulation);
+      } else if (isRegistered) {
+        // Unknown headcount: no check-in count to add, so no room estimate
+        fields = {
+          ...femaFields(shelter),
+          currentPopulation: shelter.currentPopulation ?? null,
+          availableCapacity: null,
+          occupancyUnknown: true
+        };
+      }
+
+      return {
+        ...shelter,
+        ...fields,
+        status: fields.isFull ? 'FULL' : (shelter.status ?? null)
+      };
+    });
+  }
+
+  async getCounts(shelterIds) {
+    return countByShelter(await this.store.listActive(shelterIds, this.activeSince()));
+  }
+
+  // Check-ins older than this no longer count
+  activeSince() {
+    return new Date(Date.now() - OCCUPANCY_CONFIG.CHECK_IN_TTL_MS);
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  ShelterOccupancyService,
+  MemoryOccupancyStore,
+  SupabaseOccupancyStore,
+  OCCUPANCY_CONFIG
+};
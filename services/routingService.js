@@ -0,0 +1,371 @@
+/**
+ * Routing Service for Tornado Shelter App
+ * Travel-time estimates for ranking shelters
+ *
+ * In a tornado warning, what matters is how many minutes it takes
+ * to reach a shelter, not the straight-line distance. Routers here
+ * share one interface:
+ *
+ *   async getTravelTimes(origin, destinations)
+ *     origin:       { latitude, longitude }
+ *     destinations: [{ latitude, longitude }, ...]
+ *     returns:      [{ walkingMinutes, drivingMinutes }, ...] (null = no route)
+ *
+ * Routers:
+ * - OfflineRouter: Road graph built from an OpenStreetMap extract
+ *                  (Overpass API JSON). Works with no network.
+ * - OSRMRouter:    Any OSRM-compatible HTTP server (table service)
+ *
+ * Usage:
+ *   import { OfflineRouter } from './services/routingService';
+ *   import osmExtract from './data/stillwater_roads.json';
+ *
+ *   const router = new OfflineRouter(osmExtract);
+ *   const service = new WeatherDataService({ router });
+ *   const shelters = await service.fema.getNearbyShelters(lat, lon, 10);
+ *   // shelters[0].etaMinutesWalking, shelters[0].etaMinutesDriving
+ */
+
+import { fetchWithTimeout } from './weatherDataService.js';
+import { calculateDistanceMiles } from './geoUtils.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const ROUTING_CONFIG = {
+  WALKING_SPEED_MPH: 3,
+
+  // Default driving speeds by OSM highway type (mph) when maxspeed is missing
+  DRIVING_SPEED_MPH: {
+    motorway: 65,
+    motorway_link: 40,
+    trunk: 55,
+    trunk_link: 35,
+    primary: 45,
+    primary_link: 30,
+    secondary: 40,
+    secondary_link: 30,
+    tertiary: 35,
+    tertiary_link: 25,
+    unclassified: 30,
+    residential: 25,
+    living_street: 10,
+    service: 15,
+    track: 10
+  },
+
+  // Highway types people can walk on (motorways excluded)
+  WALKABLE: new Set([
+    'trunk', 'trunk_link', 'primary', 'primary_link', 'secondary', 'secondary_link',
+    'tertiary', 'tertiary_link', 'unclassified', 'residential', 'living_street',
+    'service', 'track', 'pedestrian', 'footway', 'path', 'steps', 'cycleway', 'corridor'
+  ]),
+
+  // Max distance from a point to the road network (miles)
+  MAX_SNAP_MILES: 0.5
+};
+
+const KMH_TO_MPH = 0.621371;
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Parses an OSM maxspeed tag ("35 mph", "50") into mph
+ * Bare numbers are km/h per OSM convention
+ */
+function parseMaxSpeedMph(maxspeed) {
+  if (!maxspeed) return null;
+  const match = String(maxspeed).match(/^(\d+(?:\.\d+)?)\s*(mph)?/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return match[2] ? value : value * KMH_TO_MPH;
+}
+
+/**
+ * Minimal binary heap keyed on cost, for Dijkstra
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, value) {
+    const items = this.items;
+    items.push({ cost, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= items[i].cost) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// ==========================================
+// ROAD GRAPH
+// ==========================================
+
+/**
+ * Routable graph built from OpenStreetMap data
+ * Edge costs are travel times in minutes, per profile
+ */
+class RoadGraph {
+  /**
+   * @param {Object} osmData - Overpass API JSON ({ elements: [...] })
+   */
+  constructor(osmData) {
+    this.nodes = new Map();               // id -> { lat, lon }
+    this.edges = {
+      walking: new Map(),                 // id -> [{ to, minutes }]
+      driving: new Map()
+    };
+
+    const elements = osmData?.elements || [];
+    for (const el of elements) {
+      if (el.type === 'node') {
+        this.nodes.set(el.id, { lat: el.lat, lon: el.lon });
+      }
+    }
+    for (const el of elements) {
+      if (el.type === 'way' && el.tags?.highway) {
+        this.addWay(el);
+      }
+    }
+
+    // Only nodes on routable ways can be snapped to
+    this.routableNodes = [...this.nodes.keys()].filter(id =>
+      this.edges.walking.has(id) || this.edges.driving.has(id)
+    );
+  }
+
+  addWay(way) {
+    const tags = way.tags;
+    const highway = tags.highway;
+    const accessDenied = tags.access === 'no' || tags.access === 'private';
+
+    const walkable = ROUTING_CONFIG.WALKABLE.has(highway) && !accessDenied && tags.foot !== 'no';
+    const drivable = highway in ROUTING_CONFIG.DRIVING_SPEED_MPH && !accessDenied &&
+      tags.motor_vehicle !== 'no' && tags.motorcar !== 'no';
+
+    const drivingMph = parseMaxSpeedMph(tags.maxspeed) || ROUTING_CONFIG.DRIVING_SPEED_MPH[highway];
+    const oneway = tags.oneway === 'yes' || tags.oneway === '1' || highway === 'motorway';
+    const reverseOneway = tags.oneway === '-1';
+
+    for (let i = 0; i < way.nodes.length - 1; i++) {
+      const a = this.nodes.get(way.nodes[i]);
+      const b = this.nodes.get(way.nodes[i + 1]);
+      if (!a || !b) continue;
+
+      const miles = calculateDistanceMiles(a.lat, a.lon, b.lat, b.lon);
+      const from = way.nodes[i];
+      const to = way.nodes[i + 1];
+
+      if (walkable) {
+        const minutes = miles / ROUTING_CONFIG.WALKING_SPEED_MPH * 60;
+        this.addEdge('walking', from, to, minutes);
+        this.addEdge('walking', to, from, minutes);
+      }
+
+      if (drivable) {
+        const minutes = miles / drivingMph * 60;
+        if (!reverseOneway) this.addEdge('driving', from, to, minutes);
+        if (!oneway) this.addEdge('driving', to, from, minutes);
+      }
+    }
+  }
+
+  addEdge(profile, from, to, minutes) {
+    const edges = this.edges[profile];
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ to, minutes });
+  }
+
+  /**
+   * Closest routable node for a profile
+   *
+   * @returns {Object|null} { id, distanceMiles }
+   */
+  nearestNode(lat, lon, profile) {
+    let best = null;
+    for (const id of this.routableNodes) {
+      if (!this.edges[profile].has(id)) continue;
+      const node = this.nodes.get(id);
+      const distanceMiles = calculateDistanceMiles(lat, lon, node.lat, node.lon);
+      if (!best || distanceMiles < best.distanceMiles) {
+        best = { id, distanceMiles };
+      }
+    }
+    return best && best.distanceMiles <= ROUTING_CONFIG.MAX_SNAP_MILES ? best : null;
+  }
+
+  /**
+   * Dijkstra from one node to every reachable node
+   *
+   * @returns {Map} node id -> minutes
+   */
+  travelTimesFrom(startId, profile) {
+    const times = new Map([[startId, 0]]);
+    const heap = new MinHeap();
+    heap.push(0, startId);
+
+    while (heap.size > 0) {
+      const { cost, value: id } = heap.pop();
+      if (cost > times.get(id)) continue;
+
+      for (const edge of this.edges[profile].get(id) || []) {
+        const next = cost + edge.minutes;
+        if (next < (times.get(edge.to) ?? Infinity)) {
+          times.set(edge.to, next);
+          heap.push(next, edge.to);
+        }
+      }
+    }
+
+    return times;
+  }
+}
+
+// ==========================================
+// OFFLINE ROUTER
+// ==========================================
+
+class OfflineRouter {
+  /**
+   * @param {Object} osmData - Overpass API JSON extract covering the area
+   */
+  constructor(osmData) {
+    this.graph = new RoadGraph(osmData);
+  }
+
+  async getTravelTimes(origin, destinations) {
+    const walking = this.profileTimes(origin, destinations, 'walking');
+    const driving = this.profileTimes(origin, destinations, 'driving');
+
+    return destinations.map((_, i) => ({
+      walkingMinutes: walking[i],
+      drivingMinutes: driving[i]
+    }));
+  }
+
+  /**
+   * Travel minutes for one profile, including the walk to and from
+   * the road network at each end
+   */
+  profileTimes(origin, destinations, profile) {
+    const walkMinutes = miles => miles / ROUTING_CONFIG.WALKING_SPEED_MPH * 60;
+
+    const start = this.graph.nearestNode(origin.latitude, origin.longitude, profile);
+    if (!start) return destinations.map(() => null);
+
+    const times = this.graph.travelTimesFrom(start.id, profile);
+
+    return destinations.map(dest => {
+      const end = this.graph.nearestNode(dest.latitude, dest.longitude, profile);
+      if (!end || !times.has(end.id)) return null;
+
+      const minutes = walkMinutes(start.distanceMiles) + times.get(end.id) + walkMinutes(end.distanceMiles);
+      return Math.round(minutes * 10) / 10;
+    });
+  }
+}
+
+// ==========================================
+// OSRM ROUTER
+// ==========================================
+
+/**
+ * Uses the OSRM table service for travel times
+ * Walking and driving usually run as separate OSRM servers,
+ * one per profile
+ */
+class OSRMRouter {
+  /**
+   * @param {Object} options
+   * @param {string} options.drivingUrl - OSRM server for the car profile
+   * @param {string} options.walkingUrl - OSRM server for the foot profile
+   */
+  constructor(options = {}) {
+    if (!options.drivingUrl && !options.walkingUrl) {
+      throw new Error('OSRMRouter requires drivingUrl and/or walkingUrl');
+    }
+    this.drivingUrl = options.drivingUrl || null;
+    this.walkingUrl = options.walkingUrl || null;
+  }
+
+  async getTravelTimes(origin, destinations) {
+    if (destinations.length === 0) return [];
+
+    const [walking, driving] = await Promise.all([
+      this.walkingUrl ? this.tableDurations(this.walkingUrl, 'foot', origin, destinations) : null,
+      this.drivingUrl ? this.tableDurations(this.drivingUrl, 'driving', origin, destinations) : null
+    ]);
+
+    return destinations.map((_, i) => ({
+      walkingMinutes: walking ? walking[i] : null,
+      drivingMinutes: driving ? driving[i] : null
+    }));
+  }
+
+  async tableDurations(baseUrl, profile, origin, destinations) {
+    const points = [origin, ...destinations]
+      .map(p => `${p.longitude},${p.latitude}`)
+      .join(';');
+    const url = `${baseUrl}/table/v1/${profile}/${points}?sources=0&annotations=duration`;
+
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`OSRM error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.code !== 'Ok') {
+      throw new Error(`OSRM error: ${data.code}`);
+    }
+
+    // First column is origin -> origin
+    return data.durations[0].slice(1).map(seconds =>
+      seconds === null ? null : Math.round(seconds / 60 * 10) / 10
+    );
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  OfflineRouter,
+  OSRMRouter,
+  RoadGraph,
+  ROUTING_CONFIG
+};
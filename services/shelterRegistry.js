@@ -0,0 +1,222 @@
+/**
+ * Shelter Registry for Tornado Shelter App
+ * Local database of verified Oklahoma tornado shelters
+ *
+ * FEMA's National Shelter System only lists shelters opened during
+ * a declared disaster, so it is almost always empty for tornadoes.
+ * This registry holds the community, campus and public safe rooms
+ * the app knows about, and merges them with live FEMA results.
+ *
+ * Data lives in ./data/oklahomaShelters.json (GeoJSON FeatureCollection,
+ * schema documented in its `metadata.schema` block). The file ships
+ * with no shelters: add entries only once they are verified, or pass
+ * your own FeatureCollection to the constructor.
+ *
+ * Usage:
+ *   import { ShelterRegistry } from './services/shelterRegistry';
+ *
+ *   const registry = new ShelterRegistry();
+ *   const nearby = registry.getNearby(35.4676, -97.5164, 10);
+ */
+
+import { OKLAHOMA_SHELTERS } from './data/index.js';
+import { calculateDistanceMiles } from './geoUtils.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const DEDUPE = {
+  // Shelters this close are the same place whatever their names
+  SAME_LOCATION_MILES: 0.03,   // ~50 meters
+  // Shelters this close are the same place if their names match
+  NEARBY_MILES: 0.25,          // ~400 meters
+  // Share of name words that must match
+  NAME_SIMILARITY: 0.5
+};
+
+// Words that don't help tell shelter names apart
+const NAME_STOPWORDS = new Set([
+  'the', 'of', 'and', 'at', 'a', 'shelter', 'storm', 'tornado',
+  'safe', 'room', 'community', 'public', 'center'
+]);
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+function nameTokens(name) {
+  return new Set(
+    (name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !NAME_STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Share of name words two shelters have in common (0-1)
+ */
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++;
+  }
+  return shared / Math.min(tokensA.size, tokensB.size);
+}
+
+/**
+ * Whether two shelter records describe the same place
+ */
+function isSameShelter(a, b) {
+  if (a.latitude == null || b.latitude == null) return false;
+
+  const distance = calculateDistanceMiles(a.latitude, a.longitude, b.latitude, b.longitude);
+  if (distance <= DEDUPE.SAME_LOCATION_MILES) return true;
+
+  return distance <= DEDUPE.NEARBY_MILES &&
+    nameSimilarity(a.name, b.name) >= DEDUPE.NAME_SIMILARITY;
+}
+
+// ==========================================
+// SHELTER REGISTRY
+// ==========================================
+
+class ShelterRegistry {
+  /**
+   * @param {Object} geojson - FeatureCollection (default: bundled Oklahoma shelters)
+   */
+  constructor(geojson = OKLAHOMA_SHELTERS) {
+    this.shelters = (geojson.features || [])
+      .filter(feature => feature.geometry?.type === 'Point')
+      .map(feature => this.toShelter(feature));
+  }
+
+  /**
+   * Maps a registry feature to the same shape FEMA shelters use
+   */
+  toShelter(feature) {
+    const props = feature.properties;
+    const [longitude, latitude] = feature.geometry.coordinates;
+
+    return {
+      id: props.id,
+      name: props.name,
+      address: props.address,
+      city: props.city,
+      state: props.state,
+      zip: props.zip,
+      county: props.county,
+      latitude,
+      longitude,
+
+      // Capacity info (live occupancy is not tracked here)
+      totalCapacity: props.capacity ?? null,
+      currentPopulation: null,
+      availableCapacity: null,
+
+      // Community shelters open on demand - check hours
+      isOpen: null,
+      hours: props.hours || null,
+
+      acceptsPets: !!props.acceptsPets,
+      adaAccessible: !!props.adaAccessible,
+      isPublic: props.access !== 'private',
+      tornadoRated: !!props.tornadoRated,
+      ratingStandard: props.ratingStandard || null,
+
+      organization: props.organization || null,
+      phone: props.phone || null,
+      notes: props.notes || null,
+      verifiedDate: props.verifiedDate || null,
+
+      source: 'local'
+    };
+  }
+
+  /**
+   * All registered shelters
+   */
+  getAll() {
+    return this.shelters;
+  }
+
+  get(id) {
+    return this.shelters.find(shelter => shelter.id === id) || null;
+  }
+
+  /**
+   * Registered shelters within a radius, closest first
+   *
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMiles - Search radius in miles
+   * @returns {Array} Shelters with distanceMiles
+   */
+  getNearby(lat, lon, radiusMiles = 50) {
+    return this.shelters
+      .map(shelter => ({
+        ...shelter,
+        distanceMiles: Math.round(
+          calculateDistanceMiles(lat, lon, shelter.latitude, shelter.longitude) * 10
+        ) / 10
+      }))
+      .filter(shelter => shelter.distanceMiles <= radiusMiles)
+      .sort((a, b) => a.distanceMiles - b.distanceMiles);
+  }
+
+  /**
+   * Merges registry shelters with FEMA shelters
+   *
+   * Duplicates (same place by proximity and name) become one record:
+   * registry details (tornado rating, hours, ADA) plus FEMA's live
+   * status and population, with source 'local+fema'.
+   *
+   * @param {Array} localShelters - From getNearby()
+   * @param {Array} femaShelters - From FEMASheltersService
+   * @returns {Array} Merged shelters, closest first
+   */
+  mergeWithFEMA(localShelters, femaShelters) {
+    const merged = localShelters.map(shelter => ({ ...shelter }));
+
+    for (const femaShelter of femaShelters) {
+      const match = merged.find(shelter =>
+        shelter.source === 'local' && isSameShelter(shelter, femaShelter)
+      );
+
+      if (!match) {
+        merged.push(femaShelter);
+        continue;
+      }
+
+      Object.assign(match, {
+        femaId: femaShelter.id,
+        isOpen: femaShelter.isOpen,
+        totalCapacity: femaShelter.totalCapacity ?? match.totalCapacity,
+        currentPopulation: femaShelter.currentPopulation,
+        availableCapacity: femaShelter.availableCapacity,
+        acceptsPets: !!(match.acceptsPets || femaShelter.acceptsPets),
+        adaAccessible: !!(match.adaAccessible || femaShelter.adaAccessible),
+        source: 'local+fema'
+      });
+    }
+
+    return merged.sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity));
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  ShelterRegistry,
+  isSameShelter
+};
+
+export default ShelterRegistry;
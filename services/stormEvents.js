@@ -0,0 +1,527 @@
+/**
+ * NCEI Storm Events for Tornado Shelter App
+ * Historical tornadoes from the NCEI Storm Events Database
+ *
+ * NCEI publishes one StormEvents_details CSV per year
+ * (https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/):
+ *
+ *   BEGIN_YEARMONTH,BEGIN_DAY,BEGIN_TIME,...,EVENT_ID,STATE,STATE_FIPS,...,EVENT_TYPE,
+ *   CZ_TYPE,CZ_FIPS,CZ_NAME,WFO,...,CZ_TIMEZONE,...,TOR_F_SCALE,TOR_LENGTH,TOR_WIDTH,
+ *   ...,BEGIN_LAT,BEGIN_LON,END_LAT,END_LON,EPISODE_NARRATIVE,EVENT_NARRATIVE,...
+ *
+ * - Begin/end times are local standard time (CZ_TIMEZONE, e.g. "CST-6")
+ * - A tornado that crosses county lines is listed once per county
+ *   (TOR_OTHER_CZ_* names the next county), so counts here are
+ *   county segments, the way county climatologies are usually kept
+ * - Ratings are F-scale before February 2007 and EF-scale after;
+ *   both are bucketed as EF0-EF5, with EFU for unrated tornadoes
+ *
+ * Files are read with ./stormEventsImporter.js (Node.js); this module
+ * parses them, holds the events in a queryable store, and answers
+ * climatology questions. Sample file:
+ * sample_api_responses/ncei_storm_events_details_synthetic.csv
+ *
+ * Usage:
+ *   import { StormEventsStore, TornadoClimatology, parseStormEventsCSV } from './services/stormEvents';
+ *
+ *   const store = new StormEventsStore(parseStormEventsCSV(csvText));
+ *   const climatology = new TornadoClimatology(store);
+ *   climatology.countsByCountyMonth({ state: 'OKLAHOMA' });
+ *   climatology.tracksNear(35.4676, -97.5164, 10);
+ */
+
+import { parseCSV } from './stormReportParser.js';
+import { distanceToSegmentMiles } from './geoUtils.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const DEFAULT_EVENT_TYPES = ['Tornado'];
+
+// UTC offsets for CZ_TIMEZONE values without one ("CST" in older files)
+const TIMEZONE_OFFSETS = {
+  AST: -4,
+  EST: -5,
+  CST: -6,
+  MST: -7,
+  PST: -8,
+  AKST: -9,
+  HST: -10,
+  SST: -11,
+  GST: 10
+};
+
+// DAMAGE_PROPERTY / DAMAGE_CROPS suffixes ("1.5M")
+const DAMAGE_MULTIPLIERS = {
+  '': 1,
+  H: 100,
+  K: 1000,
+  M: 1000000,
+  B: 1000000000
+};
+
+const EF_SCALE_BUCKETS = ['EF0', 'EF1', 'EF2', 'EF3', 'EF4', 'EF5', 'EFU'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+function parseNumber(value) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  const number = Number(text);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Dollar amount from NCEI damage notation ("10.00K", "1.5M")
+ */
+function parseDamage(value) {
+  const match = /^(\d+(?:\.\d+)?)([HKMB]?)$/i.exec(String(value ?? '').trim());
+  if (!match) return null;
+  return Math.round(Number(match[1]) * DAMAGE_MULTIPLIERS[match[2].toUpperCase()]);
+}
+
+/**
+ * UTC offset in hours for a CZ_TIMEZONE value ("CST-6", "EST")
+ *
+ * @returns {number|null} Offset, or null if the timezone is unknown
+ */
+function parseTimezoneOffset(timezone) {
+  const text = String(timezone || '').trim().toUpperCase();
+  const explicit = /([+-]\d{1,2})$/.exec(text);
+  if (explicit) return Number(explicit[1]);
+
+  return TIMEZONE_OFFSETS[text.replace(/[^A-Z]/g, '')] ?? null;
+}
+
+/**
+ * UTC time from NCEI local date parts (201305, 20, 1456, "CST-6")
+ */
+function toUTC(yearMonth, day, time, offsetHours) {
+  const yearMonthText = String(yearMonth || '').trim();
+  const timeText = String(time || '').trim().padStart(4, '0');
+  if (!/^\d{6}$/.test(yearMonthText) || !/^\d{4}$/.test(timeText) || !parseNumber(day)) {
+    return null;
+  }
+
+  return new Date(Date.UTC(
+    Number(yearMonthText.slice(0, 4)),
+    Number(yearMonthText.slice(4)) - 1,
+    Number(day),
+    Number(timeText.slice(0, 2)) - offsetHours,
+    Number(timeText.slice(2))
+  ));
+}
+
+/**
+ * EF-scale bucket for a TOR_F_SCALE value ('F3' -> 'EF3', 'EFU' -> 'EFU')
+ */
+function toEFBucket(scale) {
+  const match = /^E?F([0-5])$/i.exec(String(scale || '').trim());
+  return match ? `EF${match[1]}` : 'EFU';
+}
+
+function sameName(a, b) {
+  return String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+}
+
+function toTime(value) {
+  if (value === null || value === undefined) return null;
+  return (value instanceof Date ? value : new Date(value)).getTime();
+}
+
+// ==========================================
+// PARSING
+// ==========================================
+
+/**
+ * Turns one StormEvents_details row (keyed by column name) into an event
+ *
+ * @param {Object} row - Column name -> value
+ * @returns {Object|null} Event, or null without an ID, known timezone or begin time
+ */
+function toStormEvent(row) {
+  const eventId = parseNumber(row.EVENT_ID);
+  const offset = parseTimezoneOffset(row.CZ_TIMEZONE);
+  if (eventId === null || offset === null) return null;
+
+  const beginTime = toUTC(row.BEGIN_YEARMONTH, row.BEGIN_DAY, row.BEGIN_TIME, offset);
+  if (!beginTime) return null;
+
+  const efScale = row.TOR_F_SCALE?.trim() || null;
+  const bucket = efScale ? toEFBucket(efScale) : null;
+  const otherCounty = row.TOR_OTHER_CZ_NAME?.trim();
+
+  return {
+    eventId,
+    episodeId: parseNumber(row.EPISODE_ID),
+    eventType: row.EVENT_TYPE?.trim() || null,
+    state: row.STATE?.trim() || null,
+    stateFips: parseNumber(row.STATE_FIPS),
+    county: row.CZ_NAME?.trim() || null,
+    countyFips: parseNumber(row.CZ_FIPS),
+    zoneType: row.CZ_TYPE?.trim() || null,
+    wfo: row.WFO?.trim() || null,
+    beginTime,
+    endTime: toUTC(row.END_YEARMONTH, row.END_DAY, row.END_TIME, offset),
+    // Local month and year, as NCEI files them
+    year: Number(String(row.BEGIN_YEARMONTH).trim().slice(0, 4)),
+    month: Number(String(row.BEGIN_YEARMONTH).trim().slice(4)),
+    efScale,
+    rating: bucket && bucket !== 'EFU' ? Number(bucket.slice(2)) : null,
+    lengthMiles: parseNumber(row.TOR_LENGTH),
+    widthYards: parseNumber(row.TOR_WIDTH),
+    beginLat: parseNumber(row.BEGIN_LAT),
+    beginLon: parseNumber(row.BEGIN_LON),
+    endLat: parseNumber(row.END_LAT),
+    endLon: parseNumber(row.END_LON),
+    injuries: (parseNumber(row.INJURIES_DIRECT) || 0) + (parseNumber(row.INJURIES_INDIRECT) || 0),
+    deaths: (parseNumber(row.DEATHS_DIRECT) || 0) + (parseNumber(row.DEATHS_INDIRECT) || 0),
+    damageProperty: parseDamage(row.DAMAGE_PROPERTY),
+    damageCrops: parseDamage(row.DAMAGE_CROPS),
+    continuesInto: otherCounty
+      ? {
+        state: row.TOR_OTHER_CZ_STATE?.trim() || null,
+        countyFips: parseNumber(row.TOR_OTHER_CZ_FIPS),
+        county: otherCounty,
+        wfo: row.TOR_OTHER_WFO?.trim() || null
+      }
+      : null,
+    source: row.SOURCE?.trim() || null,
+    narrative: row.EVENT_NARRATIVE?.trim() || ''
+  };
+}
+
+/**
+ * Parses a StormEvents_details CSV file
+ *
+ * @param {string} csvText - CSV file contents
+ * @param {Object} options
+ * @param {Array} options.eventTypes - EVENT_TYPE values to keep (default: ['Tornado'];
+ *   null keeps every type)
+ * @param {Array} options.states - STATE names or FIPS codes to keep (default: all)
+ * @returns {Array} Events (see toStormEvent)
+ */
+function parseStormEventsCSV(csvText, options = {}) {
+  const { eventTypes = DEFAULT_EVENT_TYPES, states = null } = options;
+  const [header, ...rows] = parseCSV(csvText);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toUpperCase());
+  for (const required of ['EVENT_ID', 'EVENT_TYPE', 'BEGIN_YEARMONTH', 'CZ_TIMEZONE']) {
+    if (!columns.includes(required)) {
+      throw new Error(`Not a StormEvents_details file: missing ${required} column`);
+    }
+  }
+
+  const typeIndex = columns.indexOf('EVENT_TYPE');
+  const stateIndex = columns.indexOf('STATE');
+  const stateFipsIndex = columns.indexOf('STATE_FIPS');
+  const events = [];
+
+  for (const values of rows) {
+    // Check the filters before building the whole event
+    if (eventTypes && !eventTypes.some(type => sameName(type, values[typeIndex]))) continue;
+    if (states && !states.some(state =>
+      sameName(state, values[stateIndex]) || Number(state) === parseNumber(values[stateFipsIndex])
+    )) continue;
+
+    const row = {};
+    columns.forEach((name, i) => { row[name] = values[i]; });
+
+    const event = toStormEvent(row);
+    if (event) events.push(event);
+  }
+
+  return events;
+}
+
+// ==========================================
+// STORE
+// ==========================================
+
+class StormEventsStore {
+  /**
+   * @param {Array} events - Initial events (see parseStormEventsCSV)
+   * @param {Array} importedYears - Years whose files were imported (see addYears)
+   */
+  constructor(events = [], importedYears = []) {
+    this.events = new Map();
+    this.importedYears = new Set();
+    this.add(events);
+    this.addYears(importedYears);
+  }
+
+  /**
+   * Adds events; an event already in the store (same EVENT_ID) is replaced
+   *
+   * @returns {number} Events that weren't in the store yet
+   */
+  add(events) {
+    let added = 0;
+    for (const event of events) {
+      if (!this.events.has(event.eventId)) added++;
+      this.events.set(event.eventId, event);
+    }
+    return added;
+  }
+
+  /**
+   * Records years whose files were imported, so a year with no
+   * matching events still counts toward per-year averages
+   */
+  addYears(years) {
+    for (const year of years) this.importedYears.add(Number(year));
+  }
+
+  get size() {
+    return this.events.size;
+  }
+
+  get(eventId) {
+    return this.events.get(Number(eventId)) || null;
+  }
+
+  getAll() {
+    return [...this.events.values()];
+  }
+
+  /**
+   * Events matching every given filter, oldest first
+   *
+   * @param {Object} filters
+   * @param {string} filters.eventType - EVENT_TYPE (e.g. 'Tornado')
+   * @param {string|number} filters.state - STATE name or FIPS code
+   * @param {string|number} filters.county - CZ_NAME or CZ_FIPS (with a state)
+   * @param {Date|string} filters.from - Begins at or after
+   * @param {Date|string} filters.to - Begins before
+   * @param {Array} filters.months - Local months (1-12)
+   * @param {number} filters.minRating - Lowest EF/F rating (unrated excluded)
+   * @returns {Array} Events
+   */
+  query(filters = {}) {
+    const { eventType, state, county, months, minRating } = filters;
+    const from = toTime(filters.from);
+    const to = toTime(filters.to);
+
+    return this.getAll()
+      .filter(event =>
+        (!eventType || sameName(event.eventType, eventType)) &&
+        (state === undefined || state === null ||
+          sameName(event.state, state) || Number(state) === event.stateFips) &&
+        (county === undefined || county === null ||
+          sameName(event.county, county) || Number(county) === event.countyFips) &&
+        (from === null || event.beginTime.getTime() >= from) &&
+        (to === null || event.beginTime.getTime() < to) &&
+        (!months || months.includes(event.month)) &&
+        (minRating === undefined || minRating === null ||
+          (event.rating !== null && event.rating >= minRating))
+      )
+      .sort((a, b) => a.beginTime - b.beginTime);
+  }
+
+  /**
+   * Years the store covers, oldest first: the imported years, or for a
+   * store without any (built from events alone), the years with events
+   *
+   * @param {Object} filters - Only `from` / `to` are used
+   */
+  years(filters = {}) {
+    const from = toTime(filters.from);
+    const to = toTime(filters.to);
+
+    if (this.importedYears.size > 0) {
+      // Years that overlap [from, to)
+      return [...this.importedYears]
+        .filter(year =>
+          (from === null || Date.UTC(year + 1, 0, 1) > from) &&
+          (to === null || Date.UTC(year, 0, 1) < to)
+        )
+        .sort((a, b) => a - b);
+    }
+
+    const years = new Set();
+    for (const event of this.events.values()) {
+      const time = event.beginTime.getTime();
+      if ((from === null || time >= from) && (to === null || time < to)) years.add(event.year);
+    }
+    return [...years].sort((a, b) => a - b);
+  }
+
+  /**
+   * Plain data for saving (JSON.stringify turns times into ISO strings)
+   */
+  toJSON() {
+    return {
+      years: [...this.importedYears].sort((a, b) => a - b),
+      events: this.getAll()
+    };
+  }
+
+  /**
+   * Store from toJSON() output
+   */
+  static fromJSON(data) {
+    const events = (data?.events || []).map(event => ({
+      ...event,
+      beginTime: new Date(event.beginTime),
+      endTime: event.endTime ? new Date(event.endTime) : null
+    }));
+    return new StormEventsStore(events, data?.years || []);
+  }
+}
+
+// ==========================================
+// CLIMATOLOGY
+// ==========================================
+
+class TornadoClimatology {
+  /**
+   * @param {StormEventsStore} store - Imported Storm Events
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  tornadoes(filters = {}) {
+    return this.store.query({ ...filters, eventType: 'Tornado' });
+  }
+
+  /**
+   * Tornadoes per month (local time)
+   *
+   * @param {Object} filters - See StormEventsStore.query()
+   * @returns {Object} { total, years, byMonth: [{ month, name, count, averagePerYear }] }
+   */
+  countsByMonth(filters = {}) {
+    const tornadoes = this.tornadoes(filters);
+    const years = this.store.years(filters).length;
+    const counts = new Array(12).fill(0);
+    for (const tornado of tornadoes) counts[tornado.month - 1]++;
+
+    return {
+      total: tornadoes.length,
+      years,
+      byMonth: counts.map((count, i) => ({
+        month: i + 1,
+        name: MONTH_NAMES[i],
+        count,
+        averagePerYear: years > 0 ? Math.round(count / years * 100) / 100 : null
+      }))
+    };
+  }
+
+  /**
+   * Tornadoes per county per month, busiest county first
+   *
+   * @param {Object} filters - See StormEventsStore.query()
+   * @returns {Array} [{ state, stateFips, county, countyFips, total, averagePerYear,
+   *   peakMonth, byMonth: [12 counts, January first] }]
+   */
+  countsByCountyMonth(filters = {}) {
+    const years = this.store.years(filters).length;
+    const counties = new Map();
+
+    for (const tornado of this.tornadoes(filters)) {
+      const key = `${tornado.stateFips}-${tornado.countyFips}`;
+      if (!counties.has(key)) {
+        counties.set(key, {
+          state: tornado.state,
+          stateFips: tornado.stateFips,
+          county: tornado.county,
+          countyFips: tornado.countyFips,
+          total: 0,
+          byMonth: new Array(12).fill(0)
+        });
+      }
+      const county = counties.get(key);
+      county.total++;
+      county.byMonth[tornado.month - 1]++;
+    }
+
+    return [...counties.values()]
+      .map(county => {
+        const peak = county.byMonth.indexOf(Math.max(...county.byMonth));
+        return {
+          ...county,
+          averagePerYear: years > 0 ? Math.round(county.total / years * 100) / 100 : null,
+          peakMonth: MONTH_NAMES[peak]
+        };
+      })
+      .sort((a, b) => b.total - a.total || String(a.county).localeCompare(String(b.county)));
+  }
+
+  /**
+   * Tornadoes per rating (F-scale ratings count as the same EF number)
+   *
+   * @param {Object} filters - See StormEventsStore.query()
+   * @returns {Object} { total, counts: { EF0..EF5, EFU }, percent: { ... } }
+   */
+  efScaleDistribution(filters = {}) {
+    const tornadoes = this.tornadoes(filters);
+    const counts = Object.fromEntries(EF_SCALE_BUCKETS.map(bucket => [bucket, 0]));
+    for (const tornado of tornadoes) {
+      counts[tornado.rating !== null ? `EF${tornado.rating}` : 'EFU']++;
+    }
+
+    const percent = Object.fromEntries(EF_SCALE_BUCKETS.map(bucket => [
+      bucket,
+      tornadoes.length > 0 ? Math.round(counts[bucket] / tornadoes.length * 1000) / 10 : 0
+    ]));
+
+    return { total: tornadoes.length, counts, percent };
+  }
+
+  /**
+   * Tornado tracks passing within a distance of a point, closest first
+   *
+   * A track is the straight line from the begin to the end point;
+   * tracks without an end point are checked by their begin point.
+   *
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMiles - Search radius in miles
+   * @param {Object} filters - See StormEventsStore.query()
+   * @returns {Array} Events with `distanceMiles`
+   */
+  tracksNear(lat, lon, radiusMiles = 10, filters = {}) {
+    const tracks = [];
+
+    for (const tornado of this.tornadoes(filters)) {
+      if (tornado.beginLat === null || tornado.beginLon === null) continue;
+
+      const begin = [tornado.beginLon, tornado.beginLat];
+      const end = tornado.endLat !== null && tornado.endLon !== null
+        ? [tornado.endLon, tornado.endLat]
+        : begin;
+      const distance = distanceToSegmentMiles(lat, lon, begin, end);
+
+      if (distance <= radiusMiles) {
+        tracks.push({ ...tornado, distanceMiles: Math.round(distance * 10) / 10 });
+      }
+    }
+
+    return tracks.sort((a, b) => a.distanceMiles - b.distanceMiles || b.beginTime - a.beginTime);
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseStormEventsCSV,
+  toStormEvent,
+  parseDamage,
+  parseTimezoneOffset,
+  StormEventsStore,
+  TornadoClimatology,
+  EF_SCALE_BUCKETS
+};
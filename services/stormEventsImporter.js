@@ -0,0 +1,143 @@
+/**
+ * Storm Events Importer for Tornado Shelter App
+ * Loads downloaded NCEI StormEvents_details files into a StormEventsStore
+ *
+ * Download the yearly files from
+ * https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/
+ * (StormEvents_details-ftp_v1.0_dYYYY_cYYYYMMDD.csv.gz) into a folder;
+ * they can stay gzipped. When NCEI has republished a year, the folder
+ * may hold several files for it - only the newest (latest cYYYYMMDD)
+ * is imported.
+ *
+ * Usage:
+ *   import { importStormEventsDirectory } from './services/stormEventsImporter';
+ *   import { TornadoClimatology } from './services/stormEvents';
+ *
+ *   const { store } = await importStormEventsDirectory('./storm_events', { states: ['OKLAHOMA'] });
+ *   const climatology = new TornadoClimatology(store);
+ *
+ * Note: Uses Node's fs and zlib modules and is not available in React Native.
+ * Save `store.toJSON()` and load it with StormEventsStore.fromJSON() in the app.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { gunzip } from 'zlib';
+import { promisify } from 'util';
+import { parseStormEventsCSV, StormEventsStore } from './stormEvents.js';
+
+const gunzipAsync = promisify(gunzip);
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// StormEvents_details-ftp_v1.0_d2013_c20230118.csv(.gz)
+const DETAILS_FILE_PATTERN = /^StormEvents_details-ftp_v[\d.]+_d(\d{4})_c(\d{8})\.csv(\.gz)?$/i;
+
+// ==========================================
+// FILES
+// ==========================================
+
+/**
+ * Reads a CSV file, gunzipping .gz files
+ *
+ * @param {string} filePath - Path to a .csv or .csv.gz file
+ * @returns {Promise<string>} File contents
+ */
+async function readStormEventsFile(filePath) {
+  const data = await fs.readFile(filePath);
+  const text = filePath.toLowerCase().endsWith('.gz') ? await gunzipAsync(data) : data;
+  return text.toString('utf8');
+}
+
+/**
+ * Year a file covers, from its NCEI name (null if renamed)
+ */
+function fileYear(filePath) {
+  const match = DETAILS_FILE_PATTERN.exec(path.basename(filePath));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * StormEvents_details files in a folder, newest version of each year
+ *
+ * @param {string} directory - Folder with downloaded files
+ * @returns {Promise<Array>} [{ path, year, created }] oldest year first
+ */
+async function findStormEventsFiles(directory) {
+  const names = await fs.readdir(directory);
+  const byYear = new Map();
+
+  for (const name of names) {
+    const match = DETAILS_FILE_PATTERN.exec(name);
+    if (!match) continue;
+
+    const file = { path: path.join(directory, name), year: fileYear(name), created: match[2] };
+    const existing = byYear.get(file.year);
+    if (!existing || file.created > existing.created) byYear.set(file.year, file);
+  }
+
+  return [...byYear.values()].sort((a, b) => a.year - b.year);
+}
+
+// ==========================================
+// IMPORT
+// ==========================================
+
+/**
+ * Imports StormEvents_details files into a store
+ *
+ * Each file's year is recorded in the store (see StormEventsStore.years),
+ * so a year with no matching tornadoes still counts in averages. It comes
+ * from the NCEI file name; for renamed files, from the events in them.
+ *
+ * @param {Array<string>} filePaths - .csv or .csv.gz files
+ * @param {Object} options
+ * @param {StormEventsStore} options.store - Store to add to (default: a new one)
+ * @param {Array} options.eventTypes - EVENT_TYPE values to keep (default: ['Tornado'])
+ * @param {Array} options.states - STATE names or FIPS codes to keep (default: all)
+ * @returns {Promise<Object>} { store, files: [{ path, year, events, added }] }
+ */
+async function importStormEventsFiles(filePaths, options = {}) {
+  const { store = new StormEventsStore(), ...parseOptions } = options;
+  const files = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const events = parseStormEventsCSV(await readStormEventsFile(filePath), parseOptions);
+      const year = fileYear(filePath);
+      store.addYears(year !== null ? [year] : new Set(events.map(event => event.year)));
+      files.push({ path: filePath, year, events: events.length, added: store.add(events) });
+    } catch (error) {
+      console.error(`Storm Events import error (${filePath}):`, error.message);
+      throw error;
+    }
+  }
+
+  return { store, files };
+}
+
+/**
+ * Imports every StormEvents_details file in a folder
+ *
+ * @param {string} directory - Folder with downloaded files
+ * @param {Object} options - See importStormEventsFiles()
+ * @returns {Promise<Object>} { store, files: [{ path, year, events, added }] }
+ */
+async function importStormEventsDirectory(directory, options = {}) {
+  const found = await findStormEventsFiles(directory);
+  return importStormEventsFiles(found.map(file => file.path), options);
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  importStormEventsFiles,
+  importStormEventsDirectory,
+  findStormEventsFiles,
+  readStormEventsFile,
+  DETAILS_FILE_PATTERN
+};
@@ -0,0 +1,296 @@
+/**
+ * Storm Motion for Tornado Shelter App
+ * Parses NWS storm motion and projects the storm's path
+ *
+ * NWS tornado warnings describe storm motion two ways:
+ * - parameters.eventMotionDescription (machine-readable TIME...MOT...LOC):
+ *     "2026-05-06T22:07:00-00:00...storm...239DEG...31KT...3554 9753"
+ *   The direction is where the storm is moving FROM (239° = from the
+ *   southwest), the speed is in knots, and the numbers are the storm's
+ *   position (lat/lon x 100, west longitude positive).
+ * - Description text: "...moving northeast at 35 mph."
+ *
+ * SPC watch products (SAW) give the mean storm motion for the watch
+ * as direction-from and knots: "MEAN STORM MOTION VECTOR 24030".
+ *
+ * Usage:
+ *   import { parseStormMotion, estimateStormArrival } from './services/stormMotion';
+ *
+ *   const motion = parseStormMotion(alert._raw, alert.geometry);
+ *   const arrival = estimateStormArrival(motion, 35.4676, -97.5164);
+ *   // { inPath: true, minutes: 12, ... }
+ */
+
+import {
+  calculateDistanceMiles,
+  bearingDegrees,
+  destinationPoint,
+  angleBetween,
+  getPolygons
+} from './geoUtils.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const STORM_PATH = {
+  // Half-width of the projected path around the storm track: a 10-mile
+  // band, mid-range for tornado warnings (typically drawn 5-20 miles
+  // wide downstream). Erring wide marks more shelters as in the path.
+  HALF_WIDTH_MILES: 5,
+  // How far ahead to project the storm
+  MAX_PROJECTION_MINUTES: 60
+};
+
+const KNOTS_TO_MPH = 1.15078;
+
+// 16-point compass headings, as used in warning text
+const COMPASS_HEADINGS = {
+  'north': 0, 'north-northeast': 22.5, 'northeast': 45, 'east-northeast': 67.5,
+  'east': 90, 'east-southeast': 112.5, 'southeast': 135, 'south-southeast': 157.5,
+  'south': 180, 'south-southwest': 202.5, 'southwest': 225, 'west-southwest': 247.5,
+  'west': 270, 'west-northwest': 292.5, 'northwest': 315, 'north-northwest': 337.5
+};
+
+// ==========================================
+// PARSING
+// ==========================================
+
+/**
+ * Parses one eventMotionDescription string
+ *
+ * @returns {Object|null} Motion with storm position(s), or null if unparseable
+ */
+function parseEventMotionDescription(text) {
+  const match = String(text).match(
+    /^(\S+?)\.\.\.[^.]*\.\.\.(\d{1,3})DEG\.\.\.(\d{1,3})KT\.\.\.([\d\s]+)$/i
+  );
+  if (!match) return null;
+
+  const [, time, directionDeg, speedKt, location] = match;
+  const numbers = location.trim().split(/\s+/).map(Number);
+  const positions = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    // Longitude is west and given without the sign; values < 100°W
+    // (e.g. 9753) and >= 100°W (e.g. 10215) are both written x 100
+    positions.push({
+      latitude: numbers[i] / 100,
+      longitude: -numbers[i + 1] / 100
+    });
+  }
+
+  const fromDeg = parseInt(directionDeg, 10);
+  const knots = parseInt(speedKt, 10);
+  const reportedAt = new Date(time);
+
+  return {
+    directionFromDeg: fromDeg,
+    headingDeg: (fromDeg + 180) % 360,
+    speedKt: knots,
+    speedMph: Math.round(knots * KNOTS_TO_MPH),
+    time: isNaN(reportedAt) ? null : reportedAt,
+    positions,
+    source: 'eventMotionDescription'
+  };
+}
+
+/**
+ * Parses "moving northeast at 35 mph" from warning text
+ *
+ * @returns {Object|null} Motion without a storm position
+ */
+function parseMotionFromText(text) {
+  const match = String(text || '').match(
+    /moving\s+((?:north|south|east|west)(?:-?(?:north|south|east|west)){0,2})\s+at\s+(\d+)\s*(mph|knots|kt)/i
+  );
+  if (!match) return null;
+
+  const headingDeg = COMPASS_HEADINGS[match[1].toLowerCase()];
+  if (headingDeg === undefined) return null;
+
+  const speed = parseInt(match[2], 10);
+  const isKnots = match[3].toLowerCase() !== 'mph';
+
+  return {
+    directionFromDeg: (headingDeg + 180) % 360,
+    headingDeg,
+    speedKt: isKnots ? speed : Math.round(speed / KNOTS_TO_MPH),
+    speedMph: isKnots ? Math.round(speed * KNOTS_TO_MPH) : speed,
+    time: null,
+    positions: [],
+    source: 'text'
+  };
+}
+
+/**
+ * Parses "MEAN STORM MOTION VECTOR 24030" from an SPC watch product
+ * (from 240° at 30 knots)
+ *
+ * @returns {Object|null} Motion without a storm position
+ */
+function parseMeanStormMotion(text) {
+  const match = String(text || '').match(/MEAN STORM MOTION VECTOR\s+(\d{3})(\d{2,3})\b/i);
+  if (!match) return null;
+
+  const fromDeg = parseInt(match[1], 10);
+  const knots = parseInt(match[2], 10);
+  if (fromDeg > 360) return null;
+
+  return {
+    directionFromDeg: fromDeg % 360,
+    headingDeg: (fromDeg + 180) % 360,
+    speedKt: knots,
+    speedMph: Math.round(knots * KNOTS_TO_MPH),
+    time: null,
+    positions: [],
+    source: 'watch'
+  };
+}
+
+/**
+ * Estimates the storm position from a warning polygon: the
+ * upstream edge of the polygon, since warnings are drawn from
+ * the storm's current location out along its path
+ */
+function estimatePositionFromPolygon(geometry, headingDeg) {
+  const vertices = getPolygons(geometry).flatMap(([outer]) => outer || []);
+  if (vertices.length === 0) return null;
+
+  const centroid = {
+    latitude: vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length,
+    longitude: vertices.reduce((sum, [lon]) => sum + lon, 0) / vertices.length
+  };
+
+  // Furthest-upstream vertex, measured along the storm heading
+  const minAlong = Math.min(...vertices.map(([lon, lat]) =>
+    trackOffsets(centroid, headingDeg, lat, lon).alongMiles
+  ));
+
+  return destinationPoint(centroid.latitude, centroid.longitude, headingDeg, minAlong);
+}
+
+/**
+ * Gets storm motion from an NWS alert's raw properties
+ *
+ * @param {Object} props - Raw NWS alert properties (alert._raw)
+ * @param {Object} geometry - Alert polygon, used when no position is given
+ * @returns {Object|null} { headingDeg, directionFromDeg, speedMph, speedKt, time, positions, source }
+ */
+function parseStormMotion(props, geometry = null) {
+  if (!props) return null;
+
+  const motionDescriptions = props.parameters?.eventMotionDescription || [];
+  for (const text of motionDescriptions) {
+    const motion = parseEventMotionDescription(text);
+    if (motion) return motion;
+  }
+
+  const motion = parseMotionFromText(props.description);
+  if (!motion) return null;
+
+  const position = geometry ? estimatePositionFromPolygon(geometry, motion.headingDeg) : null;
+  if (position) {
+    motion.positions = [position];
+    motion.time = props.sent ? new Date(props.sent) : null;
+  }
+
+  return motion;
+}
+
+// ==========================================
+// PROJECTION
+// ==========================================
+
+/**
+ * Along-track / cross-track distance of a point from a storm track
+ * Positive along = ahead of the storm
+ */
+function trackOffsets(origin, headingDeg, lat, lon) {
+  const distance = calculateDistanceMiles(origin.latitude, origin.longitude, lat, lon);
+  if (distance === 0) return { alongMiles: 0, crossMiles: 0 };
+
+  const angle = (bearingDegrees(origin.latitude, origin.longitude, lat, lon) - headingDeg) * Math.PI / 180;
+  return {
+    alongMiles: distance * Math.cos(angle),
+    crossMiles: Math.abs(distance * Math.sin(angle))
+  };
+}
+
+/**
+ * Where the storm is now, projected from its last reported position
+ *
+ * @param {Object} motion - From parseStormMotion()
+ * @param {Date} now - Current time
+ * @returns {Object|null} { latitude, longitude }
+ */
+function getCurrentStormPosition(motion, now = new Date()) {
+  if (!motion?.positions?.length) return null;
+
+  // Several positions describe a line of storms - use its middle
+  const position = motion.positions[Math.floor(motion.positions.length / 2)];
+  if (!motion.time) return position;
+
+  const elapsedHours = Math.max(0, (now - motion.time) / 3600000);
+  return destinationPoint(position.latitude, position.longitude, motion.headingDeg, motion.speedMph * elapsedHours);
+}
+
+/**
+ * Estimates when the storm reaches a point
+ *
+ * @param {Object} motion - From parseStormMotion()
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} now - Current time
+ * @returns {Object|null} { inPath, minutes, distanceAheadMiles, offsetFromTrackMiles }
+ *   minutes is null when the point is outside the projected path
+ */
+function estimateStormArrival(motion, lat, lon, now = new Date()) {
+  const stormPosition = getCurrentStormPosition(motion, now);
+  if (!stormPosition || !motion.speedMph) return null;
+
+  const { alongMiles, crossMiles } = trackOffsets(stormPosition, motion.headingDeg, lat, lon);
+  const minutes = alongMiles / motion.speedMph * 60;
+  const inPath = alongMiles >= 0 &&
+    crossMiles <= STORM_PATH.HALF_WIDTH_MILES &&
+    minutes <= STORM_PATH.MAX_PROJECTION_MINUTES;
+
+  return {
+    inPath,
+    minutes: inPath ? Math.round(minutes) : null,
+    distanceAheadMiles: Math.round(alongMiles * 10) / 10,
+    offsetFromTrackMiles: Math.round(crossMiles * 10) / 10,
+    stormPosition
+  };
+}
+
+/**
+ * Whether heading from one point to another takes you toward the storm
+ * (within 45° of the bearing to the storm, and ending up closer to it)
+ */
+function isHeadingTowardStorm(motion, fromLat, fromLon, toLat, toLon, now = new Date()) {
+  const stormPosition = getCurrentStormPosition(motion, now);
+  if (!stormPosition) return false;
+
+  const toStorm = bearingDegrees(fromLat, fromLon, stormPosition.latitude, stormPosition.longitude);
+  const toTarget = bearingDegrees(fromLat, fromLon, toLat, toLon);
+
+  const startDistance = calculateDistanceMiles(fromLat, fromLon, stormPosition.latitude, stormPosition.longitude);
+  const endDistance = calculateDistanceMiles(toLat, toLon, stormPosition.latitude, stormPosition.longitude);
+
+  return angleBetween(toStorm, toTarget) < 45 && endDistance < startDistance;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseStormMotion,
+  parseEventMotionDescription,
+  parseMotionFromText,
+  parseMeanStormMotion,
+  getCurrentStormPosition,
+  estimateStormArrival,
+  isHeadingTowardStorm,
+  STORM_PATH
+};
@@ -0,0 +1,332 @@
+/**
+ * SPC Storm Report Parser for Tornado Shelter App
+ * Turns SPC storm report CSV files into structured reports
+ *
+ * SPC report files look like:
+ *
+ *   Time,F_Scale,Location,County,State,Lat,Lon,Comments
+ *   2215,UNK,2 NW Moore,Cleveland,OK,35.36,-97.51,"Tornado crossed I-35, damage to homes. (OUN)"
+ *
+ * - Wind files have a Speed column in knots, or "UNK" for damage
+ *   reports with no measured or estimated speed
+ * - Hail files have a Size column in hundredths of an inch (175 = 1.75")
+ * - Combined files (yymmdd_rpts.csv) repeat the header before each of
+ *   the tornado, wind and hail sections
+ * - Comments may contain commas; they are quoted (RFC 4180) in newer
+ *   files, and older files leave them unquoted, so extra fields past
+ *   Lon are joined back into Comments
+ *
+ * Times are HHMM UTC within the SPC convective day, which runs from
+ * 12Z to 12Z: on the 2026-05-06 day, "2215" is 2026-05-06 22:15Z and
+ * "0130" is 2026-05-07 01:30Z.
+ *
+ * Sample file: sample_api_responses/spc_storm_reports_synthetic.csv
+ *
+ * Usage:
+ *   import { parseStormReportsCSV, getConvectiveDay } from './services/stormReportParser';
+ *
+ *   const reports = parseStormReportsCSV(csvText, { convectiveDay: getConvectiveDay() });
+ *   reports[0].time // Date
+ */
+
+import { convert } from './units.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// Convective days start and end at 12Z
+const CONVECTIVE_DAY_START_HOUR = 12;
+
+// Magnitude column header -> report type
+const REPORT_TYPE_COLUMNS = {
+  f_scale: 'tornado',
+  speed: 'wind',
+  size: 'hail'
+};
+
+const REPORT_TYPES = ['tornado', 'wind', 'hail'];
+
+// Columns before Comments: Time, magnitude, Location, County, State, Lat, Lon
+const FIXED_COLUMNS = 7;
+
+// ==========================================
+// CSV
+// ==========================================
+
+/**
+ * Parses CSV text (RFC 4180) into rows of fields
+ *
+ * Handles quoted fields with commas, doubled quotes ("") and line
+ * breaks, and both CRLF and LF line endings. Blank lines are dropped.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      // Quotes only open at the start of a field; elsewhere they are literal (6" limbs)
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+// ==========================================
+// CONVECTIVE DAY
+// ==========================================
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * SPC convective day a moment falls in (12Z to 12Z)
+ *
+ * @param {Date} date - Moment in time (default: now)
+ * @returns {string} Day it started, 'YYYY-MM-DD'
+ */
+function getConvectiveDay(date = new Date()) {
+  const shifted = new Date(date.getTime() - CONVECTIVE_DAY_START_HOUR * 60 * 60 * 1000);
+  return formatDay(shifted);
+}
+
+/**
+ * Start and end of a convective day
+ *
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {Object} { start, end } Dates (12Z, 12Z the next day)
+ */
+function getConvectiveDayBounds(day) {
+  const [year, month, date] = String(day).split('-').map(Number);
+  if (!year || !month || !date) {
+    throw new Error(`Invalid convective day: ${day}`);
+  }
+
+  const start = new Date(Date.UTC(year, month - 1, date, CONVECTIVE_DAY_START_HOUR));
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+/**
+ * Convective day for a date
+ *
+ * @param {Date|string} date - 'YYYY-MM-DD', or a Date (the convective day the moment falls in,
+ *   so 2026-05-07T03:00Z is the 2026-05-06 day)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toConvectiveDay(date) {
+  if (date instanceof Date) {
+    if (isNaN(date.getTime())) throw new Error('Invalid convective day: Invalid Date');
+    return getConvectiveDay(date);
+  }
+  return formatDay(getConvectiveDayBounds(date).start);
+}
+
+/**
+ * Convective day a number of days before or after another
+ *
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (negative for earlier)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function shiftConvectiveDay(day, days) {
+  const { start } = getConvectiveDayBounds(day);
+  return formatDay(new Date(start.getTime() + days * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Date part of SPC archive file names ('2026-05-06' -> '260506')
+ */
+function formatReportFileDate(day) {
+  return toConvectiveDay(day).replace(/-/g, '').slice(2);
+}
+
+/**
+ * Resolves an SPC "HHMM" UTC report time within a convective day
+ *
+ * @param {string} hhmm - Report time, e.g. "2215" or "0130"
+ * @param {string} convectiveDay - 'YYYY-MM-DD'
+ * @returns {Date|null} The moment, or null if the time is malformed
+ */
+function resolveReportTime(hhmm, convectiveDay) {
+  const match = /^(\d{1,2})(\d{2})$/.exec(String(hhmm || '').trim());
+  if (!match) return null;
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+
+  const { start } = getConvectiveDayBounds(convectiveDay);
+  const time = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), hour, minute));
+
+  // 00Z-11Z belongs to the calendar day after the convective day starts
+  if (hour < CONVECTIVE_DAY_START_HOUR) {
+    time.setUTCDate(time.getUTCDate() + 1);
+  }
+  return time;
+}
+
+// ==========================================
+// REPORTS
+// ==========================================
+
+// Report type named by a header row, or null if the row isn't a header
+function headerReportType(row) {
+  if (row[0]?.trim().toLowerCase() !== 'time') return null;
+  return REPORT_TYPE_COLUMNS[row[1]?.trim().toLowerCase()] || 'unknown';
+}
+
+// Number, or null for blanks, "UNK" and anything else that isn't one
+function parseNumber(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || !/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+/**
+ * Parses one report row
+ *
+ * @returns {Object|null} Report, or null if the row has no usable location
+ */
+function parseReportRow(row, reportType, convectiveDay) {
+  if (row.length < FIXED_COLUMNS) return null;
+
+  const latitude = parseNumber(row[5]);
+  const longitude = parseNumber(row[6]);
+  if (latitude === null || longitude === null) return null;
+
+  // Unquoted commas in the comments split them into extra fields
+  const comments = row.slice(FIXED_COLUMNS).join(',').trim();
+  const office = comments.match(/\(([A-Z]{3})\)\s*$/)?.[1] || null;
+  const timeUTC = row[0].trim();
+
+  const report = {
+    time: convectiveDay ? resolveReportTime(timeUTC, convectiveDay) : null,
+    timeUTC,
+    convectiveDay: convectiveDay || null,
+    location: row[2].trim(),
+    county: row[3].trim(),
+    state: row[4].trim(),
+    latitude,
+    longitude,
+    comments,
+    office,
+    reportType
+  };
+
+  const magnitude = row[1].trim();
+  if (reportType === 'tornado') {
+    report.fScale = magnitude || 'UNK';
+  } else if (reportType === 'wind') {
+    // Knots; "UNK" for damage with no speed
+    report.speed = parseNumber(magnitude);
+    report.speedMph = report.speed !== null ? Math.round(convert(report.speed, 'kn', 'mph')) : null;
+  } else if (reportType === 'hail') {
+    // Hundredths of an inch
+    const hundredths = parseNumber(magnitude);
+    report.size = hundredths !== null ? hundredths / 100 : null;
+  }
+
+  return report;
+}
+
+/**
+ * Parses an SPC storm report CSV file
+ *
+ * The report type comes from each section's header (F_Scale, Speed or
+ * Size), so single-type and combined files both work; `reportType` is
+ * used for files without a header.
+ *
+ * @param {string} csvText - CSV file contents
+ * @param {Object} options
+ * @param {string} options.reportType - 'tornado', 'wind' or 'hail' for headerless files
+ * @param {string} options.convectiveDay - 'YYYY-MM-DD' the file covers (for report times)
+ * @returns {Array} Reports: { time, timeUTC, convectiveDay, location, county, state,
+ *   latitude, longitude, comments, office, reportType, fScale | speed, speedMph | size }
+ */
+function parseStormReportsCSV(csvText, options = {}) {
+  const { convectiveDay = null } = options;
+  if (options.reportType && !REPORT_TYPES.includes(options.reportType)) {
+    throw new Error(`Invalid report type. Use: ${REPORT_TYPES.join(', ')}`);
+  }
+
+  const reports = [];
+  let reportType = options.reportType || null;
+
+  for (const row of parseCSV(csvText)) {
+    const headerType = headerReportType(row);
+    if (headerType) {
+      reportType = headerType === 'unknown' ? null : headerType;
+      continue;
+    }
+    if (!reportType) continue;
+
+    const report = parseReportRow(row, reportType, convectiveDay);
+    if (report) reports.push(report);
+  }
+
+  return reports;
+}
+
+/**
+ * Splits reports into { tornado, wind, hail }
+ */
+function groupReportsByType(reports) {
+  return {
+    tornado: reports.filter(report => report.reportType === 'tornado'),
+    wind: reports.filter(report => report.reportType === 'wind'),
+    hail: reports.filter(report => report.reportType === 'hail')
+  };
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseStormReportsCSV,
+  parseCSV,
+  getConvectiveDay,
+  getConvectiveDayBounds,
+  toConvectiveDay,
+  shiftConvectiveDay,
+  formatReportFileDate,
+  resolveReportTime,
+  groupReportsByType,
+  REPORT_TYPES
+};
@@ -0,0 +1,301 @@
+/**
+ * Threat Engine for Tornado Shelter App
+ * One threat score for every data source
+ *
+ * Turns normalized inputs - NWS alerts, watches, storm reports, SPC
+ * mesoscale discussions and outlooks, and forecast / environment
+ * metrics (Open-Meteo, NWS grid data) - into a single threat level,
+ * a score, the factors behind it and a recommendation.
+ *
+ * Thresholds live in ./data/threatRules.json (schema documented in its
+ * `metadata.schema` block). Each rule checks metrics and adds points
+ * and/or sets a level floor; only the first matching rule in a group
+ * counts. The level is the highest of the matched floors and the level
+ * the total score reaches. Current alerts, watches, reports and MCDs
+ * only set floors; the score comes from forecast and environment.
+ *
+ * Thresholds on physical metrics carry their unit ({ "value": 65,
+ * "unit": "degF" }) and are converted to the metric's unit (see
+ * `metricUnits`) when the rules load.
+ *
+ * Usage:
+ *   import { ThreatEngine } from './services/threatEngine';
+ *
+ *   const engine = new ThreatEngine();
+ *   const threat = engine.evaluate({
+ *     alerts,
+ *     environment: { cape: 2800, liftedIndex: -5, dewpointC: 19 }
+ *   });
+ *   // { level: 'ELEVATED', score: 60, factors: [...], recommendation: '...' }
+ */
+
+import { THREAT_RULES } from './data/index.js';
+import { convert } from './units.js';
+import { getActiveEventAlerts } from './vtec.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const OPERATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  'in': (a, b) => Array.isArray(b) && b.includes(a)
+};
+
+// Older level names from the data-pull script
+const LEGACY_LEVELS = {
+  MINIMAL: 'NONE'
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Maps a level name onto the unified vocabulary (MINIMAL -> NONE)
+ */
+function normalizeLevel(level) {
+  if (!level) return 'NONE';
+  const upper = String(level).toUpperCase();
+  return LEGACY_LEVELS[upper] || upper;
+}
+
+// Highest of the values that are present, or null
+function highest(...values) {
+  const present = values.filter(value => typeof value === 'number' && !isNaN(value));
+  return present.length > 0 ? Math.max(...present) : null;
+}
+
+function formatValue(value) {
+  if (typeof value !== 'number') return String(value);
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 10) / 10);
+}
+
+// ==========================================
+// METRICS
+// ==========================================
+
+/**
+ * Computes rule metrics from normalized inputs
+ *
+ * @param {Object} inputs
+ * @param {Array} inputs.alerts - Mapped NWS alerts for the location
+ * @param {Array} inputs.watches - Watch objects (default: each alert's `watch`)
+ * @param {Object} inputs.stormReports - Nearby storm reports { tornado, wind, hail }
+ * @param {Array} inputs.mcds - Active MCDs covering the location
+ * @param {Object|string} inputs.outlook - SPC outlook risk ({ categorical }) or category code
+ * @param {Object} inputs.environment - { cape, liftedIndex, cin, dewpointC, windGustMph, highRiskDays,
+ *   bulkShear06Kt, srh01, lclM, stp, scp } (see convectiveParameters.js)
+ * @param {Object} inputs.forecast - { dewpointC, thunderProbability, windGustMph }
+ * @returns {Object} Metric values by name; null when the input wasn't given
+ */
+function computeMetrics(inputs = {}) {
+  const alerts = inputs.alerts || [];
+  const mcds = inputs.mcds || [];
+  const environment = inputs.environment || {};
+  const forecast = inputs.forecast || {};
+
+  // One per VTEC event still in effect - cancelled or expired warnings don't count
+  const activeAlerts = getActiveEventAlerts(alerts);
+  const tornadoWarnings = activeAlerts.filter(a =>
+    a.event?.toLowerCase().includes('tornado warning')
+  );
+  // Inside the warning polygon (or no polygon to check against)
+  const insideTornadoWarnings = tornadoWarnings.filter(a => a.isInsidePolygon !== false);
+
+  const watches = (inputs.watches || alerts.map(a => a.watch)).filter(w => w && !w.isCancelled);
+  const tornadoWatches = watches.filter(w => w.type === 'TORNADO');
+
+  const tornadoMCDs = mcds.filter(mcd => mcd.mentionsTornado);
+  const outlookRisk = typeof inputs.outlook === 'string'
+    ? inputs.outlook
+    : inputs.outlook?.categorical || null;
+
+  return {
+    // Happening now
+    insideTornadoEmergencies: insideTornadoWarnings.filter(a => a.isTornadoEmergency || a.isTornadoObserved).length,
+    insideTornadoWarnings: insideTornadoWarnings.length,
+    tornadoWarnings: tornadoWarnings.length,
+    pdsTornadoWatches: tornadoWatches.filter(w => w.isPDS).length,
+    tornadoWatches: tornadoWatches.length,
+    watches: watches.length,
+    nearbyTornadoReports: inputs.stormReports?.tornado?.length || 0,
+    tornadoMCDProbability: tornadoMCDs.length > 0
+      ? Math.max(...tornadoMCDs.map(mcd => mcd.watchProbability ?? 0))
+      : null,
+    mcds: mcds.length,
+    severeThunderstormWarnings: activeAlerts.filter(a =>
+      a.event?.toLowerCase().includes('severe thunderstorm warning')
+    ).length,
+    alerts: alerts.length,
+
+    // Forecast
+    outlookRisk,
+
+    // Environment (both sources can report moisture and gusts)
+    cape: highest(environment.cape),
+    liftedIndex: typeof environment.liftedIndex === 'number' ? environment.liftedIndex : null,
+    cin: typeof environment.cin === 'number' ? environment.cin : null,
+    dewpointC: highest(environment.dewpointC, forecast.dewpointC),
+    windGustMph: highest(environment.windGustMph, forecast.windGustMph),
+    thunderProbability: highest(forecast.thunderProbability),
+    highRiskDays: highest(environment.highRiskDays),
+
+    // Shear, helicity and composite indices
+    bulkShear06Kt: highest(environment.bulkShear06Kt),
+    srh01: highest(environment.srh01),
+    lclM: typeof environment.lclM === 'number' ? environment.lclM : null,
+    stp: highest(environment.stp),
+    scp: highest(environment.scp)
+  };
+}
+
+// ==========================================
+// THREAT ENGINE
+// ==========================================
+
+class ThreatEngine {
+  /**
+   * @param {Object} rules - Rules config (default: bundled data/threatRules.json)
+   */
+  constructor(rules = THREAT_RULES) {
+    this.levels = rules.levels;
+    this.scoreLevels = [...(rules.scoreLevels || [])].sort((a, b) => b.minScore - a.minScore);
+    this.recommendations = rules.recommendations || {};
+    this.metricUnits = rules.metricUnits || {};
+
+    for (const rule of rules.rules || []) {
+      if (rule.minLevel && !this.levels.includes(rule.minLevel)) {
+        throw new Error(`Threat rule ${rule.id}: unknown level ${rule.minLevel}`);
+      }
+      for (const condition of rule.when || []) {
+        if (!OPERATORS[condition.op]) {
+          throw new Error(`Threat rule ${rule.id}: unknown operator ${condition.op}`);
+        }
+      }
+    }
+
+    this.rules = (rules.rules || []).map(rule => ({
+      ...rule,
+      when: (rule.when || []).map(condition => this.toMetricUnit(rule, condition))
+    }));
+  }
+
+  /**
+   * A condition with its threshold in the metric's unit
+   */
+  toMetricUnit(rule, condition) {
+    const metricUnit = this.metricUnits[condition.metric];
+    if (!metricUnit && !condition.unit) return condition;
+
+    if (!metricUnit) {
+      throw new Error(`Threat rule ${rule.id}: ${condition.metric} has no unit`);
+    }
+    if (!condition.unit) {
+      throw new Error(`Threat rule ${rule.id}: ${condition.metric} threshold needs a unit (${metricUnit})`);
+    }
+
+    try {
+      return { ...condition, value: convert(condition.value, condition.unit, metricUnit), unit: metricUnit };
+    } catch (error) {
+      throw new Error(`Threat rule ${rule.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scores normalized inputs
+   *
+   * @param {Object} inputs - See computeMetrics()
+   * @returns {Object} { level, score, factors, recommendation, metrics }
+   *   factors: [{ rule, group, points, minLevel, description }]
+   */
+  evaluate(inputs = {}) {
+    const metrics = computeMetrics(inputs);
+    const matchedGroups = new Set();
+    const factors = [];
+    let score = 0;
+    let level = this.levels[0];
+
+    for (const rule of this.rules) {
+      if (matchedGroups.has(rule.group) || !this.matches(rule, metrics)) continue;
+      matchedGroups.add(rule.group);
+
+      score += rule.points || 0;
+      if (rule.minLevel) level = this.maxLevel(level, rule.minLevel);
+      factors.push({
+        rule: rule.id,
+        group: rule.group,
+        points: rule.points || 0,
+        minLevel: rule.minLevel || null,
+        description: (rule.factor || rule.id).replace(/\{(\w+)\}/g, (_, name) => formatValue(metrics[name]))
+      });
+    }
+
+    const scoreLevel = this.scoreLevels.find(entry => score >= entry.minScore);
+    if (scoreLevel) level = this.maxLevel(level, scoreLevel.level);
+
+    return {
+      level,
+      score,
+      factors,
+      recommendation: this.recommendations[level] || null,
+      metrics
+    };
+  }
+
+  /**
+   * Whether every condition of a rule holds; missing metrics never match
+   */
+  matches(rule, metrics) {
+    return (rule.when || []).every(({ metric, op, value }) => {
+      const actual = metrics[metric];
+      if (actual === null || actual === undefined) return false;
+      return OPERATORS[op](actual, value);
+    });
+  }
+
+  /**
+   * Position of a level, lowest first (-1 if unknown)
+   */
+  levelIndex(level) {
+    return this.levels.indexOf(normalizeLevel(level));
+  }
+
+  /**
+   * The higher of two levels
+   */
+  maxLevel(a, b) {
+    return this.levelIndex(b) > this.levelIndex(a) ? normalizeLevel(b) : normalizeLevel(a);
+  }
+}
+
+const defaultEngine = new ThreatEngine();
+
+/**
+ * Scores inputs with the bundled rules
+ *
+ * @param {Object} inputs - See computeMetrics()
+ * @returns {Object} { level, score, factors, recommendation, metrics }
+ */
+function evaluateThreat(inputs) {
+  return defaultEngine.evaluate(inputs);
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  ThreatEngine,
+  evaluateThreat,
+  computeMetrics,
+  normalizeLevel,
+  THREAT_RULES
+};
+
+export default ThreatEngine;
@@ -0,0 +1,233 @@
+/**
+ * Units for Tornado Shelter App
+ * One set of units for every data source
+ *
+ * Sources disagree on units: NWS grid data says so per property with
+ * WMO codes (`uom: "wmoUnit:km_h-1"`), Open-Meteo in `hourly_units` /
+ * `daily_units` ("°F", "mph") depending on the request, and SPC reports
+ * use knots and hundredths of an inch. Reading a number without its
+ * unit is how a km/h gust ends up compared against an m/s threshold.
+ *
+ * Every value is read with its source unit, converted to the canonical
+ * (SI) unit for its dimension, and only converted again for display in
+ * the system the caller asks for:
+ *
+ * | Dimension     | si (canonical) | metric | imperial |
+ * |---------------|----------------|--------|----------|
+ * | temperature   | degC           | degC   | degF     |
+ * | speed         | m/s            | km/h   | mph      |
+ * | length        | m              | m      | ft       |
+ * | precipitation | mm             | mm     | in       |
+ * | pressure      | Pa             | hPa    | inHg     |
+ *
+ * Percent, J/kg, m2/s2 and deg are the same in every system.
+ *
+ * Usage:
+ *   import { parseUnit, convert, toSystem } from './services/units';
+ *
+ *   parseUnit('wmoUnit:km_h-1');      // 'km/h'
+ *   parseUnit('°F');                  // 'degF'
+ *   convert(36, 'km/h', 'm/s');       // 10
+ *   toSystem(20, 'degC', 'imperial'); // { value: 68, unit: 'degF' }
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// value in canonical unit = value * factor + offset
+const UNITS = {
+  // Temperature (canonical: degC)
+  degC: { dimension: 'temperature', factor: 1, offset: 0 },
+  degF: { dimension: 'temperature', factor: 5 / 9, offset: -32 * 5 / 9 },
+  K: { dimension: 'temperature', factor: 1, offset: -273.15 },
+
+  // Speed (canonical: m/s)
+  'm/s': { dimension: 'speed', factor: 1, offset: 0 },
+  'km/h': { dimension: 'speed', factor: 1 / 3.6, offset: 0 },
+  mph: { dimension: 'speed', factor: 0.44704, offset: 0 },
+  kn: { dimension: 'speed', factor: 1852 / 3600, offset: 0 },
+
+  // Length / height (canonical: m)
+  m: { dimension: 'length', factor: 1, offset: 0 },
+  km: { dimension: 'length', factor: 1000, offset: 0 },
+  ft: { dimension: 'length', factor: 0.3048, offset: 0 },
+  mi: { dimension: 'length', factor: 1609.344, offset: 0 },
+
+  // Precipitation / snow / hail size (canonical: mm)
+  mm: { dimension: 'precipitation', factor: 1, offset: 0 },
+  cm: { dimension: 'precipitation', factor: 10, offset: 0 },
+  in: { dimension: 'precipitation', factor: 25.4, offset: 0 },
+
+  // Pressure (canonical: Pa)
+  Pa: { dimension: 'pressure', factor: 1, offset: 0 },
+  hPa: { dimension: 'pressure', factor: 100, offset: 0 },
+  inHg: { dimension: 'pressure', factor: 3386.389, offset: 0 },
+
+  // Same everywhere
+  percent: { dimension: 'percent', factor: 1, offset: 0 },
+  'J/kg': { dimension: 'energy', factor: 1, offset: 0 },
+  'm2/s2': { dimension: 'helicity', factor: 1, offset: 0 },
+  deg: { dimension: 'angle', factor: 1, offset: 0 }
+};
+
+// Source spellings (NWS WMO / NWS codes without prefix, Open-Meteo units)
+const UNIT_ALIASES = {
+  // NWS
+  'km_h-1': 'km/h',
+  'm_s-1': 'm/s',
+  'kt': 'kn',
+  'J_kg-1': 'J/kg',
+  'm2_s-2': 'm2/s2',
+  'degree_(angle)': 'deg',
+  'degK': 'K',
+
+  // Open-Meteo
+  '°C': 'degC',
+  '°F': 'degF',
+  'inch': 'in',
+  '%': 'percent',
+  '°': 'deg',
+  'm²/s²': 'm2/s2',
+  'gpm': 'm'
+};
+
+const UNIT_SYSTEMS = {
+  si: {
+    temperature: 'degC', speed: 'm/s', length: 'm', precipitation: 'mm', pressure: 'Pa'
+  },
+  metric: {
+    temperature: 'degC', speed: 'km/h', length: 'm', precipitation: 'mm', pressure: 'hPa'
+  },
+  imperial: {
+    temperature: 'degF', speed: 'mph', length: 'ft', precipitation: 'in', pressure: 'inHg'
+  }
+};
+
+// Every value is converted to this system before comparing
+const CANONICAL_SYSTEM = 'si';
+
+// ==========================================
+// PARSING
+// ==========================================
+
+/**
+ * Unit key for a source unit code
+ *
+ * @param {string} code - NWS uom ("wmoUnit:degC"), Open-Meteo unit ("°F") or unit key
+ * @returns {string|null} Unit key (see UNITS), or null if unknown
+ */
+function parseUnit(code) {
+  if (!code) return null;
+  const bare = String(code).replace(/^(wmoUnit|nwsUnit|unit):/, '');
+  const unit = UNIT_ALIASES[bare] || bare;
+  return UNITS[unit] ? unit : null;
+}
+
+function requireUnit(code) {
+  const unit = parseUnit(code);
+  if (!unit) {
+    throw new Error(`Unknown unit: ${code}`);
+  }
+  return unit;
+}
+
+/**
+ * Dimension of a unit ('temperature', 'speed', ...), or null if unknown
+ */
+function getDimension(code) {
+  const unit = parseUnit(code);
+  return unit ? UNITS[unit].dimension : null;
+}
+
+// ==========================================
+// CONVERSION
+// ==========================================
+
+/**
+ * Converts a value between units of the same dimension
+ *
+ * @param {number} value - Value in `from` units (null passes through)
+ * @param {string} from - Source unit (any spelling parseUnit() accepts)
+ * @param {string} to - Target unit
+ * @returns {number|null} Value in `to` units
+ */
+function convert(value, from, to) {
+  if (value === null || value === undefined) return null;
+  const source = UNITS[requireUnit(from)];
+  const target = UNITS[requireUnit(to)];
+  if (source.dimension !== target.dimension) {
+    throw new Error(`Cannot convert ${from} to ${to}`);
+  }
+  if (source === target) return value;
+  const canonical = value * source.factor + source.offset;
+  return (canonical - target.offset) / target.factor;
+}
+
+/**
+ * Unit a system uses for a unit's dimension
+ *
+ * @param {string} code - Source unit
+ * @param {string} system - 'si', 'metric' or 'imperial'
+ * @returns {string} Unit key (the unit itself for percent, J/kg, ...)
+ */
+function systemUnit(code, system = CANONICAL_SYSTEM) {
+  const units = UNIT_SYSTEMS[system];
+  if (!units) {
+    throw new Error(`Unknown unit system: ${system}`);
+  }
+  const unit = requireUnit(code);
+  return units[UNITS[unit].dimension] || unit;
+}
+
+/**
+ * Converts a value into a unit system
+ *
+ * @param {number} value - Value in `from` units
+ * @param {string} from - Source unit
+ * @param {string} system - 'si' (default), 'metric' or 'imperial'
+ * @returns {Object} { value, unit }
+ */
+function toSystem(value, from, system = CANONICAL_SYSTEM) {
+  const unit = systemUnit(from, system);
+  return { value: convert(value, from, unit), unit };
+}
+
+/**
+ * Converts a value to the canonical (SI) unit for its dimension
+ *
+ * @returns {Object} { value, unit }
+ */
+function toCanonical(value, from) {
+  return toSystem(value, from, CANONICAL_SYSTEM);
+}
+
+/**
+ * Converts a threshold ({ value, unit }) into the unit of the value it
+ * is compared against
+ *
+ * @param {Object} threshold - { value, unit }
+ * @param {string} unit - Unit of the compared value
+ * @returns {number} Threshold in `unit`
+ */
+function thresholdIn(threshold, unit) {
+  return convert(threshold.value, threshold.unit, unit);
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseUnit,
+  getDimension,
+  convert,
+  systemUnit,
+  toSystem,
+  toCanonical,
+  thresholdIn,
+  UNITS,
+  UNIT_ALIASES,
+  UNIT_SYSTEMS,
+  CANONICAL_SYSTEM
+};
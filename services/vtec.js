@@ -0,0 +1,212 @@
+/**
+ * P-VTEC Parser for Tornado Shelter App
+ * Ties NWS warnings, follow-up statements and cancellations together
+ *
+ * Every NWS warning, watch and advisory product carries a P-VTEC
+ * string in `parameters.VTEC`:
+ *
+ *   /O.NEW.KOUN.TO.W.0012.260430T2330Z-260501T0015Z/
+ *    |  |   |    |  | |    |             |
+ *    |  |   |    |  | |    begin         end (UTC)
+ *    |  |   |    |  | ETN (event tracking number)
+ *    |  |   |    |  significance (W warning, A watch, Y advisory, S statement)
+ *    |  |   |    phenomena (TO tornado, SV severe thunderstorm, FF flash flood...)
+ *    |  |   office
+ *    |  action (NEW, CON, EXT, CAN, EXP, UPG...)
+ *    product class (O operational, T test, E experimental, X experimental VTEC)
+ *
+ * The original warning, each Severe Weather Statement (SVS) that
+ * continues it and the final cancellation all share office,
+ * phenomena, significance and ETN - the event key.
+ *
+ * Usage:
+ *   import { parseVTECList, groupAlertsByEvent } from './services/vtec';
+ *
+ *   const [vtec] = parseVTECList(props.parameters.VTEC);
+ *   vtec.eventKey;   // "KOUN.TO.W.0012"
+ *
+ *   const events = groupAlertsByEvent(alerts);
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const VTEC_ACTIONS = {
+  NEW: 'New event',
+  CON: 'Event continued',
+  EXT: 'Event extended (time)',
+  EXA: 'Event extended (area)',
+  EXB: 'Event extended (time and area)',
+  UPG: 'Event upgraded',
+  CAN: 'Event cancelled',
+  EXP: 'Event expired',
+  COR: 'Correction',
+  ROU: 'Routine'
+};
+
+// Actions after which the event (or this part of it) is over
+const ENDING_ACTIONS = ['CAN', 'EXP', 'UPG'];
+
+const VTEC_PATTERN =
+  /\/?([OTEX])\.([A-Z]{3})\.([A-Z0-9]{4})\.([A-Z]{2})\.([A-Z])\.(\d{4})\.(\d{6}T\d{4}Z)-(\d{6}T\d{4}Z)\/?/;
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Parses a VTEC time ("260430T2330Z"); all zeros means "not set"
+ */
+function parseVTECTime(value) {
+  const match = value.match(/^(\d{2})(\d{2})(\d{2})T(\d{2})(\d{2})Z$/);
+  if (!match || /^0+T0+Z$/.test(value)) return null;
+  const [, year, month, day, hour, minute] = match;
+  return new Date(Date.UTC(2000 + +year, +month - 1, +day, +hour, +minute));
+}
+
+/**
+ * Parses one P-VTEC string
+ *
+ * @param {string} vtec - e.g. "/O.NEW.KOUN.TO.W.0012.260430T2330Z-260501T0015Z/"
+ * @returns {Object|null} { productClass, action, office, phenomena, significance,
+ *   etn, begin, end, eventKey, isEnding }, or null if it isn't P-VTEC
+ */
+function parseVTEC(vtec) {
+  const match = String(vtec || '').match(VTEC_PATTERN);
+  if (!match) return null;
+
+  const [, productClass, action, office, phenomena, significance, etn, begin, end] = match;
+
+  return {
+    productClass,
+    action,
+    office,
+    phenomena,
+    significance,
+    etn: parseInt(etn, 10),
+    begin: parseVTECTime(begin),
+    end: parseVTECTime(end),
+    // Significance is part of the key: an office's TO.W.0012 and the
+    // TO.A.0012 watch it relays are different events
+    eventKey: `${office}.${phenomena}.${significance}.${etn}`,
+    isEnding: ENDING_ACTIONS.includes(action)
+  };
+}
+
+/**
+ * Parses an alert's VTEC list, skipping anything that isn't P-VTEC
+ *
+ * @param {Array} vtecList - `parameters.VTEC` from an NWS alert
+ * @returns {Array} Parsed VTEC codes
+ */
+function parseVTECList(vtecList) {
+  return (vtecList || []).map(parseVTEC).filter(Boolean);
+}
+
+/**
+ * The VTEC code that identifies an alert's event
+ *
+ * A product can carry several codes, e.g. an SVS that cancels the
+ * warning for one county (CAN) and continues it for the rest (CON).
+ * The continuing code wins; if every code ends, the first one does.
+ *
+ * @param {Array} vtecs - Parsed VTEC codes
+ * @returns {Object|null} Primary VTEC code
+ */
+function getPrimaryVTEC(vtecs) {
+  if (!vtecs || vtecs.length === 0) return null;
+  return vtecs.find(vtec => !vtec.isEnding) || vtecs[0];
+}
+
+// ==========================================
+// EVENT GROUPING
+// ==========================================
+
+/**
+ * Groups alerts into VTEC events
+ *
+ * Warnings, their follow-up statements and their cancellation become
+ * one event, described by the latest product. Alerts without VTEC
+ * (e.g. Special Weather Statements) are their own event, keyed on the
+ * alert id.
+ *
+ * @param {Array} alerts - Mapped alerts (with `vtec` and `eventKey`)
+ * @returns {Array} Events: { eventKey, event, office, phenomena, significance, etn,
+ *   action, status, latest, products, issued, lastUpdated, ends }, newest first
+ */
+function groupAlertsByEvent(alerts) {
+  const byKey = new Map();
+
+  for (const alert of alerts) {
+    const key = alert.eventKey || alert.id;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(alert);
+  }
+
+  const sentTime = alert => (alert.sent ? new Date(alert.sent).getTime() : 0);
+
+  return [...byKey.entries()]
+    .map(([eventKey, products]) => {
+      products.sort((a, b) => sentTime(a) - sentTime(b));
+      const first = products[0];
+      const latest = products[products.length - 1];
+      // A partial cancellation (CAN for some counties, CON for the
+      // rest) leaves the event active
+      const vtec = getPrimaryVTEC(latest.vtec?.filter(code => code.eventKey === eventKey));
+
+      let status = 'ACTIVE';
+      if (latest.messageType === 'Cancel' || vtec?.action === 'CAN') status = 'CANCELLED';
+      else if (vtec?.action === 'EXP') status = 'EXPIRED';
+      else if (vtec?.action === 'UPG') status = 'UPGRADED';
+
+      return {
+        eventKey,
+        event: latest.event,
+        office: vtec?.office || null,
+        phenomena: vtec?.phenomena || null,
+        significance: vtec?.significance || null,
+        etn: vtec?.etn ?? null,
+        action: vtec?.action || null,
+        status,
+        latest,
+        products,
+        issued: first.sent || null,
+        lastUpdated: latest.sent || null,
+        ends: vtec?.end || latest.ends || latest.expires || null
+      };
+    })
+    .sort((a, b) => sentTime(b.latest) - sentTime(a.latest));
+}
+
+/**
+ * Alerts for events that are still in effect
+ *
+ * Keeps only the latest product of each ACTIVE event, so a warning
+ * whose latest statement cancels, expires or upgrades it drops out,
+ * as do the older statements of a continuing warning.
+ *
+ * @param {Array} alerts - Mapped alerts (with `vtec` and `eventKey`)
+ * @returns {Array} One alert per active event, in input order
+ */
+function getActiveEventAlerts(alerts) {
+  const active = new Set(
+    groupAlertsByEvent(alerts)
+      .filter(event => event.status === 'ACTIVE')
+      .map(event => event.latest)
+  );
+  return alerts.filter(alert => active.has(alert));
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseVTEC,
+  parseVTECList,
+  getPrimaryVTEC,
+  groupAlertsByEvent,
+  getActiveEventAlerts,
+  VTEC_ACTIONS
+};
@@ -0,0 +1,315 @@
+/**
+ * Severe Weather Watch Parser for Tornado Shelter App
+ * Turns SPC watch products and NWS watch alerts into watch objects
+ *
+ * A watch reaches us two ways:
+ * - SPC's watch page (SEL + SAW text): watch number, type, PDS flag,
+ *   valid time and the watch box (LAT...LON polygon)
+ * - NWS watch alerts (WCN, one per forecast office): the watch number
+ *   is the ETN of the TO.A / SV.A VTEC code, and the alert lists the
+ *   counties in the watch
+ *
+ * Both become the same shape and can be merged by watch number:
+ *
+ *   {
+ *     number: 123,
+ *     type: 'TORNADO' | 'SEVERE_THUNDERSTORM',
+ *     isPDS: true,
+ *     validFrom, validUntil,
+ *     counties: ['Canadian, OK', ...],   // NWS county names
+ *     countyCodes: ['OKC017', ...],      // NWS UGC codes
+ *     polygon,                           // GeoJSON watch box (SPC), or null
+ *     stormMotion,                       // mean storm motion (SPC), or null
+ *     isCancelled, sources: ['spc', 'nws']
+ *   }
+ *
+ * Usage:
+ *   import { watchFromAlert, formatWatchTitle } from './services/watchParser';
+ *
+ *   const watch = watchFromAlert(feature.properties);
+ *   formatWatchTitle(watch);   // "PDS Tornado Watch #123 until 10 PM"
+ */
+
+import {
+  extractMCDText,
+  parseIssuanceTime,
+  resolveDayTime,
+  parseLatLonPolygon,
+  parseStates,
+  TIMEZONE_OFFSETS
+} from './mcdParser.js';
+import { isPointInPolygon } from './geoUtils.js';
+import { parseVTECList, getPrimaryVTEC } from './vtec.js';
+import { parseMeanStormMotion } from './stormMotion.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// VTEC phenomena codes for SPC watches
+const WATCH_PHENOMENA = {
+  TO: 'TORNADO',
+  SV: 'SEVERE_THUNDERSTORM'
+};
+
+const WATCH_LABELS = {
+  TORNADO: 'Tornado',
+  SEVERE_THUNDERSTORM: 'Severe Thunderstorm'
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Watch type from product wording ("Tornado", "SEVERE TSTM", ...)
+ */
+function toWatchType(text) {
+  if (/tornado/i.test(text)) return 'TORNADO';
+  if (/severe (thunderstorm|tstm)/i.test(text)) return 'SEVERE_THUNDERSTORM';
+  return null;
+}
+
+/**
+ * Finds the watch VTEC code in an alert's VTEC list
+ * ("/O.NEW.KOUN.TO.A.0123.260430T2330Z-260501T0500Z/")
+ */
+function findWatchVTEC(vtecList) {
+  const vtec = getPrimaryVTEC(parseVTECList(vtecList).filter(code =>
+    code.significance === 'A' && WATCH_PHENOMENA[code.phenomena]
+  ));
+  if (!vtec) return null;
+
+  return {
+    ...vtec,
+    type: WATCH_PHENOMENA[vtec.phenomena],
+    number: vtec.etn
+  };
+}
+
+/**
+ * Resolves a local clock time ("1100 PM CDT") on or after a reference time
+ */
+function resolveLocalTime(hhmm, meridiem, zone, reference) {
+  const offset = TIMEZONE_OFFSETS[zone.toUpperCase()];
+  if (offset === undefined || !reference) return null;
+
+  let hour = parseInt(hhmm.slice(0, -2), 10) % 12;
+  if (meridiem.toUpperCase() === 'PM') hour += 12;
+  const minute = parseInt(hhmm.slice(-2), 10);
+
+  // Reference date as seen in that timezone
+  const local = new Date(reference.getTime() + offset * 60 * 60 * 1000);
+  const date = new Date(Date.UTC(
+    local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(),
+    hour - offset, minute
+  ));
+
+  // "until 1 AM" issued the evening before
+  if (date < reference - 60 * 60 * 1000) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// ==========================================
+// PARSERS
+// ==========================================
+
+/**
+ * Parses an SPC watch product (SEL and/or SAW text, or the watch web page)
+ *
+ * @param {string} product - Watch text product or HTML page
+ * @returns {Object|null} Watch object, or null if this isn't a watch
+ */
+function parseSPCWatch(product) {
+  const text = extractMCDText(product).replace(/\r\n/g, '\n');
+
+  // SEL: "Tornado Watch Number 123"; SAW: "WW 123 TORNADO OK TX 302230Z - 010400Z"
+  const sel = text.match(/(Tornado|Severe Thunderstorm) Watch Number\s+(\d+)/i);
+  const saw = text.match(/^\s*WW\s+(\d+)\s+(TORNADO|SEVERE TSTM)\s+([A-Z ]*?)\s*(\d{6})Z\s*-\s*(\d{6})Z/im);
+  if (!sel && !saw) return null;
+
+  const issued = parseIssuanceTime(text);
+  const areaMatch = text.match(/Watch for portions of\s*([\s\S]*?)\n\s*\n/i);
+  const areaDescription = areaMatch ? areaMatch[1].replace(/\s+/g, ' ').trim() : null;
+
+  let validFrom = null;
+  let validUntil = null;
+  if (saw) {
+    validFrom = resolveDayTime(saw[4], issued || new Date());
+    validUntil = resolveDayTime(saw[5], validFrom);
+  } else {
+    // "Effective ... from 530 PM until 1100 PM CDT."
+    const effective = text.match(
+      /from\s+(\d{3,4})\s+(AM|PM)\s+until\s+(\d{3,4})\s+(AM|PM)\s+([A-Z]{3})/i
+    );
+    if (effective) {
+      const [, fromTime, fromMeridiem, untilTime, untilMeridiem, zone] = effective;
+      validFrom = resolveLocalTime(fromTime, fromMeridiem, zone, issued);
+      validUntil = resolveLocalTime(untilTime, untilMeridiem, zone, validFrom);
+    }
+  }
+
+  return {
+    number: parseInt(sel ? sel[2] : saw[1], 10),
+    type: toWatchType(sel ? sel[1] : saw[2]),
+    isPDS: /PARTICULARLY DANGEROUS SITUATION/i.test(text),
+    issued,
+    validFrom,
+    validUntil,
+    areaDescription,
+    states: saw ? saw[3].split(/\s+/).filter(Boolean) : parseStates(areaDescription),
+    counties: [],
+    countyCodes: [],
+    polygon: parseLatLonPolygon(text),
+    stormMotion: parseMeanStormMotion(text),
+    isCancelled: false,
+    sources: ['spc']
+  };
+}
+
+/**
+ * Builds a watch object from an NWS watch alert
+ *
+ * @param {Object} props - NWS alert `properties` (CAP fields)
+ * @returns {Object|null} Watch object, or null if the alert isn't a
+ *   Tornado or Severe Thunderstorm Watch
+ */
+function watchFromAlert(props) {
+  if (!props) return null;
+
+  const vtec = findWatchVTEC(props.parameters?.VTEC);
+  const type = vtec?.type || (/^(Tornado|Severe Thunderstorm) Watch$/i.test(props.event || '')
+    ? toWatchType(props.event)
+    : null);
+  if (!type) return null;
+
+  // Without VTEC, fall back to "TORNADO WATCH 123" in the text
+  const numberMatch = `${props.headline || ''} ${props.description || ''}`.match(/WATCH\s+(\d+)/i);
+  const number = vtec?.number ?? (numberMatch ? parseInt(numberMatch[1], 10) : null);
+  const text = `${props.headline || ''} ${props.description || ''} ${props.instruction || ''}`;
+
+  return {
+    number,
+    type,
+    isPDS: /PARTICULARLY DANGEROUS SITUATION/i.test(text),
+    issued: props.sent ? new Date(props.sent) : null,
+    validFrom: vtec?.begin || (props.onset ? new Date(props.onset) : null),
+    validUntil: vtec?.end || (props.ends ? new Date(props.ends) : null) ||
+      (props.expires ? new Date(props.expires) : null),
+    areaDescription: props.areaDesc || null,
+    states: [...new Set((props.geocode?.UGC || []).map(code => code.slice(0, 2)))],
+    counties: props.areaDesc ? props.areaDesc.split(';').map(name => name.trim()).filter(Boolean) : [],
+    countyCodes: props.geocode?.UGC || [],
+    polygon: null,
+    stormMotion: null,
+    isCancelled: props.messageType === 'Cancel' || vtec?.isEnding === true,
+    sources: ['nws']
+  };
+}
+
+// ==========================================
+// WATCH HELPERS
+// ==========================================
+
+/**
+ * Merges watch objects that describe the same watch
+ * (one per forecast office from NWS, plus SPC's watch box)
+ *
+ * @param {Array} watches - Watch objects
+ * @returns {Array} One watch per type and number, by watch number
+ */
+function mergeWatches(watches) {
+  const byKey = new Map();
+  const union = (a, b) => [...new Set([...a, ...b])];
+  // Counties an office has cancelled are no longer in the watch
+  const liveCounties = (a, b, field) => {
+    if (a.isCancelled && b.isCancelled) return union(a[field], b[field]);
+    return union(a.isCancelled ? [] : a[field], b.isCancelled ? [] : b[field]);
+  };
+
+  for (const watch of watches) {
+    if (!watch || watch.number == null) continue;
+    const key = `${watch.type}_${watch.number}`;
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      byKey.set(key, { ...watch });
+      continue;
+    }
+
+    // SPC's times cover the whole watch; offices may cancel counties early
+    const fromSPC = watch.sources.includes('spc');
+    byKey.set(key, {
+      ...existing,
+      isPDS: existing.isPDS || watch.isPDS,
+      validFrom: fromSPC ? watch.validFrom || existing.validFrom : existing.validFrom || watch.validFrom,
+      validUntil: fromSPC ? watch.validUntil || existing.validUntil : existing.validUntil || watch.validUntil,
+      areaDescription: fromSPC ? watch.areaDescription || existing.areaDescription : existing.areaDescription,
+      states: union(existing.states, watch.states),
+      counties: liveCounties(existing, watch, 'counties'),
+      countyCodes: liveCounties(existing, watch, 'countyCodes'),
+      polygon: existing.polygon || watch.polygon,
+      stormMotion: existing.stormMotion || watch.stormMotion,
+      isCancelled: existing.isCancelled && watch.isCancelled,
+      sources: union(existing.sources, watch.sources)
+    });
+  }
+
+  return [...byKey.values()].sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Whether a watch is in effect at a given time
+ */
+function isWatchActive(watch, now = new Date()) {
+  if (!watch || watch.isCancelled) return false;
+  return !watch.validUntil || now <= watch.validUntil;
+}
+
+/**
+ * Checks whether a point is inside a watch box
+ *
+ * @param {Object} watch - Watch object
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean|null} True/false, or null if the watch has no polygon
+ */
+function isPointInWatch(watch, lat, lon) {
+  if (!watch?.polygon) return null;
+  return isPointInPolygon(lat, lon, watch.polygon);
+}
+
+/**
+ * Display title, e.g. "PDS Tornado Watch #123 until 10 PM"
+ *
+ * @param {Object} watch - Watch object
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA timezone for the end time (default America/Chicago)
+ * @returns {string} Watch title
+ */
+function formatWatchTitle(watch, options = {}) {
+  const { timeZone = 'America/Chicago' } = options;
+  const title = `${watch.isPDS ? 'PDS ' : ''}${WATCH_LABELS[watch.type]} Watch #${watch.number}`;
+  if (!watch.validUntil) return title;
+
+  const until = new Date(watch.validUntil)
+    .toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
+    .replace(':00', '');
+  return `${title} until ${until}`;
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  parseSPCWatch,
+  watchFromAlert,
+  mergeWatches,
+  isWatchActive,
+  isPointInWatch,
+  formatWatchTitle,
+  WATCH_LABELS
+};
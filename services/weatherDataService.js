@@ -5,7 +5,12 @@
  * This service fetches data from:
  * - National Weather Service (NWS) Alerts API
  * - Storm Prediction Center (SPC) Storm Reports
+ * - Storm Prediction Center (SPC) Convective Outlooks (Days 1-3)
+ * - Storm Prediction Center (SPC) Mesoscale Discussions
+ * - Storm Prediction Center (SPC) Tornado / Severe Thunderstorm Watches
+ * - Open-Meteo tornado environment (CAPE, Lifted Index, CIN) - 16-day forecast
  * - FEMA National Shelter System (Open Shelters)
+ * - Local registry of verified Oklahoma shelters (ships empty, see shelterRegistry.js)
  * 
  * Usage in React Native:
  *   import { WeatherDataService } from './services/weatherDataService';
@@ -17,6 +22,38 @@
  * Only a User-Agent header is required for NWS.
  */
 
+import {
+  calculateDistanceMiles,
+  isPointInPolygon,
+  distanceToPolygonEdgeMiles,
+  esriRingsToGeoJSON,
+  polygonsIntersect
+} from './geoUtils.js';
+import { ShelterRegistry } from './shelterRegistry.js';
+import { parseStormMotion, estimateStormArrival, isHeadingTowardStorm } from './stormMotion.js';
+import { parseMCD, isPointInMCD, isMCDActive } from './mcdParser.js';
+import {
+  parseStormReportsCSV,
+  getConvectiveDay,
+  getConvectiveDayBounds,
+  toConvectiveDay,
+  shiftConvectiveDay,
+  formatReportFileDate,
+  REPORT_TYPES
+} from './stormReportParser.js';
+import {
+  parseSPCWatch,
+  watchFromAlert,
+  mergeWatches,
+  isWatchActive,
+  isPointInWatch,
+  formatWatchTitle
+} from './watchParser.js';
+import { parseVTECList, getPrimaryVTEC, groupAlertsByEvent, getActiveEventAlerts } from './vtec.js';
+import { ThreatEngine, evaluateThreat } from './threatEngine.js';
+import { calculateConvectiveParameters, STANDARD_LEVEL_HEIGHTS } from './convectiveParameters.js';
+import { parseUnit, getDimension, convert, systemUnit, UNIT_SYSTEMS } from './units.js';
+
 // ==========================================
 // CONFIGURATION
 // ==========================================
@@ -30,13 +67,28 @@ const CONFIG = {
   NWS_BASE_URL: 'https://api.weather.gov',
   FEMA_SHELTERS_URL: 'https://gis.fema.gov/arcgis/rest/services/NSS/OpenShelters/MapServer/0/query',
   SPC_REPORTS_URL: 'https://www.spc.noaa.gov/climo/reports',
+  SPC_REPORTS_MAX_RANGE_DAYS: 31, // Days per getReportsForRange() call (one request per day and type)
+  SPC_OUTLOOK_URL: 'https://mapservices.weather.noaa.gov/vector/rest/services/outlooks/SPC_wx_outlks/MapServer',
+  SPC_MCD_URL: 'https://www.spc.noaa.gov/products/md',
+  SPC_WATCH_URL: 'https://www.spc.noaa.gov/products/watch',
+  OPEN_METEO_URL: 'https://api.open-meteo.com/v1/forecast',
   
   // Cache duration in milliseconds
   CACHE_DURATION: {
     ALERTS: 2 * 60 * 1000,      // 2 minutes for alerts (critical data)
     SHELTERS: 5 * 60 * 1000,    // 5 minutes for shelter status
-    STORM_REPORTS: 10 * 60 * 1000  // 10 minutes for storm reports
+    STORM_REPORTS: 10 * 60 * 1000,  // 10 minutes for storm reports
+    STORM_REPORTS_ARCHIVE: 30 * 24 * 60 * 60 * 1000, // 30 days for past days' storm reports (final)
+    OUTLOOK: 30 * 60 * 1000,    // 30 minutes for SPC outlooks (issued a few times a day)
+    MCD: 5 * 60 * 1000,         // 5 minutes for SPC mesoscale discussions
+    OPEN_METEO: 30 * 60 * 1000, // 30 minutes for Open-Meteo (model runs are hourly at best)
+    GRID_FORECAST: 60 * 60 * 1000, // 1 hour for NWS gridpoint forecasts
+    GRID_POINT: 24 * 60 * 60 * 1000, // 24 hours for NWS grid lookups (office rarely changes)
+    ZONES: 24 * 60 * 60 * 1000, // 24 hours for county boundaries
+    MAX_STALE: 24 * 60 * 60 * 1000  // Keep expired data 24 hours for offline fallback
   },
+  CACHE_MAX_ENTRIES: 500, // In-memory cache size cap (oldest entries are evicted first)
+  ALERTS_MAX_STALE_MS: 10 * 60 * 1000, // Stale alerts older than this make dataHealth CRITICAL
   
   // Request timeout
   TIMEOUT_MS: 15000
@@ -46,28 +98,93 @@ const CONFIG = {
 // SIMPLE CACHE IMPLEMENTATION
 // ==========================================
 
+/**
+ * Default in-memory cache backend
+ * 
+ * Any object with the same methods can be passed to WeatherDataService
+ * as a cache backend (see cacheBackends.js for file and Supabase
+ * backends). Methods may return values or Promises.
+ * 
+ * - get(key)                  Fresh data, or null if missing/expired
+ * - getStale(key)             { data, storedAt, expiry, isStale } even if
+ *                             expired, for offline fallback
+ * - set(key, data, durationMs)
+ * - delete(key)
+ * - clear()
+ * 
+ * Expired entries are kept for getStale() until maxStaleMs has passed,
+ * then evicted. At most maxEntries are kept; the oldest writes go first.
+ */
 class SimpleCache {
-  constructor() {
+  constructor(options = {}) {
     this.cache = new Map();
+    this.maxStaleMs = options.maxStaleMs || CONFIG.CACHE_DURATION.MAX_STALE;
+    this.maxEntries = options.maxEntries || CONFIG.CACHE_MAX_ENTRIES;
+  }
+
+  isEvictable(cached, now = Date.now()) {
+    return now > cached.expiry + this.maxStaleMs;
   }
 
   get(key) {
     const cached = this.cache.get(key);
     if (!cached) return null;
     
-    if (Date.now() > cached.expiry) {
+    if (this.isEvictable(cached)) {
       this.cache.delete(key);
       return null;
     }
+    if (Date.now() > cached.expiry) return null;
     
     return cached.data;
   }
 
+  getStale(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (this.isEvictable(cached)) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return {
+      data: cached.data,
+      storedAt: cached.storedAt,
+      expiry: cached.expiry,
+      isStale: Date.now() > cached.expiry
+    };
+  }
+
   set(key, data, durationMs) {
+    const now = Date.now();
+    // Re-insert so Map order stays oldest write first
+    this.cache.delete(key);
     this.cache.set(key, {
       data,
-      expiry: Date.now() + durationMs
+      storedAt: now,
+      expiry: now + durationMs
     });
+    this.evict(now);
+  }
+
+  /**
+   * Drops entries past maxStaleMs, then the oldest writes over maxEntries
+   */
+  evict(now = Date.now()) {
+    if (this.cache.size <= this.maxEntries) return;
+
+    for (const [key, cached] of this.cache) {
+      if (this.isEvictable(cached, now)) this.cache.delete(key);
+    }
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= this.maxEntries) break;
+      this.cache.delete(key);
+    }
+  }
+
+  delete(key) {
+    this.cache.delete(key);
   }
 
   clear() {
@@ -103,6 +220,45 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = CONFIG.TIMEOUT_MS
 // NWS ALERTS SERVICE
 // ==========================================
 
+/**
+ * Impact-based warning tags from an alert's CAP parameters
+ * 
+ * - tornadoDetection:     'RADAR INDICATED' | 'OBSERVED' | 'POSSIBLE' (severe thunderstorm warnings)
+ * - tornadoDamageThreat:  'CONSIDERABLE' (PDS warning) | 'CATASTROPHIC' (Tornado Emergency)
+ * - thunderstormDamageThreat: 'CONSIDERABLE' | 'DESTRUCTIVE'
+ * - maxHailSize (inches), maxWindGust (mph)
+ * 
+ * @param {Object} props - NWS alert `properties`
+ * @returns {Object} Tag fields (null where the alert doesn't carry the tag)
+ */
+function parseImpactTags(props) {
+  const param = name => {
+    const value = props.parameters?.[name]?.[0];
+    return value ? String(value).trim().toUpperCase() : null;
+  };
+  const number = name => {
+    const match = param(name)?.match(/\d*\.?\d+/);
+    return match ? parseFloat(match[0]) : null;
+  };
+
+  const tornadoDetection = param('tornadoDetection');
+  const tornadoDamageThreat = param('tornadoDamageThreat');
+  const text = `${props.headline || ''} ${props.description || ''}`;
+
+  return {
+    tornadoDetection,
+    tornadoDamageThreat,
+    thunderstormDamageThreat: param('thunderstormDamageThreat'),
+    maxHailSize: number('maxHailSize'),
+    maxWindGust: number('maxWindGust'),
+    isTornadoObserved: tornadoDetection === 'OBSERVED',
+    // CATASTROPHIC is only used for Tornado Emergencies; older
+    // products only say so in the text
+    isTornadoEmergency: tornadoDamageThreat === 'CATASTROPHIC' || /TORNADO EMERGENCY/i.test(text),
+    isPDS: tornadoDamageThreat === 'CONSIDERABLE' || /PARTICULARLY DANGEROUS SITUATION/i.test(text)
+  };
+}
+
 class NWSAlertsService {
   constructor(cache) {
     this.cache = cache;
@@ -118,8 +274,8 @@ class NWSAlertsService {
    */
   async getActiveAlerts(lat, lon) {
     const cacheKey = `nws_alerts_${lat.toFixed(2)}_${lon.toFixed(2)}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return this.matchAlertsToPoint(cached, lat, lon);
 
     const url = `${CONFIG.NWS_BASE_URL}/alerts/active?point=${lat},${lon}`;
 
@@ -139,6 +295,8 @@ class NWSAlertsService {
       
       const alerts = (data.features || []).map(feature => {
         const props = feature.properties;
+        const vtec = parseVTECList(props.parameters?.VTEC);
+        const primaryVTEC = getPrimaryVTEC(vtec);
         return {
           id: props.id,
           event: props.event,
@@ -152,9 +310,27 @@ class NWSAlertsService {
           expires: props.expires ? new Date(props.expires) : null,
           senderName: props.senderName,
           areaDesc: props.areaDesc,
+          // CAP message lifecycle (Alert / Update / Cancel)
+          messageType: props.messageType,
+          references: (props.references || []).map(ref => ref.identifier),
+          sent: props.sent ? new Date(props.sent) : null,
+          ends: props.ends ? new Date(props.ends) : null,
+          // P-VTEC: the warning, its follow-up statements and its
+          // cancellation share one eventKey (office.phenomena.significance.ETN)
+          vtec,
+          eventKey: primaryVTEC?.eventKey || null,
+          vtecAction: primaryVTEC?.action || null,
+          // Storm-based warning polygon (null for zone/county-based alerts)
+          geometry: feature.geometry || null,
+          // Storm heading/speed/position (tornado and severe thunderstorm warnings)
+          stormMotion: parseStormMotion(props, feature.geometry),
+          // Watch number, type, PDS flag and counties (Tornado / Severe Thunderstorm Watches)
+          watch: watchFromAlert(props),
           // Tornado-specific flags
-          isTornadoWarning: props.event?.toLowerCase().includes('tornado'),
+          isTornadoWarning: props.event === 'Tornado Warning',
           isSevereThunderstorm: props.event?.toLowerCase().includes('severe thunderstorm'),
+          // Detection, damage threat, hail and wind tags (impact-based warnings)
+          ...parseImpactTags(props),
           // Raw data for debugging
           _raw: props
         };
@@ -164,31 +340,1498 @@ class NWSAlertsService {
       const severityOrder = { 'Extreme': 0, 'Severe': 1, 'Moderate': 2, 'Minor': 3, 'Unknown': 4 };
       alerts.sort((a, b) => (severityOrder[a.severity] || 4) - (severityOrder[b.severity] || 4));
 
-      this.cache.set(cacheKey, alerts, CONFIG.CACHE_DURATION.ALERTS);
-      return alerts;
+      await this.cache.set(cacheKey, alerts, CONFIG.CACHE_DURATION.ALERTS);
+      return this.matchAlertsToPoint(alerts, lat, lon);
+
+    } catch (error) {
+      console.error('NWS Alerts fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether a point is inside an alert's warning polygon
+   * 
+   * @param {Object} alert - Mapped alert (must include geometry)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean|null} True/false, or null if the alert has no polygon
+   */
+  isPointInAlert(alert, lat, lon) {
+    if (!alert?.geometry) return null;
+    return isPointInPolygon(lat, lon, alert.geometry);
+  }
+
+  /**
+   * Adds location-specific polygon fields to each alert
+   * Returns copies so cached alerts are never mutated
+   * 
+   * - isInsidePolygon: true/false, or null for county/zone-based alerts
+   * - distanceToPolygonEdgeMiles: distance to the nearest polygon edge
+   */
+  matchAlertsToPoint(alerts, lat, lon) {
+    return alerts.map(alert => {
+      const distance = alert.geometry
+        ? distanceToPolygonEdgeMiles(lat, lon, alert.geometry)
+        : null;
+
+      return {
+        ...alert,
+        isInsidePolygon: this.isPointInAlert(alert, lat, lon),
+        distanceToPolygonEdgeMiles: distance !== null ? Math.round(distance * 10) / 10 : null
+      };
+    });
+  }
+
+  /**
+   * Fetches alerts for an entire state
+   * Useful for overview screens
+   * 
+   * @param {string} stateCode - Two-letter state code (e.g., 'OK')
+   * @returns {Promise<Array>} Array of active alerts
+   */
+  async getStateAlerts(stateCode) {
+    const cacheKey = `nws_state_alerts_${stateCode}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const url = `${CONFIG.NWS_BASE_URL}/alerts/active?area=${stateCode}`;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        headers: {
+          'User-Agent': CONFIG.APP_USER_AGENT,
+          'Accept': 'application/geo+json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`NWS API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      
+      const alerts = (data.features || []).map(feature => ({
+        id: feature.properties.id,
+        eventKey: getPrimaryVTEC(parseVTECList(feature.properties.parameters?.VTEC))?.eventKey || null,
+        event: feature.properties.event,
+        headline: feature.properties.headline,
+        severity: feature.properties.severity,
+        areaDesc: feature.properties.areaDesc,
+        onset: feature.properties.onset,
+        expires: feature.properties.expires,
+        geometry: feature.geometry || null,
+        isTornadoWarning: feature.properties.event === 'Tornado Warning',
+        ...parseImpactTags(feature.properties)
+      }));
+
+      await this.cache.set(cacheKey, alerts, CONFIG.CACHE_DURATION.ALERTS);
+      return alerts;
+
+    } catch (error) {
+      console.error('NWS State Alerts fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches county boundaries for a state
+   * Used to work out which counties an outlook or watch covers
+   * 
+   * @param {string} stateCode - Two-letter state code (e.g., 'OK')
+   * @returns {Promise<Array>} Counties: { id, name, state, geometry }
+   */
+  async getCountyZones(stateCode) {
+    const cacheKey = `nws_county_zones_${stateCode}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const url = `${CONFIG.NWS_BASE_URL}/zones?area=${stateCode}&type=county&include_geometry=true`;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        headers: {
+          'User-Agent': CONFIG.APP_USER_AGENT,
+          'Accept': 'application/geo+json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`NWS API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      const counties = (data.features || [])
+        .filter(feature => feature.geometry)
+        .map(feature => ({
+          id: feature.properties.id,
+          name: feature.properties.name,
+          state: feature.properties.state,
+          geometry: feature.geometry
+        }));
+
+      await this.cache.set(cacheKey, counties, CONFIG.CACHE_DURATION.ZONES);
+      return counties;
+
+    } catch (error) {
+      console.error('NWS County Zones fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets tornado-specific alerts only
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Array>} Tornado warnings and watches
+   */
+  async getTornadoAlerts(lat, lon) {
+    const allAlerts = await this.getActiveAlerts(lat, lon);
+    return allAlerts.filter(alert => 
+      alert.isTornadoWarning || 
+      alert.event?.toLowerCase().includes('tornado')
+    );
+  }
+}
+
+// ==========================================
+// SPC CONVECTIVE OUTLOOK SERVICE
+// ==========================================
+
+// SPC_wx_outlks MapServer layer IDs
+// Day 3 has no per-hazard layers, only total severe probability
+const SPC_OUTLOOK_LAYERS = {
+  1: {
+    categorical: 1,
+    significantTornado: 2,
+    tornado: 3,
+    significantHail: 4,
+    hail: 5,
+    significantWind: 6,
+    wind: 7
+  },
+  2: {
+    categorical: 9,
+    significantTornado: 10,
+    tornado: 11,
+    significantHail: 12,
+    hail: 13,
+    significantWind: 14,
+    wind: 15
+  },
+  3: {
+    categorical: 17,
+    significantSevere: 18,
+    severe: 19
+  }
+};
+
+// Categorical risk levels, lowest to highest
+const OUTLOOK_RISK_LEVELS = ['TSTM', 'MRGL', 'SLGT', 'ENH', 'MDT', 'HIGH'];
+
+// Tornado probability contours (Day 1 and 2)
+const TORNADO_PROBABILITY_LEVELS = [0.02, 0.05, 0.10, 0.15, 0.30, 0.45, 0.60];
+
+/**
+ * Parses SPC timestamps ("202603011630", UTC)
+ */
+function parseSPCTimestamp(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+}
+
+/**
+ * Snaps a tornado probability to SPC's contour levels
+ * (labels arrive as "0.1" or "10", sometimes with float noise)
+ */
+function toTornadoProbability(label) {
+  let value = parseFloat(label);
+  if (isNaN(value)) return null;
+  if (value > 1) value /= 100;
+  return TORNADO_PROBABILITY_LEVELS.reduce((closest, level) =>
+    Math.abs(level - value) < Math.abs(closest - value) ? level : closest
+  );
+}
+
+/**
+ * Summarizes an outlook day for whatever the `covers` test matches
+ * 
+ * Shared by point and area lookups (and scripts/pull-weather-data.js),
+ * so every caller ranks risk the same way.
+ * 
+ * @param {Object} outlook - From SPCOutlookService.getOutlook(), or any
+ *   object with the same layer arrays of { label, description, geometry }
+ * @param {Function} covers - (geometry) => boolean
+ * @returns {Object} { categorical, tornadoProbability, significantTornado, ... }
+ */
+function summarizeOutlookRisk(outlook, covers) {
+  const containing = areas => (areas || []).filter(area =>
+    area.geometry && covers(area.geometry)
+  );
+
+  // Highest categorical risk
+  const categorical = containing(outlook.categorical).reduce((best, area) =>
+    !best || OUTLOOK_RISK_LEVELS.indexOf(area.label) > OUTLOOK_RISK_LEVELS.indexOf(best.label)
+      ? area
+      : best,
+  null);
+
+  // Highest probability contour
+  const probability = (areas, parse = parseFloat) => {
+    const values = containing(areas)
+      .map(area => parse(area.label))
+      .filter(value => value !== null && !isNaN(value));
+    return values.length > 0 ? Math.max(...values) : 0;
+  };
+
+  // Hatched (significant severe) area: 'SIGN', or 'CIG1'-'CIG3'
+  // conditional intensity levels on newer outlooks
+  const hatch = areas => {
+    const labels = containing(areas).map(area => area.label).sort();
+    return labels.length > 0 ? labels[labels.length - 1] : null;
+  };
+
+  const anyArea = Object.values(outlook).find(areas => Array.isArray(areas) && areas.length > 0)?.[0];
+
+  const risk = {
+    day: outlook.day ?? null,
+    categorical: categorical?.label || 'NONE',
+    categoricalDescription: categorical?.description || 'No Thunderstorms Forecast',
+    issued: anyArea?.issued || null,
+    valid: anyArea?.valid || null,
+    expires: anyArea?.expires || null
+  };
+
+  if (outlook.day === 3) {
+    const significantSevere = hatch(outlook.significantSevere);
+    return {
+      ...risk,
+      severeProbability: probability(outlook.severe),
+      significantSevere: significantSevere !== null,
+      significantSevereLabel: significantSevere
+    };
+  }
+
+  const significantTornado = hatch(outlook.significantTornado);
+  const tornadoProbability = probability(outlook.tornado, toTornadoProbability);
+
+  return {
+    ...risk,
+    tornadoProbability,
+    tornadoProbabilityPercent: Math.round(tornadoProbability * 100),
+    significantTornado: significantTornado !== null,
+    significantTornadoLabel: significantTornado,
+    windProbability: probability(outlook.wind),
+    significantWind: hatch(outlook.significantWind) !== null,
+    hailProbability: probability(outlook.hail),
+    significantHail: hatch(outlook.significantHail) !== null
+  };
+}
+
+class SPCOutlookService {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Fetches one outlook layer as risk areas with GeoJSON geometry
+   * 
+   * FREE - No API key required
+   * 
+   * @param {number} layerId - MapServer layer ID (see SPC_OUTLOOK_LAYERS)
+   * @returns {Promise<Array>} Risk areas: { label, description, geometry, issued, valid, expires }
+   */
+  async getOutlookLayer(layerId) {
+    const cacheKey = `spc_outlook_layer_${layerId}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const params = new URLSearchParams({
+      where: '1=1',
+      outFields: '*',
+      outSR: '4326',
+      returnGeometry: 'true',
+      f: 'json'
+    });
+
+    const url = `${CONFIG.SPC_OUTLOOK_URL}/${layerId}/query?${params}`;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+      });
+
+      if (!response.ok) {
+        throw new Error(`SPC Outlook API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (data.error) {
+        throw new Error(`SPC Outlook API error: ${data.error.message || data.error.code}`);
+      }
+
+      const areas = (data.features || [])
+        // Layers with no risk today return one placeholder feature with no label
+        .filter(feature => feature.attributes?.label)
+        .map(feature => {
+          const attrs = feature.attributes;
+          return {
+            label: attrs.label,
+            description: attrs.label2 || null,
+            geometry: esriRingsToGeoJSON(feature.geometry?.rings),
+            issued: parseSPCTimestamp(attrs.issue),
+            valid: parseSPCTimestamp(attrs.valid),
+            expires: parseSPCTimestamp(attrs.expire),
+            product: attrs.idp_source || null
+          };
+        });
+
+      await this.cache.set(cacheKey, areas, CONFIG.CACHE_DURATION.OUTLOOK);
+      return areas;
+
+    } catch (error) {
+      console.error(`SPC Outlook layer ${layerId} fetch error:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches every layer of one outlook day
+   * 
+   * @param {number} day - 1, 2 or 3
+   * @returns {Promise<Object>} { day, categorical, tornado, significantTornado, ... }
+   */
+  async getOutlook(day = 1) {
+    const layers = SPC_OUTLOOK_LAYERS[day];
+    if (!layers) {
+      throw new Error(`Invalid outlook day: ${day}. Use 1, 2 or 3`);
+    }
+
+    const names = Object.keys(layers);
+    const results = await Promise.all(names.map(name => this.getOutlookLayer(layers[name])));
+
+    const outlook = { day };
+    names.forEach((name, i) => { outlook[name] = results[i]; });
+    return outlook;
+  }
+
+  /**
+   * Outlook risk at one location
+   * 
+   * Probabilities are fractions (0.05 = 5%); tornadoProbability is
+   * snapped to SPC's 2/5/10/15/30/45/60% contours. Significant-severe
+   * hatching is reported as a boolean per hazard, and the tornado
+   * hatch label ('SIGN' or 'CIG1'-'CIG3') as significantTornadoLabel.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} day - 1, 2 or 3
+   * @returns {Promise<Object>} Day 1/2: { categorical, tornadoProbability, significantTornado, windProbability,
+   *   significantWind, hailProbability, significantHail, ... }; Day 3: { categorical, severeProbability, significantSevere, ... }
+   */
+  async getRiskAtPoint(lat, lon, day = 1) {
+    const outlook = await this.getOutlook(day);
+    return summarizeOutlookRisk(outlook, geometry => isPointInPolygon(lat, lon, geometry));
+  }
+
+  /**
+   * Highest outlook risk anywhere in an area (county, state, etc.)
+   * 
+   * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+   * @param {number} day - 1, 2 or 3
+   * @returns {Promise<Object>} Same shape as getRiskAtPoint()
+   */
+  async getRiskForArea(geometry, day = 1) {
+    const outlook = await this.getOutlook(day);
+    return summarizeOutlookRisk(outlook, areaGeometry => polygonsIntersect(areaGeometry, geometry));
+  }
+
+  /**
+   * Day 1-3 risk at one location
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { day1, day2, day3 }
+   */
+  async getAllDaysRiskAtPoint(lat, lon) {
+    const [day1, day2, day3] = await Promise.all([1, 2, 3].map(day =>
+      this.getRiskAtPoint(lat, lon, day)
+    ));
+    return { day1, day2, day3 };
+  }
+}
+
+// ==========================================
+// SPC MESOSCALE DISCUSSION SERVICE
+// ==========================================
+
+// Watch probability at which SPC says a watch is likely
+// (threat scoring uses the tornado-watch-likely rule in data/threatRules.json)
+const MCD_WATCH_LIKELY_PROBABILITY = 80;
+
+// MCD tracking key for a polled location
+function trackingKey(lat, lon) {
+  return `${lat},${lon}`;
+}
+
+class MCDService {
+  constructor(cache) {
+    this.cache = cache;
+    this.listeners = new Map();
+
+    // Location key -> (MCD number -> { watchProbability, coversLocation })
+    // from the last poll() of that location
+    this.tracked = new Map();
+  }
+
+  // ------------------------------------------
+  // Events
+  // ------------------------------------------
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    for (const listener of this.listeners.get(event) || []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`MCDService listener for '${event}' failed:`, error);
+      }
+    }
+  }
+
+  // ------------------------------------------
+  // Fetching
+  // ------------------------------------------
+
+  /**
+   * MCD numbers linked from the SPC mesoscale discussion page
+   */
+  async getListedNumbers() {
+    const cacheKey = 'spc_mcd_list';
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await fetchWithTimeout(`${CONFIG.SPC_MCD_URL}/`, {
+        headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+      });
+
+      if (!response.ok) {
+        throw new Error(`SPC MCD page error: ${response.status}`);
+      }
+
+      const html = await response.text();
+      const numbers = [...new Set(
+        [...html.matchAll(/md(\d{4})\.html/g)].map(match => match[1])
+      )];
+
+      await this.cache.set(cacheKey, numbers, CONFIG.CACHE_DURATION.MCD);
+      return numbers;
+
+    } catch (error) {
+      console.error('SPC MCD list fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches and parses one MCD
+   * 
+   * FREE - No API key required
+   * 
+   * @param {string} number - Four-digit MCD number (e.g., '0612')
+   * @returns {Promise<Object>} Parsed MCD (see mcdParser.parseMCD)
+   */
+  async getMCD(number) {
+    const cacheKey = `spc_mcd_${number}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await fetchWithTimeout(`${CONFIG.SPC_MCD_URL}/md${number}.html`, {
+        headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+      });
+
+      if (!response.ok) {
+        throw new Error(`SPC MCD ${number} error: ${response.status}`);
+      }
+
+      const { rawText, ...mcd } = parseMCD(await response.text());
+      mcd.number = mcd.number || number;
+      mcd.url = `${CONFIG.SPC_MCD_URL}/md${number}.html`;
+
+      // Expired MCDs never change again
+      const expired = mcd.validUntil && mcd.validUntil < new Date();
+      await this.cache.set(
+        cacheKey,
+        mcd,
+        expired ? CONFIG.CACHE_DURATION.MAX_STALE : CONFIG.CACHE_DURATION.MCD
+      );
+      return mcd;
+
+    } catch (error) {
+      console.error(`SPC MCD ${number} fetch error:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * MCDs valid right now, newest first
+   * 
+   * Listed MCDs are fetched in parallel; one unreachable MCD page
+   * doesn't hide the others.
+   * 
+   * @returns {Promise<Array>} Parsed MCDs (see mcdParser.parseMCD)
+   */
+  async getActiveMCDs() {
+    const numbers = await this.getListedNumbers();
+    const results = await Promise.allSettled(numbers.map(number => this.getMCD(number)));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (numbers.length > 0 && failed.length === numbers.length) {
+      throw failed[0].reason;
+    }
+
+    const now = new Date();
+    return results
+      .filter(result => result.status === 'fulfilled' && isMCDActive(result.value, now))
+      .map(result => result.value)
+      .sort((a, b) => b.number.localeCompare(a.number));
+  }
+
+  /**
+   * Active MCDs whose area contains a location
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Array>} Parsed MCDs covering the location
+   */
+  async getMCDsAtPoint(lat, lon) {
+    const mcds = await this.getActiveMCDs();
+    return mcds.filter(mcd => isPointInMCD(mcd, lat, lon));
+  }
+
+  // ------------------------------------------
+  // Tracking
+  // ------------------------------------------
+
+  /**
+   * Fetches active MCDs and compares them with the previous poll
+   * of the same location
+   * 
+   * Events:
+   * - 'mcd:new'                (mcd)                             An MCD now covers the location
+   * - 'mcd:probabilityRaised'  ({ mcd, previous, current })      Watch probability went up on
+   *                                                              an MCD covering the location
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { active, covering, new, probabilityRaised }
+   */
+  async poll(lat, lon) {
+    const active = await this.getActiveMCDs();
+    const diff = { active, covering: [], new: [], probabilityRaised: [] };
+    const tracked = this.tracked.get(trackingKey(lat, lon)) || new Map();
+    const seen = new Map();
+
+    for (const mcd of active) {
+      const coversLocation = isPointInMCD(mcd, lat, lon);
+      const previous = tracked.get(mcd.number);
+      seen.set(mcd.number, { watchProbability: mcd.watchProbability, coversLocation });
+
+      if (!coversLocation) continue;
+      diff.covering.push(mcd);
+
+      if (!previous?.coversLocation) {
+        diff.new.push(mcd);
+      } else if ((mcd.watchProbability ?? 0) > (previous.watchProbability ?? 0)) {
+        diff.probabilityRaised.push({
+          mcd,
+          previous: previous.watchProbability,
+          current: mcd.watchProbability
+        });
+      }
+    }
+
+    // Expired MCDs drop out of tracking
+    this.tracked.set(trackingKey(lat, lon), seen);
+
+    diff.new.forEach(mcd => this.emit('mcd:new', mcd));
+    diff.probabilityRaised.forEach(change => this.emit('mcd:probabilityRaised', change));
+
+    return diff;
+  }
+
+  /**
+   * Forgets tracked MCDs so the next poll reports every covering MCD as new
+   * 
+   * @param {number} lat - Latitude (omit both to reset every location)
+   * @param {number} lon - Longitude
+   */
+  resetTracking(lat, lon) {
+    if (lat === undefined && lon === undefined) {
+      this.tracked.clear();
+    } else {
+      this.tracked.delete(trackingKey(lat, lon));
+    }
+  }
+}
+
+// ==========================================
+// WATCH SERVICE
+// ==========================================
+
+class WatchService {
+  /**
+   * @param {Object} cache - Cache backend
+   * @param {NWSAlertsService} nws - For point alerts (county-based coverage)
+   */
+  constructor(cache, nws) {
+    this.cache = cache;
+    this.nws = nws;
+  }
+
+  /**
+   * Watches from SPC's watch pages (number, type, PDS flag, watch box)
+   * 
+   * FREE - No API key required
+   * 
+   * @returns {Promise<Array>} Watch objects (see watchParser)
+   */
+  async getSPCWatches() {
+    const cacheKey = 'spc_watches';
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await fetchWithTimeout(`${CONFIG.SPC_WATCH_URL}/`, {
+        headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+      });
+
+      if (!response.ok) {
+        throw new Error(`SPC watch page error: ${response.status}`);
+      }
+
+      const html = await response.text();
+      const numbers = [...new Set(
+        [...html.matchAll(/ww(\d{4})\.html/g)].map(match => match[1])
+      )];
+
+      const pages = await Promise.allSettled(numbers.map(async (number) => {
+        const pageResponse = await fetchWithTimeout(`${CONFIG.SPC_WATCH_URL}/ww${number}.html`, {
+          headers: { 'User-Agent': CONFIG.APP_USER_AGENT }
+        });
+        if (!pageResponse.ok) {
+          throw new Error(`SPC watch ${number} error: ${pageResponse.status}`);
+        }
+        return parseSPCWatch(await pageResponse.text());
+      }));
+
+      pages
+        .filter(page => page.status === 'rejected')
+        .forEach(page => console.warn('SPC watch page skipped:', page.reason.message));
+
+      const watches = pages
+        .filter(page => page.status === 'fulfilled' && page.value)
+        .map(page => page.value);
+
+      await this.cache.set(cacheKey, watches, CONFIG.CACHE_DURATION.ALERTS);
+      return watches;
+
+    } catch (error) {
+      console.error('SPC watches fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Watches from NWS watch alerts (county lists, from the VTEC codes)
+   * 
+   * @returns {Promise<Array>} Watch objects, merged across forecast offices
+   */
+  async getNWSWatches() {
+    const cacheKey = 'nws_watches';
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const events = ['Tornado Watch', 'Severe Thunderstorm Watch'].map(encodeURIComponent).join(',');
+    const url = `${CONFIG.NWS_BASE_URL}/alerts/active?event=${events}`;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        headers: {
+          'User-Agent': CONFIG.APP_USER_AGENT,
+          'Accept': 'application/geo+json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`NWS API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const watches = mergeWatches(
+        (data.features || []).map(feature => watchFromAlert(feature.properties))
+      );
+
+      await this.cache.set(cacheKey, watches, CONFIG.CACHE_DURATION.ALERTS);
+      return watches;
+
+    } catch (error) {
+      console.error('NWS watches fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Watches in effect now, combining SPC and NWS
+   * Either source alone is enough; both failing throws
+   * 
+   * @returns {Promise<Array>} Watch objects, by watch number
+   */
+  async getActiveWatches() {
+    const [spc, nws] = await Promise.allSettled([this.getSPCWatches(), this.getNWSWatches()]);
+    if (spc.status === 'rejected' && nws.status === 'rejected') {
+      throw nws.reason;
+    }
+
+    const now = new Date();
+    return mergeWatches([
+      ...(spc.status === 'fulfilled' ? spc.value : []),
+      ...(nws.status === 'fulfilled' ? nws.value : [])
+    ]).filter(watch => isWatchActive(watch, now));
+  }
+
+  /**
+   * Active watches with whether each one covers a location
+   * 
+   * A watch covers the location if NWS lists the location's county in
+   * it, or (when NWS has no alert for it yet) the SPC watch box
+   * contains the point.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Array>} Watch objects with `coversLocation` and `title`
+   */
+  async getWatchesAtPoint(lat, lon) {
+    const [watches, alerts] = await Promise.all([
+      this.getActiveWatches(),
+      this.nws.getActiveAlerts(lat, lon).catch(error => {
+        console.warn('Watch coverage falling back to watch boxes:', error.message);
+        return null;
+      })
+    ]);
+
+    const coveringKeys = new Set((alerts || [])
+      .filter(alert => alert.watch && !alert.watch.isCancelled)
+      .map(alert => `${alert.watch.type}_${alert.watch.number}`));
+
+    return watches.map(watch => {
+      // NWS county lists are authoritative once NWS knows the watch
+      const countyBased = alerts !== null && watch.sources.includes('nws');
+      return {
+        ...watch,
+        coversLocation: coveringKeys.has(`${watch.type}_${watch.number}`) ||
+          (!countyBased && isPointInWatch(watch, lat, lon) === true),
+        title: formatWatchTitle(watch)
+      };
+    });
+  }
+}
+
+// ==========================================
+// OPEN-METEO TORNADO METRICS SERVICE
+// ==========================================
+
+// Pressure levels for shear and helicity (see convectiveParameters.js)
+const OPEN_METEO_PRESSURE_LEVELS = [850, 700, 500];
+
+// Hourly parameters for tornado prediction
+const OPEN_METEO_HOURLY = [
+  'cape',
+  'lifted_index',
+  'convective_inhibition',
+  'temperature_2m',
+  'dewpoint_2m',
+  'relative_humidity_2m',
+  'wind_speed_10m',
+  'wind_gusts_10m',
+  'wind_direction_10m',
+  'pressure_msl',
+  'precipitation',
+  'weather_code',
+  ...OPEN_METEO_PRESSURE_LEVELS.flatMap(level => [
+    `wind_speed_${level}hPa`,
+    `wind_direction_${level}hPa`,
+    `geopotential_height_${level}hPa`
+  ])
+];
+
+const OPEN_METEO_DAILY = ['cape_max', 'cape_min', 'cape_mean', 'precipitation_sum', 'wind_gusts_10m_max'];
+
+// Open-Meteo's units when a response has no hourly_units / daily_units
+// (the API defaults: °C, km/h, mm)
+const OPEN_METEO_DEFAULT_UNITS = [
+  [/^(temperature|dewpoint)/, '°C'],
+  [/^wind_(speed|gusts)/, 'km/h'],
+  [/^precipitation/, 'mm'],
+  [/^pressure/, 'hPa'],
+  [/^geopotential_height/, 'm']
+];
+
+// Daily CAPE at which a day counts as high-risk
+const HIGH_RISK_DAY_CAPE = 1000;
+
+/**
+ * Parses an Open-Meteo local time ("2026-03-04T14:00") into a Date
+ * 
+ * Open-Meteo returns times in the requested timezone without an
+ * offset; `utc_offset_seconds` from the same response says which.
+ * 
+ * @param {string} time - Local ISO time without offset
+ * @param {number} utcOffsetSeconds - Response `utc_offset_seconds`
+ * @returns {Date} The moment in time
+ */
+function parseOpenMeteoTime(time, utcOffsetSeconds = 0) {
+  const [date, clock = '00:00'] = time.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = clock.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute) - utcOffsetSeconds * 1000);
+}
+
+/**
+ * Index of the hour containing `now` in an Open-Meteo hourly series
+ * (0 if the series starts later, the last hour if it ended earlier)
+ */
+function findCurrentHourIndex(times, utcOffsetSeconds, now = new Date()) {
+  let index = 0;
+  for (let i = 0; i < times.length; i++) {
+    if (parseOpenMeteoTime(times[i], utcOffsetSeconds) > now) break;
+    index = i;
+  }
+  return index;
+}
+
+/**
+ * Reads one Open-Meteo series value converted into a unit system
+ * 
+ * Units come from the response's `hourly_units` / `daily_units`, so
+ * the result is right whatever units the request asked for.
+ * 
+ * @param {Object} series - `hourly` or `daily` block
+ * @param {Object} units - Matching `hourly_units` / `daily_units` block
+ * @param {string} system - 'si', 'metric' or 'imperial'
+ * @returns {Function} (field, index) => value, or null when missing
+ */
+function openMeteoReader(series, units, system) {
+  return (field, index) => {
+    const value = series[field]?.[index];
+    if (typeof value !== 'number') return null;
+
+    const source = units?.[field] ||
+      OPEN_METEO_DEFAULT_UNITS.find(([pattern]) => pattern.test(field))?.[1];
+    const unit = parseUnit(source);
+    if (!unit) return value;
+    return convert(value, unit, systemUnit(unit, system));
+  };
+}
+
+/**
+ * Daily tornado risk from that day's peak CAPE (J/kg)
+ */
+function assessDailyTornadoRisk(capeMax) {
+  if (capeMax >= 4000) return 'EXTREME';
+  if (capeMax >= 2500) return 'HIGH';
+  if (capeMax >= 1000) return 'MODERATE';
+  if (capeMax >= 300) return 'LOW';
+  return 'MINIMAL';
+}
+
+/**
+ * Shear, helicity, LCL, STP and SCP for one hour of an Open-Meteo
+ * response (any request units)
+ * 
+ * @returns {Object|null} See calculateConvectiveParameters()
+ */
+function openMeteoConvectiveParameters(data, index) {
+  const hourly = data.hourly;
+  const si = openMeteoReader(hourly, data.hourly_units, 'si');
+  const elevation = data.elevation || 0;
+
+  return calculateConvectiveParameters({
+    surface: {
+      speedMs: si('wind_speed_10m', index),
+      directionDeg: hourly.wind_direction_10m?.[index],
+      temperatureC: si('temperature_2m', index),
+      dewpointC: si('dewpoint_2m', index)
+    },
+    levels: OPEN_METEO_PRESSURE_LEVELS.map(level => ({
+      heightM: (si(`geopotential_height_${level}hPa`, index) ?? STANDARD_LEVEL_HEIGHTS[level]) - elevation,
+      speedMs: si(`wind_speed_${level}hPa`, index),
+      directionDeg: hourly[`wind_direction_${level}hPa`]?.[index]
+    })),
+    cape: hourly.cape?.[index] ?? null,
+    cin: hourly.convective_inhibition?.[index] ?? null
+  });
+}
+
+/**
+ * Tornado metrics as threat engine `environment` inputs
+ * 
+ * CAPE is the 7-day max, gusts the 16-day max, dewpoint and the
+ * shear / helicity / composite indices the 24-hour peaks. Dewpoint and
+ * gusts are converted from the metrics' `units`.
+ * 
+ * @param {Object} metrics - Result of buildTornadoMetrics()
+ * @returns {Object} { cape, liftedIndex, cin, dewpointC, windGustMph, highRiskDays,
+ *   bulkShear06Kt, srh01, lclM, stp, scp }
+ */
+function openMeteoEnvironment(metrics) {
+  const peak = metrics.peakValues;
+  const units = metrics.units || UNIT_SYSTEMS.imperial;
+
+  return {
+    cape: peak.maxCAPE_7day || peak.maxCAPE_24hr || 0,
+    liftedIndex: peak.minLiftedIndex,
+    cin: metrics.current.convective_inhibition ?? null,
+    dewpointC: convert(peak.maxDewpoint, units.temperature, 'degC'),
+    windGustMph: convert(peak.maxWindGust_16day, units.speed, 'mph') || 0,
+    highRiskDays: metrics.highRiskDays?.length || 0,
+    bulkShear06Kt: peak.maxBulkShear_0_6km_24hr ?? null,
+    srh01: peak.maxSRH_0_1km_24hr ?? null,
+    lclM: peak.minLCL_24hr ?? null,
+    stp: peak.maxSTP_24hr ?? null,
+    scp: peak.maxSCP_24hr ?? null
+  };
+}
+
+/**
+ * Turns an Open-Meteo forecast response into tornado metrics
+ * 
+ * The hourly series starts at local midnight of the first forecast
+ * day, so "now" is found from the response's timezone offset rather
+ * than the device clock's hour.
+ * 
+ * Temperatures, wind speeds, pressure and precipitation are read with
+ * the response's units and returned in the requested unit system
+ * (listed in `units`). Shear is always knots and LCL meters.
+ * 
+ * @param {Object} data - Open-Meteo response (any request units)
+ * @param {Object} options
+ * @param {Date} options.now - Current time (for testing)
+ * @param {Function} options.evaluate - Threat scorer (default: bundled rules)
+ * @param {string} options.units - 'imperial' (default), 'metric' or 'si'
+ * @returns {Object} { coordinates, timezone, utcOffsetSeconds, elevation, forecastDays, units,
+ *   current, dailyForecast, next24Hours, peakValues, highRiskDays, tornadoThreatAssessment }
+ */
+function buildTornadoMetrics(data, options = {}) {
+  const { now = new Date(), evaluate = evaluateThreat, units = 'imperial' } = options;
+  const hourly = data.hourly || { time: [] };
+  const daily = data.daily || { time: [] };
+  const offset = data.utc_offset_seconds || 0;
+  if (!UNIT_SYSTEMS[units]) {
+    throw new Error(`Unknown unit system: ${units}`);
+  }
+
+  const index = findCurrentHourIndex(hourly.time, offset, now);
+
+  // Values in the requested units, rounded to 0.01
+  const round = value => (value === null ? null : Math.round(value * 100) / 100);
+  const readHourly = openMeteoReader(hourly, data.hourly_units, units);
+  const readDaily = openMeteoReader(daily, data.daily_units, units);
+  const hour = (field, i = index) => round(readHourly(field, i));
+  const day = (field, i) => round(readDaily(field, i));
+
+  const next24Times = hourly.time.slice(index, index + 24);
+  const next24 = field => (hourly[field] || []).slice(index, index + 24);
+  const next24Measured = field => next24Times.map((_, i) => hour(field, index + i));
+  const present = values => values.filter(value => value !== null && value !== undefined);
+  const maxOf = values => {
+    const known = present(values);
+    return known.length > 0 ? Math.max(...known) : null;
+  };
+  const minOf = values => {
+    const known = present(values);
+    return known.length > 0 ? Math.min(...known) : null;
+  };
+
+  // Shear, helicity and composite indices for each of the next 24 hours
+  const kinematics = next24Times.map((_, i) =>
+    openMeteoConvectiveParameters(data, index + i)
+  );
+  const next24Kinematics = field => kinematics.map(params => params?.[field] ?? null);
+  const currentKinematics = kinematics[0] || null;
+
+  const metrics = {
+    coordinates: { lat: data.latitude, lon: data.longitude },
+    timezone: data.timezone || 'GMT',
+    utcOffsetSeconds: offset,
+    elevation: data.elevation ?? null,
+    forecastDays: daily.time.length,
+    units: { ...UNIT_SYSTEMS[units] },
+
+    // Current conditions (this hour)
+    current: {
+      time: hourly.time[index] || null,
+      cape: hourly.cape?.[index] ?? null,
+      lifted_index: hourly.lifted_index?.[index] ?? null,
+      convective_inhibition: hourly.convective_inhibition?.[index] ?? null,
+      temperature: hour('temperature_2m'),
+      dewpoint: hour('dewpoint_2m'),
+      humidity_percent: hourly.relative_humidity_2m?.[index] ?? null,
+      wind_speed: hour('wind_speed_10m'),
+      wind_gust: hour('wind_gusts_10m'),
+      wind_direction: hourly.wind_direction_10m?.[index] ?? null,
+      pressure: hour('pressure_msl'),
+      precipitation: hour('precipitation'),
+      weather_code: hourly.weather_code?.[index] ?? null,
+      wind_speed_850hPa: hour('wind_speed_850hPa'),
+      wind_direction_850hPa: hourly.wind_direction_850hPa?.[index] ?? null,
+      wind_speed_700hPa: hour('wind_speed_700hPa'),
+      wind_direction_700hPa: hourly.wind_direction_700hPa?.[index] ?? null,
+      wind_speed_500hPa: hour('wind_speed_500hPa'),
+      wind_direction_500hPa: hourly.wind_direction_500hPa?.[index] ?? null,
+      // Estimated from the 10 m / 850 / 700 / 500 hPa hodograph
+      bulk_shear_0_1km_kt: currentKinematics?.bulkShear01Kt ?? null,
+      bulk_shear_0_6km_kt: currentKinematics?.bulkShear06Kt ?? null,
+      srh_0_1km: currentKinematics?.srh01 ?? null,
+      srh_0_3km: currentKinematics?.srh03 ?? null,
+      lcl_m: currentKinematics?.lclM ?? null,
+      storm_motion: currentKinematics?.stormMotion ?? null,
+      stp: currentKinematics?.stp ?? null,
+      scp: currentKinematics?.scp ?? null
+    },
+
+    // Daily summary for the whole forecast
+    dailyForecast: daily.time.map((date, i) => ({
+      date,
+      cape_max: daily.cape_max?.[i] || 0,
+      cape_min: daily.cape_min?.[i] || 0,
+      cape_mean: daily.cape_mean?.[i] || 0,
+      precipitation_sum: day('precipitation_sum', i) || 0,
+      wind_gusts_max: day('wind_gusts_10m_max', i) || 0,
+      tornadoRisk: assessDailyTornadoRisk(daily.cape_max?.[i] || 0)
+    })),
+
+    // Next 24 hours, starting this hour
+    next24Hours: {
+      time: next24Times,
+      cape: next24('cape'),
+      lifted_index: next24('lifted_index'),
+      convective_inhibition: next24('convective_inhibition'),
+      dewpoint: next24Measured('dewpoint_2m'),
+      wind_gust: next24Measured('wind_gusts_10m'),
+      bulk_shear_0_6km_kt: next24Kinematics('bulkShear06Kt'),
+      srh_0_1km: next24Kinematics('srh01'),
+      lcl_m: next24Kinematics('lclM'),
+      stp: next24Kinematics('stp'),
+      scp: next24Kinematics('scp')
+    }
+  };
+
+  metrics.peakValues = {
+    maxCAPE_24hr: maxOf(metrics.next24Hours.cape) ?? 0,
+    maxCAPE_7day: maxOf((daily.cape_max || []).slice(0, 7)) ?? 0,
+    maxCAPE_16day: maxOf(daily.cape_max || []) ?? 0,
+    minLiftedIndex: minOf(metrics.next24Hours.lifted_index),
+    maxWindGust_16day: maxOf(metrics.dailyForecast.map(forecastDay => forecastDay.wind_gusts_max)) ?? 0,
+    maxDewpoint: maxOf(metrics.next24Hours.dewpoint),
+    maxBulkShear_0_6km_24hr: maxOf(metrics.next24Hours.bulk_shear_0_6km_kt),
+    maxSRH_0_1km_24hr: maxOf(metrics.next24Hours.srh_0_1km),
+    minLCL_24hr: minOf(metrics.next24Hours.lcl_m),
+    maxSTP_24hr: maxOf(metrics.next24Hours.stp),
+    maxSCP_24hr: maxOf(metrics.next24Hours.scp)
+  };
+
+  metrics.highRiskDays = metrics.dailyForecast
+    .filter(day => day.cape_max >= HIGH_RISK_DAY_CAPE)
+    .map(day => ({ date: day.date, cape_max: day.cape_max, risk: day.tornadoRisk }));
+
+  const threat = evaluate({ environment: openMeteoEnvironment(metrics) });
+  metrics.tornadoThreatAssessment = {
+    level: threat.level,
+    score: threat.score,
+    factors: threat.factors.map(factor => factor.description),
+    recommendation: threat.recommendation
+  };
+
+  return metrics;
+}
+
+class OpenMeteoService {
+  /**
+   * @param {Object} cache - Cache backend
+   * @param {ThreatEngine} threatEngine - Scores tornadoThreatAssessment (default: bundled rules)
+   * @param {Object} options - { units: 'imperial' (default), 'metric' or 'si' }
+   */
+  constructor(cache, threatEngine = null, options = {}) {
+    this.cache = cache;
+    this.threatEngine = threatEngine;
+    this.units = options.units || 'imperial';
+  }
+
+  /**
+   * Fetches the raw 16-day Open-Meteo forecast for a location
+   * 
+   * FREE - No API key required
+   * 
+   * Times are local to the location (`timezone=auto`) and values in
+   * Open-Meteo's default units (listed in `hourly_units`); see
+   * buildTornadoMetrics() for lining them up with "now" and converting.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} Open-Meteo response
+   */
+  async getForecast(lat, lon) {
+    const cacheKey = `open_meteo_${lat.toFixed(2)}_${lon.toFixed(2)}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const params = new URLSearchParams({
+      latitude: lat.toFixed(4),
+      longitude: lon.toFixed(4),
+      hourly: OPEN_METEO_HOURLY.join(','),
+      daily: OPEN_METEO_DAILY.join(','),
+      timezone: 'auto',
+      forecast_days: '16'
+    });
+
+    try {
+      const response = await fetchWithTimeout(`${CONFIG.OPEN_METEO_URL}?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`Open-Meteo API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (data.error) {
+        throw new Error(`Open-Meteo API error: ${data.reason || 'unknown'}`);
+      }
+
+      await this.cache.set(cacheKey, data, CONFIG.CACHE_DURATION.OPEN_METEO);
+      return data;
+
+    } catch (error) {
+      console.error('Open-Meteo fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Tornado environment metrics for any location
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} now - Current time (for testing)
+   * @returns {Promise<Object>} { current, next24Hours, dailyForecast, peakValues,
+   *   highRiskDays, tornadoThreatAssessment, ... } (see buildTornadoMetrics)
+   */
+  async getTornadoMetrics(lat, lon, now = new Date()) {
+    const data = await this.getForecast(lat, lon);
+    return this.buildMetrics(data, now);
+  }
+
+  /**
+   * buildTornadoMetrics() scored with this service's threat engine
+   */
+  buildMetrics(data, now = new Date()) {
+    return buildTornadoMetrics(data, {
+      now,
+      units: this.units,
+      ...(this.threatEngine && { evaluate: inputs => this.threatEngine.evaluate(inputs) })
+    });
+  }
+}
+
+// ==========================================
+// NWS GRID FORECAST SERVICE
+// ==========================================
+
+// Hourly step for expanded grid series
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parses an ISO 8601 duration ("PT3H", "P1DT6H") into milliseconds
+ * 
+ * Years and months have no fixed length and NWS grid data doesn't use
+ * them, so only weeks, days, hours, minutes and seconds are accepted.
+ * 
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number} Duration in milliseconds
+ */
+function parseISODuration(duration) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(duration || '');
+  if (!match || duration === 'P' || duration.endsWith('T')) {
+    throw new Error(`Invalid ISO 8601 duration: ${duration}`);
+  }
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+/**
+ * Parses an NWS `validTime` interval into start and end times
+ * 
+ * NWS uses "start/duration" ("2026-03-01T00:00:00+00:00/PT3H");
+ * "start/end" and "duration/end" are the other ISO 8601 forms.
+ * 
+ * @param {string} validTime - ISO 8601 interval
+ * @returns {Object} { start: Date, end: Date }
+ */
+function parseValidTime(validTime) {
+  const [first, second] = String(validTime).split('/');
+  if (!first || !second) {
+    throw new Error(`Invalid ISO 8601 interval: ${validTime}`);
+  }
+
+  let start;
+  let end;
+  if (first.startsWith('P')) {
+    end = new Date(second);
+    start = new Date(end.getTime() - parseISODuration(first));
+  } else {
+    start = new Date(first);
+    end = second.startsWith('P')
+      ? new Date(start.getTime() + parseISODuration(second))
+      : new Date(second);
+  }
+
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error(`Invalid ISO 8601 interval: ${validTime}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Unit from an NWS unit code ("wmoUnit:km_h-1" -> "km/h"); codes
+ * units.js doesn't know keep their NWS spelling without the prefix
+ */
+function parseUom(uom) {
+  if (!uom) return null;
+  return parseUnit(uom) || (uom.includes(':') ? uom.slice(uom.indexOf(':') + 1) : uom);
+}
+
+/**
+ * Expands one gridpoint property into a true hourly series
+ * 
+ * Grid values cover intervals of any length (a PT3H wind speed is one
+ * entry for three hours), so reading the first N entries is not the
+ * next N hours. Each interval is repeated for every hour it covers.
+ * 
+ * Numbers in a known unit are converted to `options.units` (values
+ * rounded to 0.01); `uom` keeps the unit NWS sent.
+ * 
+ * @param {Object} property - Gridpoint property ({ uom, values: [{ validTime, value }] })
+ * @param {Object} options - { from, to } Dates to clip the series to, and
+ *   units ('si', 'metric' or 'imperial'; default: as NWS sent them)
+ * @returns {Object} { uom, unit, values: [{ time: Date, value }] }, hour starts ascending
+ */
+function expandGridProperty(property, options = {}) {
+  const from = options.from ? options.from.getTime() : -Infinity;
+  const to = options.to ? options.to.getTime() : Infinity;
+  const sourceUnit = parseUom(property?.uom);
+  const unit = options.units && getDimension(sourceUnit)
+    ? systemUnit(sourceUnit, options.units)
+    : sourceUnit;
+  const toUnit = value => (typeof value === 'number' && unit !== sourceUnit
+    ? Math.round(convert(value, sourceUnit, unit) * 100) / 100
+    : value);
+  const values = [];
+
+  for (const entry of property?.values || []) {
+    const { start, end } = parseValidTime(entry.validTime);
+    const value = toUnit(entry.value);
+    for (let time = start.getTime(); time < end.getTime(); time += HOUR_MS) {
+      if (time + HOUR_MS <= from || time >= to) continue;
+      values.push({ time: new Date(time), value });
+    }
+  }
+
+  return {
+    uom: property?.uom || null,
+    unit,
+    values: values.sort((a, b) => a.time - b.time)
+  };
+}
+
+/**
+ * Highest value in a series over the next few hours
+ * 
+ * The hour containing `now` counts, so "next 12 hours" at 14:30 covers
+ * 14:00 through 02:00.
+ * 
+ * @param {Object} series - Expanded series (see expandGridProperty)
+ * @param {Object} options - { now, hours }
+ * @returns {Object|null} { value, time, unit, uom }, or null without data
+ */
+function maxInWindow(series, options = {}) {
+  const { now = new Date(), hours = 12 } = options;
+  const from = now.getTime();
+  const to = from + hours * HOUR_MS;
+
+  let max = null;
+  for (const entry of series?.values || []) {
+    const time = new Date(entry.time).getTime();
+    if (time + HOUR_MS <= from || time >= to) continue;
+    if (typeof entry.value !== 'number') continue;
+    if (!max || entry.value > max.value) max = entry;
+  }
+
+  return max
+    ? { value: max.value, time: new Date(max.time), unit: series.unit, uom: series.uom }
+    : null;
+}
+
+/**
+ * Hourly series for every property of a gridpoint forecast
+ * 
+ * @param {Object} grid - { point, properties } from GridForecastService.getGridData()
+ * @param {Object} options - Optional settings
+ * @param {Date} options.now - Series start from the hour containing this (default: now)
+ * @param {number} options.hours - Hours to keep (default: all)
+ * @param {Array} options.properties - Property names (default: every property with values)
+ * @param {string} options.units - 'imperial' (default), 'metric' or 'si'
+ * @returns {Object} { office, gridX, gridY, timeZone, updateTime, properties: { name: series } }
+ */
+function buildGridForecast(grid, options = {}) {
+  const { now = new Date(), hours = null, units = 'imperial' } = options;
+  const props = grid.properties || {};
+  const names = options.properties ||
+    Object.keys(props).filter(name => Array.isArray(props[name]?.values));
+
+  const from = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS);
+  const to = hours ? new Date(now.getTime() + hours * HOUR_MS) : null;
+
+  const properties = {};
+  for (const name of names) {
+    properties[name] = expandGridProperty(props[name], { from, to, units });
+  }
+
+  return {
+    office: grid.point.office,
+    gridX: grid.point.gridX,
+    gridY: grid.point.gridY,
+    timeZone: grid.point.timeZone,
+    updateTime: props.updateTime || null,
+    properties
+  };
+}
+
+/**
+ * Threat engine forecast inputs from hourly grid series
+ * 
+ * @param {Object} properties - Expanded series by name (buildGridForecast().properties)
+ * @param {Object} options - { now, hours (default 12) }
+ * @returns {Object} { dewpointC, thunderProbability, windGustMph } (null when missing)
+ */
+function gridForecastInputs(properties, options = {}) {
+  const range = { now: options.now || new Date(), hours: options.hours || 12 };
+  const dewpoint = maxInWindow(properties?.dewpoint, range);
+  const thunder = maxInWindow(properties?.probabilityOfThunder, range);
+  const gust = maxInWindow(properties?.windGust, range);
+  const valueIn = (max, unit) =>
+    (max && getDimension(max.unit) === getDimension(unit) ? convert(max.value, max.unit, unit) : null);
+
+  return {
+    dewpointC: valueIn(dewpoint, 'degC'),
+    thunderProbability: valueIn(thunder, 'percent'),
+    windGustMph: valueIn(gust, 'mph')
+  };
+}
+
+class GridForecastService {
+  /**
+   * @param {Object} cache - Cache backend
+   * @param {Object} options - { units: 'imperial' (default), 'metric' or 'si' }
+   */
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.units = options.units || 'imperial';
+  }
+
+  /**
+   * Resolves a location to its NWS forecast office and grid cell
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { office, gridX, gridY, forecastGridData, timeZone, radarStation, city, state }
+   */
+  async getGridPoint(lat, lon) {
+    const cacheKey = `nws_point_${lat.toFixed(4)}_${lon.toFixed(4)}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const url = `${CONFIG.NWS_BASE_URL}/points/${lat.toFixed(4)},${lon.toFixed(4)}`;
+
+    try {
+      const response = await fetchWithTimeout(url, {
+        headers: {
+          'User-Agent': CONFIG.APP_USER_AGENT,
+          'Accept': 'application/geo+json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`NWS API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const props = data.properties || {};
+      if (!props.gridId || !props.forecastGridData) {
+        throw new Error('NWS API error: no forecast grid for this location');
+      }
+
+      const point = {
+        office: props.gridId,
+        gridX: props.gridX,
+        gridY: props.gridY,
+        forecastGridData: props.forecastGridData,
+        timeZone: props.timeZone || null,
+        radarStation: props.radarStation || null,
+        city: props.relativeLocation?.properties?.city || null,
+        state: props.relativeLocation?.properties?.state || null
+      };
+
+      await this.cache.set(cacheKey, point, CONFIG.CACHE_DURATION.GRID_POINT);
+      return point;
 
     } catch (error) {
-      console.error('NWS Alerts fetch error:', error.message);
+      console.error('NWS Points fetch error:', error.message);
       throw error;
     }
   }
 
   /**
-   * Fetches alerts for an entire state
-   * Useful for overview screens
+   * Fetches the raw gridpoint forecast for a location
    * 
-   * @param {string} stateCode - Two-letter state code (e.g., 'OK')
-   * @returns {Promise<Array>} Array of active alerts
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { point, properties } (properties as NWS returns them)
    */
-  async getStateAlerts(stateCode) {
-    const cacheKey = `nws_state_alerts_${stateCode}`;
-    const cached = this.cache.get(cacheKey);
+  async getGridData(lat, lon) {
+    const point = await this.getGridPoint(lat, lon);
+    const cacheKey = `nws_grid_${point.office}_${point.gridX}_${point.gridY}`;
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
-    const url = `${CONFIG.NWS_BASE_URL}/alerts/active?area=${stateCode}`;
-
     try {
-      const response = await fetchWithTimeout(url, {
+      const response = await fetchWithTimeout(point.forecastGridData, {
         headers: {
           'User-Agent': CONFIG.APP_USER_AGENT,
           'Accept': 'application/geo+json'
@@ -200,40 +1843,61 @@ class NWSAlertsService {
       }
 
       const data = await response.json();
-      
-      const alerts = (data.features || []).map(feature => ({
-        id: feature.properties.id,
-        event: feature.properties.event,
-        headline: feature.properties.headline,
-        severity: feature.properties.severity,
-        areaDesc: feature.properties.areaDesc,
-        onset: feature.properties.onset,
-        expires: feature.properties.expires,
-        isTornadoWarning: feature.properties.event?.toLowerCase().includes('tornado')
-      }));
+      const grid = { point, properties: data.properties || {} };
 
-      this.cache.set(cacheKey, alerts, CONFIG.CACHE_DURATION.ALERTS);
-      return alerts;
+      await this.cache.set(cacheKey, grid, CONFIG.CACHE_DURATION.GRID_FORECAST);
+      return grid;
 
     } catch (error) {
-      console.error('NWS State Alerts fetch error:', error.message);
+      console.error('NWS Grid Data fetch error:', error.message);
       throw error;
     }
   }
 
   /**
-   * Gets tornado-specific alerts only
+   * Hourly forecast series for a location
    * 
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
-   * @returns {Promise<Array>} Tornado warnings and watches
+   * @param {Object} options - { now, hours, properties, units } (see buildGridForecast)
+   * @returns {Promise<Object>} { office, gridX, gridY, timeZone, updateTime, properties }
+   * 
+   * Example:
+   *   const forecast = await grid.getHourlyForecast(35.4676, -97.5164, { hours: 24 });
+   *   forecast.properties.dewpoint
+   *   // { uom: 'wmoUnit:degC', unit: 'degF', values: [{ time, value: 64.94 }, ...] }
    */
-  async getTornadoAlerts(lat, lon) {
-    const allAlerts = await this.getActiveAlerts(lat, lon);
-    return allAlerts.filter(alert => 
-      alert.isTornadoWarning || 
-      alert.event?.toLowerCase().includes('tornado')
-    );
+  async getHourlyForecast(lat, lon, options = {}) {
+    const grid = await this.getGridData(lat, lon);
+    return buildGridForecast(grid, { units: this.units, ...options });
+  }
+
+  /**
+   * Highest value of one property over the next few hours
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} property - Gridpoint property name (e.g. 'windGust')
+   * @param {Object} options - { hours (default 12), now, units }
+   * @returns {Promise<Object|null>} { value, time, unit, uom }
+   */
+  async getMaxInWindow(lat, lon, property, options = {}) {
+    const { hours = 12, now = new Date(), units = this.units } = options;
+    const forecast = await this.getHourlyForecast(lat, lon, { now, hours, units, properties: [property] });
+    return maxInWindow(forecast.properties[property], { now, hours });
+  }
+
+  /**
+   * Highest chance of thunder over the next few hours
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Hours ahead (default: 12)
+   * @param {Date} now - Current time (for testing)
+   * @returns {Promise<Object|null>} { value (percent), time, unit, uom }
+   */
+  async getMaxThunderProbability(lat, lon, hours = 12, now = new Date()) {
+    return this.getMaxInWindow(lat, lon, 'probabilityOfThunder', { hours, now });
   }
 }
 
@@ -256,13 +1920,12 @@ class SPCStormReportsService {
    * @returns {Promise<Array>} Array of storm reports
    */
   async getTodaysReports(reportType = 'tornado') {
-    const validTypes = ['tornado', 'wind', 'hail'];
-    if (!validTypes.includes(reportType)) {
-      throw new Error(`Invalid report type. Use: ${validTypes.join(', ')}`);
+    if (!REPORT_TYPES.includes(reportType)) {
+      throw new Error(`Invalid report type. Use: ${REPORT_TYPES.join(', ')}`);
     }
 
     const cacheKey = `spc_today_${reportType}`;
-    const cached = this.cache.get(cacheKey);
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
     // SPC provides CSV files for today's reports
@@ -281,10 +1944,11 @@ class SPCStormReportsService {
         throw new Error(`SPC Reports error: ${response.status}`);
       }
 
+      // today_*.csv covers the convective day in progress (12Z-12Z)
       const csvText = await response.text();
-      const reports = this.parseStormReportsCSV(csvText, reportType);
+      const reports = this.parseStormReportsCSV(csvText, reportType, getConvectiveDay());
 
-      this.cache.set(cacheKey, reports, CONFIG.CACHE_DURATION.STORM_REPORTS);
+      await this.cache.set(cacheKey, reports, CONFIG.CACHE_DURATION.STORM_REPORTS);
       return reports;
 
     } catch (error) {
@@ -295,42 +1959,15 @@ class SPCStormReportsService {
 
   /**
    * Parses SPC CSV format into structured objects
+   * (see stormReportParser.js)
+   * 
+   * @param {string} csvText - CSV file contents
+   * @param {string} reportType - 'tornado', 'wind', or 'hail'
+   * @param {string} convectiveDay - 'YYYY-MM-DD' the file covers (default: current)
+   * @returns {Array} Reports with `time` resolved to a Date
    */
-  parseStormReportsCSV(csvText, reportType) {
-    const lines = csvText.trim().split('\n');
-    
-    // Skip header row if present
-    const dataLines = lines[0].includes('Time') ? lines.slice(1) : lines;
-    
-    return dataLines.map(line => {
-      const parts = line.split(',');
-      
-      // SPC CSV format varies by report type
-      // Common format: Time,Speed/Size,Location,County,State,Lat,Lon,Comments
-      
-      const report = {
-        time: parts[0]?.trim(),
-        location: parts[2]?.trim(),
-        county: parts[3]?.trim(),
-        state: parts[4]?.trim(),
-        latitude: parseFloat(parts[5]) || null,
-        longitude: parseFloat(parts[6]) || null,
-        comments: parts[7]?.trim() || '',
-        reportType
-      };
-
-      // Type-specific fields
-      if (reportType === 'tornado') {
-        report.fScale = parts[1]?.trim() || 'UNK';
-      } else if (reportType === 'wind') {
-        report.speed = parseInt(parts[1]) || null; // in knots
-        report.speedMph = report.speed ? Math.round(report.speed * 1.151) : null;
-      } else if (reportType === 'hail') {
-        report.size = parseFloat(parts[1]) || null; // in inches
-      }
-
-      return report;
-    }).filter(report => report.latitude && report.longitude);
+  parseStormReportsCSV(csvText, reportType, convectiveDay = getConvectiveDay()) {
+    return parseStormReportsCSV(csvText, { reportType, convectiveDay });
   }
 
   /**
@@ -339,25 +1976,154 @@ class SPCStormReportsService {
    * @returns {Promise<Object>} Object with tornado, wind, and hail arrays
    */
   async getAllTodaysReports() {
+    // Any failure rejects, so callers see an outage instead of "no reports"
     const [tornado, wind, hail] = await Promise.all([
-      this.getTodaysReports('tornado').catch(() => []),
-      this.getTodaysReports('wind').catch(() => []),
-      this.getTodaysReports('hail').catch(() => [])
+      this.getTodaysReports('tornado'),
+      this.getTodaysReports('wind'),
+      this.getTodaysReports('hail')
     ]);
 
     return { tornado, wind, hail };
   }
 
+  /**
+   * Fetches one convective day's reports of one type from the SPC archive
+   * (yymmdd_rpts_torn.csv, yymmdd_rpts_wind.csv, yymmdd_rpts_hail.csv)
+   * 
+   * Finished days never change, so they are cached for
+   * CACHE_DURATION.STORM_REPORTS_ARCHIVE; the day in progress is
+   * refreshed like today's reports.
+   * 
+   * @param {Date|string} date - Convective day ('YYYY-MM-DD', or the day a Date falls in)
+   * @param {string} reportType - 'tornado', 'wind', or 'hail'
+   * @param {Date} now - Current time (for testing)
+   * @returns {Promise<Array>} Array of storm reports
+   */
+  async getDailyReports(date, reportType = 'tornado', now = new Date()) {
+    if (!REPORT_TYPES.includes(reportType)) {
+      throw new Error(`Invalid report type. Use: ${REPORT_TYPES.join(', ')}`);
+    }
+
+    const day = toConvectiveDay(date);
+    const { start, end } = getConvectiveDayBounds(day);
+    if (start > now) {
+      throw new Error(`No storm reports yet for ${day}`);
+    }
+
+    const fileDate = formatReportFileDate(day);
+    const cacheKey = `spc_reports_${fileDate}_${reportType}`;
+    const cached = await this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const typeMap = {
+      tornado: 'torn',
+      wind: 'wind',
+      hail: 'hail'
+    };
+
+    const url = `${CONFIG.SPC_REPORTS_URL}/${fileDate}_rpts_${typeMap[reportType]}.csv`;
+
+    try {
+      const response = await fetchWithTimeout(url);
+
+      if (!response.ok) {
+        throw new Error(`SPC Reports error: ${response.status}`);
+      }
+
+      const csvText = await response.text();
+      const reports = this.parseStormReportsCSV(csvText, reportType, day);
+
+      const isFinal = end <= now;
+      await this.cache.set(
+        cacheKey,
+        reports,
+        isFinal ? CONFIG.CACHE_DURATION.STORM_REPORTS_ARCHIVE : CONFIG.CACHE_DURATION.STORM_REPORTS
+      );
+      return reports;
+
+    } catch (error) {
+      console.error('SPC Reports fetch error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets all storm reports for a past (or the current) convective day
+   * 
+   * @param {Date|string} date - Convective day ('YYYY-MM-DD', or the day a Date falls in)
+   * @param {Object} options
+   * @param {Array} options.types - Report types to fetch (default: all)
+   * @param {Date} options.now - Current time (for testing)
+   * @returns {Promise<Object>} Object with tornado, wind, and hail arrays
+   */
+  async getReportsForDate(date, { types = REPORT_TYPES, now = new Date() } = {}) {
+    const day = toConvectiveDay(date);
+    const reports = { tornado: [], wind: [], hail: [] };
+
+    await Promise.all(types.map(async type => {
+      reports[type] = await this.getDailyReports(day, type, now);
+    }));
+
+    return reports;
+  }
+
+  /**
+   * Gets all storm reports for a range of convective days (inclusive)
+   * 
+   * Days are fetched one at a time; each report keeps its `convectiveDay`.
+   * 
+   * @param {Date|string} start - First convective day
+   * @param {Date|string} end - Last convective day
+   * @param {Object} options
+   * @param {Array} options.types - Report types to fetch (default: all)
+   * @param {number} options.maxDays - Longest range allowed (default: CONFIG.SPC_REPORTS_MAX_RANGE_DAYS)
+   * @param {Date} options.now - Current time (for testing)
+   * @returns {Promise<Object>} Object with tornado, wind, and hail arrays, oldest first
+   */
+  async getReportsForRange(start, end, options = {}) {
+    const { maxDays = CONFIG.SPC_REPORTS_MAX_RANGE_DAYS, ...dayOptions } = options;
+    const first = toConvectiveDay(start);
+    const last = toConvectiveDay(end);
+
+    if (last < first) {
+      throw new Error(`Invalid report range: ${first} is after ${last}`);
+    }
+    if (getConvectiveDayBounds(last).start > (dayOptions.now || new Date())) {
+      throw new Error(`No storm reports yet for ${last}`);
+    }
+
+    const days = [];
+    for (let day = first; day <= last; day = shiftConvectiveDay(day, 1)) {
+      days.push(day);
+      if (days.length > maxDays) {
+        throw new Error(`Report range ${first} to ${last} exceeds ${maxDays} days`);
+      }
+    }
+
+    const reports = { tornado: [], wind: [], hail: [] };
+    for (const day of days) {
+      const daily = await this.getReportsForDate(day, dayOptions);
+      for (const type of REPORT_TYPES) {
+        reports[type].push(...daily[type]);
+      }
+    }
+
+    return reports;
+  }
+
   /**
    * Gets reports near a specific location
    * 
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
    * @param {number} radiusMiles - Search radius in miles
+   * @param {Date|string} date - Convective day (default: today's reports)
    * @returns {Promise<Object>} Nearby storm reports
    */
-  async getNearbyReports(lat, lon, radiusMiles = 50) {
-    const allReports = await this.getAllTodaysReports();
+  async getNearbyReports(lat, lon, radiusMiles = 50, date = null) {
+    const allReports = date
+      ? await this.getReportsForDate(date)
+      : await this.getAllTodaysReports();
     
     const filterByDistance = (reports) => {
       return reports.filter(report => {
@@ -382,15 +2148,7 @@ class SPCStormReportsService {
    * Haversine formula for distance calculation
    */
   calculateDistanceMiles(lat1, lon1, lat2, lon2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+    return calculateDistanceMiles(lat1, lon1, lat2, lon2);
   }
 }
 
@@ -399,8 +2157,17 @@ class SPCStormReportsService {
 // ==========================================
 
 class FEMASheltersService {
-  constructor(cache) {
+  /**
+   * @param {Object} cache - Cache backend
+   * @param {ShelterRegistry} registry - Local shelter registry merged into nearby results
+   * @param {Object} router - Travel-time router (see routingService.js)
+   * @param {ShelterOccupancyService} occupancy - Live check-in counts (see occupancyService.js)
+   */
+  constructor(cache, registry = null, router = null, occupancy = null) {
     this.cache = cache;
+    this.registry = registry;
+    this.router = router;
+    this.occupancy = occupancy;
   }
 
   /**
@@ -414,7 +2181,7 @@ class FEMASheltersService {
    */
   async getOpenShelters(stateCode = 'OK') {
     const cacheKey = `fema_shelters_${stateCode}`;
-    const cached = this.cache.get(cacheKey);
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
     // ArcGIS REST API query
@@ -476,6 +2243,8 @@ class FEMASheltersService {
             ? new Date(attrs.LAST_UPDATED) 
             : null,
           
+          source: 'fema',
+          
           // Raw attributes for debugging
           _raw: attrs
         };
@@ -484,7 +2253,7 @@ class FEMASheltersService {
       // Sort by available capacity (most space first)
       shelters.sort((a, b) => (b.availableCapacity || 0) - (a.availableCapacity || 0));
 
-      this.cache.set(cacheKey, shelters, CONFIG.CACHE_DURATION.SHELTERS);
+      await this.cache.set(cacheKey, shelters, CONFIG.CACHE_DURATION.SHELTERS);
       return shelters;
 
     } catch (error) {
@@ -501,7 +2270,7 @@ class FEMASheltersService {
    */
   async getAllOpenShelters() {
     const cacheKey = 'fema_shelters_all';
-    const cached = this.cache.get(cacheKey);
+    const cached = await this.cache.get(cacheKey);
     if (cached) return cached;
 
     const params = new URLSearchParams({
@@ -533,10 +2302,11 @@ class FEMASheltersService {
         totalCapacity: feature.attributes.TOTAL_POPULATION,
         currentPopulation: feature.attributes.EVACUEES_CURRENT,
         isOpen: feature.attributes.SHELTER_STATUS === 'OPEN',
-        acceptsPets: feature.attributes.ACCEPTING_PETS === 'Y'
+        acceptsPets: feature.attributes.ACCEPTING_PETS === 'Y',
+        source: 'fema'
       }));
 
-      this.cache.set(cacheKey, shelters, CONFIG.CACHE_DURATION.SHELTERS);
+      await this.cache.set(cacheKey, shelters, CONFIG.CACHE_DURATION.SHELTERS);
       return shelters;
 
     } catch (error) {
@@ -547,13 +2317,82 @@ class FEMASheltersService {
 
   /**
    * Fetches shelters near a specific location
+   * FEMA open shelters merged with the local shelter registry,
+   * de-duplicated by proximity and name
+   * 
+   * Each shelter has a `source` of 'local', 'fema' or 'local+fema'.
+   * FEMA errors are thrown; fetchAllData() then falls back to the
+   * registry shelters alone and marks the section unavailable.
+   * 
+   * With a router configured, shelters get `etaMinutesWalking` and
+   * `etaMinutesDriving` and are sorted by the fastest way there
+   * instead of straight-line distance.
+   * 
+   * With an occupancy service configured, registered shelters get
+   * live `currentPopulation`/`availableCapacity` from check-ins, and
+   * shelters with no room left are marked `isFull` / status 'FULL'.
    * 
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
    * @param {number} radiusMiles - Search radius in miles
-   * @returns {Promise<Array>} Nearby open shelters
+   * @returns {Promise<Array>} Nearby shelters, closest first
    */
   async getNearbyShelters(lat, lon, radiusMiles = 50) {
+    const localShelters = this.registry?.getNearby(lat, lon, radiusMiles) || [];
+
+    const femaShelters = await this.getNearbyFEMAShelters(lat, lon, radiusMiles);
+
+    let shelters = this.registry
+      ? this.registry.mergeWithFEMA(localShelters, femaShelters)
+      : femaShelters;
+
+    if (this.occupancy) {
+      shelters = await this.occupancy.applyOccupancy(shelters);
+    }
+
+    return this.router ? this.rankByTravelTime(lat, lon, shelters) : shelters;
+  }
+
+  /**
+   * Adds walking/driving ETAs and sorts by the fastest one
+   * Falls back to distance order if routing fails
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array} shelters - Shelters with latitude/longitude
+   * @returns {Promise<Array>} Shelters sorted by travel time
+   */
+  async rankByTravelTime(lat, lon, shelters) {
+    if (shelters.length === 0) return shelters;
+
+    let times;
+    try {
+      times = await this.router.getTravelTimes({ latitude: lat, longitude: lon }, shelters);
+    } catch (error) {
+      console.warn('Shelter routing failed, sorting by distance:', error.message);
+      return shelters;
+    }
+
+    const fastest = s => Math.min(s.etaMinutesWalking ?? Infinity, s.etaMinutesDriving ?? Infinity);
+
+    return shelters
+      .map((shelter, i) => ({
+        ...shelter,
+        etaMinutesWalking: times[i]?.walkingMinutes ?? null,
+        etaMinutesDriving: times[i]?.drivingMinutes ?? null
+      }))
+      .sort((a, b) => (fastest(a) - fastest(b)) || (a.distanceMiles - b.distanceMiles));
+  }
+
+  /**
+   * Fetches FEMA open shelters near a specific location
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMiles - Search radius in miles
+   * @returns {Promise<Array>} Nearby open FEMA shelters
+   */
+  async getNearbyFEMAShelters(lat, lon, radiusMiles = 50) {
     // Convert miles to meters for ArcGIS geometry query
     const radiusMeters = radiusMiles * 1609.34;
     
@@ -606,7 +2445,8 @@ class FEMASheltersService {
             : null,
           isOpen: true,
           acceptsPets: attrs.ACCEPTING_PETS === 'Y',
-          adaAccessible: attrs.ADA_COMPLIANT === 'Y'
+          adaAccessible: attrs.ADA_COMPLIANT === 'Y',
+          source: 'fema'
         };
       }).sort((a, b) => a.distanceMiles - b.distanceMiles);
 
@@ -620,15 +2460,7 @@ class FEMASheltersService {
    * Haversine formula for distance calculation
    */
   calculateDistanceMiles(lat1, lon1, lat2, lon2) {
-    const R = 3959;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+    return calculateDistanceMiles(lat1, lon1, lat2, lon2);
   }
 }
 
@@ -636,12 +2468,39 @@ class FEMASheltersService {
 // UNIFIED WEATHER DATA SERVICE
 // ==========================================
 
+// Alert past its `expires` time (Date, or ISO string for state alerts)
+function isAlertExpired(alert, now = new Date()) {
+  return !!alert.expires && new Date(alert.expires) <= now;
+}
+
 class WeatherDataService {
-  constructor() {
-    this.cache = new SimpleCache();
+  /**
+   * @param {Object} options - Optional settings
+   * @param {Object} options.cache - Cache backend (default: in-memory SimpleCache)
+   * @param {ShelterRegistry} options.shelterRegistry - Local shelters (default: bundled Oklahoma registry)
+   * @param {Object} options.router - Travel-time router for ranking shelters (default: none, sort by distance)
+   * @param {ShelterOccupancyService} options.occupancy - Live shelter check-ins (default: none)
+   * @param {Object} options.threatRules - Threat scoring rules (default: bundled data/threatRules.json)
+   * @param {string} options.units - Forecast output units: 'imperial' (default), 'metric' or 'si'
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || new SimpleCache();
+    this.shelterRegistry = options.shelterRegistry || new ShelterRegistry();
     this.nws = new NWSAlertsService(this.cache);
     this.spc = new SPCStormReportsService(this.cache);
-    this.fema = new FEMASheltersService(this.cache);
+    this.outlook = new SPCOutlookService(this.cache);
+    this.mcd = new MCDService(this.cache);
+    this.watches = new WatchService(this.cache, this.nws);
+    this.fema = new FEMASheltersService(
+      this.cache,
+      this.shelterRegistry,
+      options.router || null,
+      options.occupancy || null
+    );
+    this.threatEngine = new ThreatEngine(options.threatRules);
+    this.units = options.units || 'imperial';
+    this.openMeteo = new OpenMeteoService(this.cache, this.threatEngine, { units: this.units });
+    this.grid = new GridForecastService(this.cache, { units: this.units });
   }
 
   /**
@@ -652,67 +2511,188 @@ class WeatherDataService {
    * @param {Object} options - Optional settings
    * @returns {Promise<Object>} Combined weather data
    * 
+   * Each section (alerts, stormReports, shelters) carries a `status`
+   * of 'fresh', 'stale' (last-known-good data after a failure) or
+   * 'unavailable', plus `lastUpdated` and `ageMs`. Check
+   * `summary.dataHealth` before telling the user "no warnings".
+   * 
+   * Pass `staleWhileRevalidate: true` to return expired last-known-good
+   * data immediately while refreshing in the background.
+   * 
+   * Pass `includeOutlook: true` to add SPC Day 1-3 outlook risk for the
+   * location as `data.outlook` (categorical level and tornado/wind/hail
+   * probabilities).
+   * 
+   * Active SPC mesoscale discussions are included as
+   * `data.mesoscaleDiscussions` (`covering` lists the ones whose area
+   * contains the location) and raise the threat level. Pass
+   * `includeMCDs: false` to skip them.
+   * 
+   * Pass `includeTornadoMetrics: true` to add the Open-Meteo tornado
+   * environment (CAPE, Lifted Index, 16-day high-risk days) as
+   * `data.tornadoMetrics`; it also feeds `data.threatAssessment`.
+   * 
+   * Pass `includeGridForecast: true` to add the next 24 hours of the NWS
+   * gridpoint forecast as hourly series in `data.gridForecast`; its
+   * 12-hour peak thunder probability and dewpoint feed
+   * `data.threatAssessment`.
+   * 
    * Example:
    *   const data = await service.fetchAllData(35.4676, -97.5164);
    *   console.log(data.alerts);      // NWS alerts
    *   console.log(data.stormReports); // Today's storm reports
    *   console.log(data.shelters);    // Open shelters
+   *   console.log(data.summary.dataHealth); // GOOD / DEGRADED / CRITICAL
    */
   async fetchAllData(lat, lon, options = {}) {
     const {
       stateCode = 'OK',
       shelterRadiusMiles = 50,
       reportRadiusMiles = 100,
-      includeStateAlerts = false
+      includeStateAlerts = false,
+      includeOutlook = false,
+      includeMCDs = true,
+      includeTornadoMetrics = false,
+      includeGridForecast = false,
+      staleWhileRevalidate = false
     } = options;
 
     const startTime = Date.now();
+    const locationKey = `${lat.toFixed(2)}_${lon.toFixed(2)}`;
+    const sectionOptions = { staleWhileRevalidate };
 
     try {
       // Fetch all data in parallel for speed
+      // Each section falls back to its last-known-good data if the source fails
       const [
-        alerts,
-        stateAlerts,
-        nearbyReports,
-        nearbyShelters,
-        stateShelters
+        alertsSection,
+        stateAlertsSection,
+        reportsSection,
+        nearbySheltersSection,
+        stateSheltersSection,
+        outlookSection,
+        mcdSection,
+        forecastSection,
+        gridSection
       ] = await Promise.all([
         // Location-specific alerts
-        this.nws.getActiveAlerts(lat, lon).catch(err => {
-          console.warn('NWS alerts failed:', err.message);
-          return [];
+        this.fetchSection(`alerts_${locationKey}`, () => this.nws.getActiveAlerts(lat, lon), {
+          ...sectionOptions,
+          label: 'NWS alerts',
+          fallback: [],
+          durationMs: CONFIG.CACHE_DURATION.ALERTS
         }),
         
         // State-wide alerts (optional)
         includeStateAlerts 
-          ? this.nws.getStateAlerts(stateCode).catch(() => [])
-          : Promise.resolve([]),
+          ? this.fetchSection(`state_alerts_${stateCode}`, () => this.nws.getStateAlerts(stateCode), {
+            ...sectionOptions,
+            label: 'NWS state alerts',
+            fallback: [],
+            durationMs: CONFIG.CACHE_DURATION.ALERTS
+          })
+          : Promise.resolve(null),
         
         // Today's storm reports near location
-        this.spc.getNearbyReports(lat, lon, reportRadiusMiles).catch(err => {
-          console.warn('SPC reports failed:', err.message);
-          return { tornado: [], wind: [], hail: [] };
+        this.fetchSection(`reports_${locationKey}_${reportRadiusMiles}`, () => this.spc.getNearbyReports(lat, lon, reportRadiusMiles), {
+          ...sectionOptions,
+          label: 'SPC reports',
+          fallback: { tornado: [], wind: [], hail: [] },
+          durationMs: CONFIG.CACHE_DURATION.STORM_REPORTS
         }),
         
         // Open shelters near location
-        this.fema.getNearbyShelters(lat, lon, shelterRadiusMiles).catch(err => {
-          console.warn('FEMA nearby shelters failed:', err.message);
-          return [];
+        // With FEMA down and nothing saved, registry shelters are still listed
+        this.fetchSection(`shelters_${locationKey}_${shelterRadiusMiles}`, () => this.fema.getNearbyShelters(lat, lon, shelterRadiusMiles), {
+          ...sectionOptions,
+          label: 'FEMA nearby shelters',
+          fallback: this.shelterRegistry.getNearby(lat, lon, shelterRadiusMiles),
+          durationMs: CONFIG.CACHE_DURATION.SHELTERS
         }),
         
         // All open shelters in state
-        this.fema.getOpenShelters(stateCode).catch(err => {
-          console.warn('FEMA state shelters failed:', err.message);
-          return [];
-        })
+        this.fetchSection(`state_shelters_${stateCode}`, () => this.fema.getOpenShelters(stateCode), {
+          ...sectionOptions,
+          label: 'FEMA state shelters',
+          fallback: [],
+          durationMs: CONFIG.CACHE_DURATION.SHELTERS
+        }),
+
+        // SPC Day 1-3 outlook risk at location (optional)
+        includeOutlook
+          ? this.fetchSection(`outlook_${locationKey}`, () => this.outlook.getAllDaysRiskAtPoint(lat, lon), {
+            ...sectionOptions,
+            label: 'SPC outlook',
+            fallback: null,
+            durationMs: CONFIG.CACHE_DURATION.OUTLOOK
+          })
+          : Promise.resolve(null),
+
+        // Active SPC mesoscale discussions
+        includeMCDs
+          ? this.fetchSection('mcds', () => this.mcd.getActiveMCDs(), {
+            ...sectionOptions,
+            label: 'SPC mesoscale discussions',
+            fallback: [],
+            durationMs: CONFIG.CACHE_DURATION.MCD
+          })
+          : Promise.resolve(null),
+
+        // Open-Meteo forecast (optional) - raw, so "now" is applied on every call
+        includeTornadoMetrics
+          ? this.fetchSection(`open_meteo_${locationKey}`, () => this.openMeteo.getForecast(lat, lon), {
+            ...sectionOptions,
+            label: 'Open-Meteo',
+            fallback: null,
+            durationMs: CONFIG.CACHE_DURATION.OPEN_METEO
+          })
+          : Promise.resolve(null),
+
+        // NWS gridpoint forecast (optional) - raw, expanded to hours on every call
+        includeGridForecast
+          ? this.fetchSection(`grid_${locationKey}`, () => this.grid.getGridData(lat, lon), {
+            ...sectionOptions,
+            label: 'NWS grid forecast',
+            fallback: null,
+            durationMs: CONFIG.CACHE_DURATION.GRID_FORECAST
+          })
+          : Promise.resolve(null)
       ]);
 
-      // Extract tornado-specific alerts
-      const tornadoAlerts = alerts.filter(a => a.isTornadoWarning);
-      const severeThunderstormAlerts = alerts.filter(a => a.isSevereThunderstorm);
+      // Last-known-good alerts can outlive their expiry time
+      const now = new Date();
+      const alerts = alertsSection.data.filter(a => !isAlertExpired(a, now));
+      const stateAlerts = (stateAlertsSection?.data || []).filter(a => !isAlertExpired(a, now));
+      const nearbyReports = reportsSection.data;
+      const nearbyShelters = nearbySheltersSection.data;
+      const stateShelters = stateSheltersSection.data;
+      const sheltersSection = this.combineSections(nearbySheltersSection, stateSheltersSection);
+      const outlook = outlookSection?.data || null;
+      const activeMCDs = mcdSection?.data || [];
+      const coveringMCDs = activeMCDs.filter(mcd => isPointInMCD(mcd, lat, lon));
+      const tornadoMetrics = forecastSection?.data ? this.openMeteo.buildMetrics(forecastSection.data) : null;
+      const gridForecast = gridSection?.data ? buildGridForecast(gridSection.data, { hours: 24, units: this.units }) : null;
+
+      // Extract tornado-specific alerts (warnings still in effect, one per VTEC event)
+      const activeAlerts = getActiveEventAlerts(alerts);
+      const tornadoAlerts = activeAlerts.filter(a => a.isTornadoWarning);
+      const severeThunderstormAlerts = activeAlerts.filter(a => a.isSevereThunderstorm);
+
+      // Watches covering the location (NWS lists its county)
+      const watches = mergeWatches(alerts.map(a => a.watch))
+        .filter(watch => isWatchActive(watch))
+        .map(watch => ({ ...watch, coversLocation: true, title: formatWatchTitle(watch) }));
 
       // Determine overall threat level
-      const threatLevel = this.calculateThreatLevel(alerts, nearbyReports);
+      const threatLevel = this.calculateThreatLevel(alerts, nearbyReports, coveringMCDs);
+      const threatAssessment = this.assessThreat({
+        alerts,
+        stormReports: nearbyReports,
+        mcds: coveringMCDs,
+        outlook: outlook?.day1 || null,
+        environment: tornadoMetrics ? openMeteoEnvironment(tornadoMetrics) : null,
+        forecast: gridForecast ? gridForecastInputs(gridForecast.properties) : null
+      });
 
       const result = {
         // Metadata
@@ -722,16 +2702,30 @@ class WeatherDataService {
         
         // Threat Assessment
         threatLevel,
+        // Level, score, factors and recommendation, including the Day 1
+        // outlook, Open-Meteo environment and NWS grid forecast when requested
+        threatAssessment,
         hasTornadoWarning: tornadoAlerts.length > 0,
+        isInsideTornadoWarningPolygon: tornadoAlerts.some(a => a.isInsidePolygon === true),
+        hasTornadoEmergency: tornadoAlerts.some(a => a.isTornadoEmergency),
+        hasObservedTornado: tornadoAlerts.some(a => a.isTornadoObserved),
         hasSevereThunderstormWarning: severeThunderstormAlerts.length > 0,
+        hasTornadoWatch: watches.some(w => w.type === 'TORNADO'),
+        
+        // Tornado / Severe Thunderstorm Watches covering the location
+        // e.g. watches[0].title === 'PDS Tornado Watch #123 until 10 PM'
+        watches,
         
         // NWS Alerts
         alerts: {
           all: alerts,
+          // Warnings grouped with their follow-up statements (see vtec.js)
+          events: groupAlertsByEvent(alerts),
           tornado: tornadoAlerts,
           severeThunderstorm: severeThunderstormAlerts,
           state: stateAlerts,
-          count: alerts.length
+          count: alerts.length,
+          ...this.sectionStatus(alertsSection)
         },
         
         // SPC Storm Reports
@@ -740,7 +2734,8 @@ class WeatherDataService {
           tornadoCount: nearbyReports.tornado.length,
           windCount: nearbyReports.wind.length,
           hailCount: nearbyReports.hail.length,
-          totalCount: nearbyReports.tornado.length + nearbyReports.wind.length + nearbyReports.hail.length
+          totalCount: nearbyReports.tornado.length + nearbyReports.wind.length + nearbyReports.hail.length,
+          ...this.sectionStatus(reportsSection)
         },
         
         // FEMA Shelters
@@ -748,17 +2743,54 @@ class WeatherDataService {
           nearby: nearbyShelters,
           state: stateShelters,
           nearbyCount: nearbyShelters.length,
-          stateCount: stateShelters.length
+          stateCount: stateShelters.length,
+          ...this.sectionStatus(sheltersSection)
         },
         
+        // SPC Convective Outlook risk at location (null unless includeOutlook)
+        outlook: outlookSection
+          ? { ...outlook, ...this.sectionStatus(outlookSection) }
+          : null,
+        
+        // SPC Mesoscale Discussions (null unless includeMCDs)
+        mesoscaleDiscussions: mcdSection
+          ? {
+            active: activeMCDs,
+            covering: coveringMCDs,
+            count: activeMCDs.length,
+            ...this.sectionStatus(mcdSection)
+          }
+          : null,
+        
+        // Open-Meteo tornado environment (null unless includeTornadoMetrics)
+        tornadoMetrics: forecastSection
+          ? { ...tornadoMetrics, ...this.sectionStatus(forecastSection) }
+          : null,
+        
+        // NWS hourly gridpoint forecast, next 24 hours (null unless includeGridForecast)
+        gridForecast: gridSection
+          ? { ...gridForecast, ...this.sectionStatus(gridSection) }
+          : null,
+        
         // Quick access to most critical info
         summary: {
           activeAlerts: alerts.length,
           tornadoWarnings: tornadoAlerts.length,
           nearbyTornadoReports: nearbyReports.tornado.length,
           openSheltersNearby: nearbyShelters.length,
-          closestShelter: nearbyShelters[0] || null,
-          mostUrgentAlert: alerts[0] || null
+          closestShelter: nearbyShelters.find(s => !s.isFull) || null,
+          mostUrgentAlert: alerts[0] || null,
+          outlookRisk: outlook?.day1?.categorical || null,
+          mcdsCovering: coveringMCDs.length,
+          dataHealth: this.calculateDataHealth({
+            alerts: alertsSection,
+            stormReports: reportsSection,
+            shelters: sheltersSection,
+            ...(outlookSection && { outlook: outlookSection }),
+            ...(mcdSection && { mesoscaleDiscussions: mcdSection }),
+            ...(forecastSection && { tornadoMetrics: forecastSection }),
+            ...(gridSection && { gridForecast: gridSection })
+          })
         }
       };
 
@@ -771,42 +2803,183 @@ class WeatherDataService {
   }
 
   /**
-   * Calculates overall threat level based on alerts and reports
+   * Fetches one section of fetchAllData with offline fallback
+   * 
+   * Successful results are saved as last-known-good data. If the
+   * source fails, the last-known-good data is returned as 'stale'
+   * (or the empty fallback as 'unavailable') so callers can tell
+   * "no tornado warnings" apart from "NWS was unreachable".
+   * 
+   * @param {string} name - Section cache key
+   * @param {Function} fetcher - Async function returning the section data
+   * @param {Object} options - { label, fallback, durationMs, staleWhileRevalidate }
+   * @returns {Promise<Object>} { data, status, fetchedAt, ageMs, error }
    */
-  calculateThreatLevel(alerts, reports) {
-    // Check for tornado warnings (highest priority)
-    const hasTornadoWarning = alerts.some(a => 
-      a.event?.toLowerCase().includes('tornado warning')
-    );
-    if (hasTornadoWarning) return 'EXTREME';
+  async fetchSection(name, fetcher, options) {
+    const { label, fallback, durationMs, staleWhileRevalidate = false } = options;
+    const cacheKey = `last_good_${name}`;
+    const lastGood = await this.cache.getStale(cacheKey);
+
+    // Every successful result replaces the last-known-good data, even
+    // while the saved copy is still fresh
+    const saveResult = async (data) => {
+      const fetchedAt = new Date();
+      await this.cache.set(cacheKey, { data, fetchedAt }, durationMs);
+      return fetchedAt;
+    };
 
-    // Check for tornado watch
-    const hasTornadoWatch = alerts.some(a => 
-      a.event?.toLowerCase().includes('tornado watch')
-    );
-    
-    // Check for nearby tornado reports today
-    const hasNearbyTornado = reports.tornado && reports.tornado.length > 0;
-    
-    if (hasTornadoWatch && hasNearbyTornado) return 'HIGH';
-    if (hasTornadoWatch || hasNearbyTornado) return 'ELEVATED';
+    // Serve stale data immediately and refresh in the background
+    if (staleWhileRevalidate && lastGood?.isStale) {
+      fetcher().then(saveResult).catch(err => {
+        console.warn(`${label} background refresh failed:`, err.message);
+      });
+      return this.buildSection(lastGood.data.data, 'stale', lastGood.data.fetchedAt, null);
+    }
 
-    // Check for severe thunderstorm warnings
-    const hasSevereWarning = alerts.some(a => 
-      a.event?.toLowerCase().includes('severe thunderstorm warning')
-    );
-    if (hasSevereWarning) return 'ELEVATED';
+    try {
+      const data = await fetcher();
+      const fetchedAt = await saveResult(data);
+      return this.buildSection(data, 'fresh', fetchedAt, null);
+    } catch (err) {
+      console.warn(`${label} failed:`, err.message);
+      if (lastGood) {
+        return this.buildSection(lastGood.data.data, 'stale', lastGood.data.fetchedAt, err.message);
+      }
+      return this.buildSection(fallback, 'unavailable', null, err.message);
+    }
+  }
+
+  buildSection(data, status, fetchedAt, error) {
+    const fetchedAtDate = fetchedAt ? new Date(fetchedAt) : null;
+    return {
+      data,
+      status,
+      fetchedAt: fetchedAtDate,
+      ageMs: fetchedAtDate ? Date.now() - fetchedAtDate.getTime() : null,
+      error
+    };
+  }
 
-    // Check for any severe weather watch
-    const hasWatch = alerts.some(a => 
-      a.event?.toLowerCase().includes('watch')
+  /**
+   * Combines sections into one status (worst status, oldest data)
+   */
+  combineSections(...sections) {
+    const order = ['fresh', 'stale', 'unavailable'];
+    const worst = sections.reduce((a, b) =>
+      order.indexOf(b.status) > order.indexOf(a.status) ? b : a
     );
-    if (hasWatch) return 'MODERATE';
+    const oldest = sections
+      .filter(s => s.fetchedAt)
+      .reduce((a, b) => (!a || b.fetchedAt < a.fetchedAt ? b : a), null);
+
+    return {
+      status: worst.status,
+      fetchedAt: oldest?.fetchedAt || null,
+      ageMs: oldest?.ageMs ?? null,
+      error: sections.map(s => s.error).filter(Boolean).join('; ') || null
+    };
+  }
+
+  /**
+   * Status fields added to each section of the fetchAllData result
+   */
+  sectionStatus(section) {
+    return {
+      status: section.status,
+      lastUpdated: section.fetchedAt,
+      ageMs: section.ageMs,
+      error: section.error
+    };
+  }
+
+  /**
+   * Overall data health flag
+   * - GOOD:     every source returned fresh data
+   * - DEGRADED: some sources are stale or unavailable
+   * - CRITICAL: NWS alerts are unavailable, or stale for longer than
+   *             CONFIG.ALERTS_MAX_STALE_MS - we cannot say there are no warnings
+   */
+  calculateDataHealth(sections) {
+    const { alerts } = sections;
+    if (alerts.status === 'unavailable') return 'CRITICAL';
+    if (alerts.status === 'stale' && !(alerts.ageMs <= CONFIG.ALERTS_MAX_STALE_MS)) return 'CRITICAL';
+    const allFresh = Object.values(sections).every(s => s.status === 'fresh');
+    return allFresh ? 'GOOD' : 'DEGRADED';
+  }
+
+  /**
+   * Calculates overall threat level based on alerts, reports and MCDs
+   * 
+   * Tornado warnings only count as EXTREME when the location is inside
+   * the warning polygon (or the alert has no polygon to check against).
+   * Inside a Tornado Emergency (CATASTROPHIC damage threat) or a warning
+   * for an observed tornado, the level is EMERGENCY - above EXTREME.
+   * Watches come from each alert's `watch` object (see watchParser); a
+   * PDS tornado watch counts as HIGH on its own. An SPC mesoscale
+   * discussion covering the location counts like a watch; one that
+   * expects a tornado watch counts like a tornado watch.
+   * 
+   * Thresholds come from the "immediate" rules in data/threatRules.json.
+   * 
+   * @param {Array} alerts - NWS alerts for the location
+   * @param {Object} reports - Nearby storm reports { tornado, wind, hail }
+   * @param {Array} mcds - Active MCDs covering the location
+   */
+  calculateThreatLevel(alerts, reports, mcds = []) {
+    return this.assessThreat({ alerts, stormReports: reports, mcds }).level;
+  }
+
+  /**
+   * Full threat assessment from any mix of inputs (see threatEngine.js)
+   * 
+   * Adds forecast signals - SPC outlook, Open-Meteo environment, NWS
+   * grid forecast - to what calculateThreatLevel() looks at.
+   * 
+   * @param {Object} inputs - { alerts, watches, stormReports, mcds, outlook, environment, forecast }
+   * @returns {Object} { level, score, factors, recommendation, metrics }
+   */
+  assessThreat(inputs) {
+    return this.threatEngine.evaluate(inputs);
+  }
+
+  /**
+   * SPC outlook risk across a state, county by county
+   * 
+   * Each county gets the highest risk of any outlook area that touches
+   * it; the state's risk is the highest county risk. A HIGH risk in
+   * another state no longer shows up as this state's risk.
+   * 
+   * @param {string} stateCode - Two-letter state code (e.g., 'OK')
+   * @param {number} day - Outlook day (1, 2 or 3)
+   * @returns {Promise<Object>} { stateCode, day, highestRisk, maxTornadoProbability,
+   *   significantTornado, counties, countiesAtRisk }
+   */
+  async getStateOutlookRisk(stateCode = 'OK', day = 1) {
+    const [outlook, counties] = await Promise.all([
+      this.outlook.getOutlook(day),
+      this.nws.getCountyZones(stateCode)
+    ]);
+
+    const countyRisks = counties.map(county => ({
+      id: county.id,
+      name: county.name,
+      ...summarizeOutlookRisk(outlook, geometry => polygonsIntersect(geometry, county.geometry))
+    }));
 
-    // Check for any advisories
-    if (alerts.length > 0) return 'LOW';
+    const riskIndex = risk => OUTLOOK_RISK_LEVELS.indexOf(risk.categorical);
+    const countiesAtRisk = countyRisks
+      .filter(county => county.categorical !== 'NONE')
+      .sort((a, b) => riskIndex(b) - riskIndex(a) || (b.tornadoProbability || 0) - (a.tornadoProbability || 0));
 
-    return 'NONE';
+    return {
+      stateCode,
+      day,
+      highestRisk: countiesAtRisk[0]?.categorical || 'NONE',
+      maxTornadoProbability: Math.max(0, ...countyRisks.map(county => county.tornadoProbability || 0)),
+      significantTornado: countyRisks.some(county => county.significantTornado),
+      counties: countyRisks,
+      countiesAtRisk
+    };
   }
 
   /**
@@ -815,7 +2988,7 @@ class WeatherDataService {
    */
   async checkTornadoDanger(lat, lon) {
     try {
-      const alerts = await this.nws.getTornadoAlerts(lat, lon);
+      const alerts = getActiveEventAlerts(await this.nws.getTornadoAlerts(lat, lon));
       return {
         hasDanger: alerts.length > 0,
         alerts,
@@ -827,12 +3000,123 @@ class WeatherDataService {
     }
   }
 
+  /**
+   * Picks the shelter to head for during a tornado warning
+   *
+   * Uses the storm motion in active tornado warnings to drop shelters
+   * that mean driving toward the storm, or that the storm will reach
+   * before the user can get there. Without a warning (or without storm
+   * motion) every shelter is considered safe and the closest wins.
+   * Safe shelters outside the projected path are preferred.
+   * 
+   * If NWS is unreachable the closest shelter is still recommended,
+   * with `alertsError` set; if FEMA is, registry shelters are used.
+   *
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} options
+   * @param {number} options.radiusMiles - Shelter search radius (default 25)
+   * @param {number} options.safetyMarginMinutes - Extra time needed to get inside (default 5)
+   * @param {Date} options.now - Current time (for testing)
+   * @returns {Promise<Object>} { recommended, shelters, excluded, storm, alertsError }
+   */
+  async recommendShelter(lat, lon, options = {}) {
+    const {
+      radiusMiles = 25,
+      safetyMarginMinutes = 5,
+      now = new Date()
+    } = options;
+
+    // A failed source must not leave the user without a shelter
+    const [alertsResult, sheltersResult] = await Promise.allSettled([
+      this.nws.getTornadoAlerts(lat, lon),
+      this.fema.getNearbyShelters(lat, lon, radiusMiles)
+    ]);
+
+    const alerts = alertsResult.status === 'fulfilled' ? alertsResult.value : [];
+    if (alertsResult.status === 'rejected') {
+      console.warn('NWS unavailable, recommending the closest shelter:', alertsResult.reason.message);
+    }
+
+    const shelters = sheltersResult.status === 'fulfilled'
+      ? sheltersResult.value
+      : this.shelterRegistry.getNearby(lat, lon, radiusMiles);
+    if (sheltersResult.status === 'rejected') {
+      console.warn('FEMA unavailable, using local shelter registry only:', sheltersResult.reason.message);
+    }
+
+    // Cancelled and expired warnings have no storm to avoid
+    const motions = getActiveEventAlerts(alerts)
+      .filter(a => a.event === 'Tornado Warning' && a.stormMotion)
+      .map(a => a.stormMotion);
+
+    // The storm that reaches the user first (or passes closest)
+    const storms = motions
+      .map(motion => ({ motion, arrival: estimateStormArrival(motion, lat, lon, now) }))
+      .filter(s => s.arrival)
+      .sort((a, b) =>
+        (b.arrival.inPath - a.arrival.inPath) ||
+        ((a.arrival.minutes ?? Infinity) - (b.arrival.minutes ?? Infinity)) ||
+        (a.arrival.offsetFromTrackMiles - b.arrival.offsetFromTrackMiles)
+      );
+
+    const assessed = shelters.map(shelter => {
+      const travelMinutes = shelter.etaMinutesDriving ?? shelter.etaMinutesWalking ??
+        Math.round(shelter.distanceMiles / 25 * 60);
+
+      let safe = !shelter.isFull;
+      let reason = shelter.isFull ? 'Shelter is full' : null;
+      let stormArrivalMinutes = null;
+
+      for (const { motion } of storms) {
+        const arrival = estimateStormArrival(motion, shelter.latitude, shelter.longitude, now);
+        if (arrival?.inPath) {
+          stormArrivalMinutes = Math.min(stormArrivalMinutes ?? Infinity, arrival.minutes);
+          if (arrival.minutes <= travelMinutes + safetyMarginMinutes) {
+            safe = false;
+            reason = `Storm reaches this shelter in about ${arrival.minutes} min, before you can get there`;
+            break;
+          }
+        }
+        if (isHeadingTowardStorm(motion, lat, lon, shelter.latitude, shelter.longitude, now)) {
+          safe = false;
+          reason = 'Route heads toward the storm';
+          break;
+        }
+      }
+
+      return { ...shelter, safe, reason, stormArrivalMinutes, travelMinutes };
+    });
+
+    // Shelters out of the storm's path first, then travel-time/distance order
+    const safeShelters = assessed
+      .filter(s => s.safe)
+      .sort((a, b) => (a.stormArrivalMinutes !== null) - (b.stormArrivalMinutes !== null));
+    const [nearest] = storms;
+
+    return {
+      recommended: safeShelters[0] || null,
+      shelters: safeShelters,
+      excluded: assessed.filter(s => !s.safe),
+      storm: nearest ? {
+        motion: nearest.motion,
+        arrivalMinutesAtUser: nearest.arrival.minutes,
+        inPath: nearest.arrival.inPath,
+        distanceMiles: Math.round(
+          calculateDistanceMiles(lat, lon, nearest.arrival.stormPosition.latitude, nearest.arrival.stormPosition.longitude) * 10
+        ) / 10
+      } : null,
+      // Set when NWS failed - storm motion was not checked
+      alertsError: alertsResult.status === 'rejected' ? alertsResult.reason.message : null
+    };
+  }
+
   /**
    * Clears all cached data
    * Call this when user location changes significantly
    */
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
   }
 
   /**
@@ -840,6 +3124,11 @@ class WeatherDataService {
    */
   get nwsService() { return this.nws; }
   get spcService() { return this.spc; }
+  get spcOutlookService() { return this.outlook; }
+  get mcdService() { return this.mcd; }
+  get watchService() { return this.watches; }
+  get openMeteoService() { return this.openMeteo; }
+  get gridForecastService() { return this.grid; }
   get femaService() { return this.fema; }
 }
 
@@ -850,10 +3139,31 @@ class WeatherDataService {
 // ES6 Module exports
 export { 
   WeatherDataService,
+  SimpleCache,
   NWSAlertsService,
+  SPCOutlookService,
+  MCDService,
+  WatchService,
+  OpenMeteoService,
+  GridForecastService,
   SPCStormReportsService,
   FEMASheltersService,
-  CONFIG
+  SPC_OUTLOOK_LAYERS,
+  OUTLOOK_RISK_LEVELS,
+  TORNADO_PROBABILITY_LEVELS,
+  summarizeOutlookRisk,
+  buildTornadoMetrics,
+  openMeteoEnvironment,
+  parseOpenMeteoTime,
+  buildGridForecast,
+  expandGridProperty,
+  gridForecastInputs,
+  maxInWindow,
+  parseISODuration,
+  parseValidTime,
+  MCD_WATCH_LIKELY_PROBABILITY,
+  CONFIG,
+  fetchWithTimeout
 };
 
 // Default export for convenience
@@ -863,9 +3173,30 @@ export default WeatherDataService;
 /*
 module.exports = {
   WeatherDataService,
+  SimpleCache,
   NWSAlertsService,
+  SPCOutlookService,
+  MCDService,
+  WatchService,
+  OpenMeteoService,
+  GridForecastService,
   SPCStormReportsService,
   FEMASheltersService,
-  CONFIG
+  SPC_OUTLOOK_LAYERS,
+  OUTLOOK_RISK_LEVELS,
+  TORNADO_PROBABILITY_LEVELS,
+  summarizeOutlookRisk,
+  buildTornadoMetrics,
+  openMeteoEnvironment,
+  parseOpenMeteoTime,
+  buildGridForecast,
+  expandGridProperty,
+  gridForecastInputs,
+  maxInWindow,
+  parseISODuration,
+  parseValidTime,
+  MCD_WATCH_LIKELY_PROBABILITY,
+  CONFIG,
+  fetchWithTimeout
 };
 */
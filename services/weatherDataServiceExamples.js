@@ -5,7 +5,10 @@
  * into your Tornado Shelter Alert App.
  */
 
-import { WeatherDataService } from './weatherDataService';
+import { WeatherDataService } from './weatherDataService.js';
+import { WeatherMonitor } from './weatherMonitor.js';
+import { NotificationService, MockTransport } from './notificationService.js';
+import { getConvectiveDay, shiftConvectiveDay } from './stormReportParser.js';
 
 // ==========================================
 // BASIC SETUP
@@ -196,6 +199,10 @@ async function individualServiceExamples(lat, lon) {
     hail: allReports.hail.length
   });
 
+  // Get yesterday's reports (SPC convective day, 12Z-12Z)
+  const yesterdaysReports = await spc.getReportsForDate(shiftConvectiveDay(getConvectiveDay(), -1));
+  console.log('Tornado Reports Yesterday:', yesterdaysReports.tornado.length);
+
   // Get open shelters in Oklahoma
   const okShelters = await fema.getOpenShelters('OK');
   console.log('OK Open Shelters:', okShelters.length);
@@ -211,6 +218,7 @@ async function individualServiceExamples(lat, lon) {
 
 function getThreatLevelColor(threatLevel) {
   const colors = {
+    'EMERGENCY': '#FF00FF', // Magenta (NWS Tornado Emergency color)
     'EXTREME': '#8B0000',  // Dark red
     'HIGH': '#FF0000',     // Red
     'ELEVATED': '#FFA500', // Orange
@@ -223,6 +231,7 @@ function getThreatLevelColor(threatLevel) {
 
 function getThreatLevelMessage(threatLevel) {
   const messages = {
+    'EMERGENCY': 'TORNADO EMERGENCY - Take cover NOW!',
     'EXTREME': 'TORNADO WARNING - Seek shelter immediately!',
     'HIGH': 'High tornado risk - Be ready to shelter',
     'ELEVATED': 'Severe weather possible - Stay alert',
@@ -299,6 +308,35 @@ async function getCombinedWeatherData(lat, lon, openWeatherData) {
   };
 }
 
+// ==========================================
+// EXAMPLE 8: Background Monitoring + Notifications
+// Replaces hand-rolled setInterval polling
+// ==========================================
+
+function startTornadoMonitoring(latitude, longitude, recipient) {
+  const monitor = new WeatherMonitor(weatherService, { latitude, longitude });
+  // MockTransport only records sends - use ExpoPushTransport / FCMTransport in the app
+  const notifier = new NotificationService({ transports: [new MockTransport()] });
+
+  monitor.on('alert:new', async () => {
+    const { alerts } = monitor.getState();
+    await notifier.notify(recipient, { alerts });
+  });
+
+  monitor.on('threat:changed', ({ previous, current }) => {
+    console.log(`Threat level: ${previous} → ${current}`);
+  });
+
+  monitor.on('error', ({ source, error }) => {
+    console.warn(`Monitor poll failed (${source}):`, error.message);
+  });
+
+  monitor.start();
+
+  // Call the returned function to stop monitoring
+  return () => monitor.stop();
+}
+
 // ==========================================
 // EXPORTS
 // ==========================================
@@ -311,5 +349,6 @@ export {
   getThreatLevelColor,
   getThreatLevelMessage,
   robustWeatherFetch,
-  getCombinedWeatherData
+  getCombinedWeatherData,
+  startTornadoMonitoring
 };
@@ -0,0 +1,372 @@
+/**
+ * Weather Monitor for Tornado Shelter App
+ * Long-running polling daemon with adaptive intervals
+ *
+ * Polls each data source on its own interval and tightens the
+ * intervals automatically when the threat level rises to ELEVATED
+ * or above. Intervals relax again once the threat returns to NONE.
+ *
+ * Events:
+ * - 'alert:new'       (alert)                    New NWS alert for the location
+ * - 'alert:updated'   ({ alert, previous, message })  Alert extended / upgraded
+ * - 'alert:cancelled' ({ alert, message })       Alert cancelled by NWS
+ * - 'alert:expired'   (alert)                    Alert no longer active
+ * - 'threat:changed'  ({ previous, current })     Threat level changed
+ * - 'mode:changed'    ({ previous, current })     Polling switched normal <-> active
+ * - 'reports:updated' (nearbyReports)            SPC storm reports refreshed
+ * - 'shelters:updated'(nearbyShelters)           FEMA shelters refreshed
+ * - 'mcd:new'         (mcd)                      SPC mesoscale discussion now covers the location
+ * - 'mcd:probabilityRaised' ({ mcd, previous, current })  Watch probability raised
+ * - 'error'           ({ source, error })        A poll failed
+ *
+ * Usage:
+ *   import { WeatherDataService } from './services/weatherDataService';
+ *   import { WeatherMonitor } from './services/weatherMonitor';
+ *
+ *   const monitor = new WeatherMonitor(new WeatherDataService(), {
+ *     latitude: 35.4676,
+ *     longitude: -97.5164
+ *   });
+ *   monitor.on('alert:new', alert => console.log(alert.headline));
+ *   monitor.on('threat:changed', ({ current }) => console.log(current));
+ *   monitor.start();
+ */
+
+import { AlertStore } from './alertStore.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// Polling intervals in milliseconds
+// Active intervals match the service cache durations so each poll
+// returns fresh data instead of a cached copy
+const MONITOR_INTERVALS = {
+  alerts: {
+    normal: 5 * 60 * 1000,        // 5 minutes
+    active: 2 * 60 * 1000         // 2 minutes ("every 1-2 minutes" during danger)
+  },
+  stormReports: {
+    normal: 30 * 60 * 1000,       // 30 minutes
+    active: 10 * 60 * 1000        // 10 minutes
+  },
+  shelters: {
+    normal: 30 * 60 * 1000,       // 30 minutes
+    active: 5 * 60 * 1000         // 5 minutes
+  },
+  mcds: {
+    normal: 10 * 60 * 1000,       // 10 minutes
+    active: 5 * 60 * 1000         // 5 minutes
+  }
+};
+
+// Threat levels from calculateThreatLevel, lowest to highest
+// EMERGENCY: inside a Tornado Emergency or a warning for an observed tornado
+const THREAT_LEVELS = ['NONE', 'LOW', 'MODERATE', 'ELEVATED', 'HIGH', 'EXTREME', 'EMERGENCY'];
+
+// Threat level at which polling switches to active intervals
+const ACTIVE_THREAT_LEVEL = 'ELEVATED';
+
+// ==========================================
+// WEATHER MONITOR
+// ==========================================
+
+class WeatherMonitor {
+  /**
+   * @param {WeatherDataService} weatherService - Shared service instance
+   * @param {Object} options
+   * @param {number} options.latitude - Latitude to monitor
+   * @param {number} options.longitude - Longitude to monitor
+   * @param {number} options.shelterRadiusMiles - Shelter search radius (default 50)
+   * @param {number} options.reportRadiusMiles - Storm report radius (default 100)
+   * @param {Object} options.intervals - Overrides for MONITOR_INTERVALS
+   */
+  constructor(weatherService, options = {}) {
+    this.weatherService = weatherService;
+    this.latitude = options.latitude;
+    this.longitude = options.longitude;
+    this.shelterRadiusMiles = options.shelterRadiusMiles || 50;
+    this.reportRadiusMiles = options.reportRadiusMiles || 100;
+
+    this.intervals = {};
+    for (const [source, defaults] of Object.entries(MONITOR_INTERVALS)) {
+      this.intervals[source] = { ...defaults, ...options.intervals?.[source] };
+    }
+
+    this.listeners = new Map();
+    this.timers = new Map();
+    this.running = false;
+    this.mode = 'normal';
+
+    // Bumped on stop() and setLocation(); results of polls started in
+    // an earlier generation are dropped when they arrive
+    this.generation = 0;
+
+    // Latest known state
+    this.alertStore = new AlertStore();
+    this.nearbyReports = { tornado: [], wind: [], hail: [] };
+    this.nearbyShelters = [];
+    this.coveringMCDs = [];
+    this.threatLevel = 'NONE';
+  }
+
+  // ------------------------------------------
+  // Events
+  // ------------------------------------------
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    for (const listener of this.listeners.get(event) || []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`WeatherMonitor listener for '${event}' failed:`, error);
+      }
+    }
+  }
+
+  // ------------------------------------------
+  // Lifecycle
+  // ------------------------------------------
+
+  /**
+   * Starts polling every source immediately
+   */
+  start() {
+    if (this.running) return;
+    if (typeof this.latitude !== 'number' || typeof this.longitude !== 'number') {
+      throw new Error('WeatherMonitor requires latitude and longitude');
+    }
+
+    this.running = true;
+    for (const source of Object.keys(this.intervals)) {
+      this.poll(source);
+    }
+  }
+
+  /**
+   * Stops all polling
+   */
+  stop() {
+    this.running = false;
+    this.generation++;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Moves the monitored location and re-polls everything
+   * Call this when the user's location changes significantly
+   *
+   * The threat level drops to NONE (with 'threat:changed') until the
+   * new location's polls come in.
+   */
+  setLocation(latitude, longitude) {
+    const wasRunning = this.running;
+    this.stop();
+
+    // MCD tracking is kept per location; drop the old location's
+    if (typeof this.latitude === 'number') {
+      this.weatherService.mcd.resetTracking(this.latitude, this.longitude);
+    }
+    this.latitude = latitude;
+    this.longitude = longitude;
+    this.alertStore.clear();
+    this.nearbyReports = { tornado: [], wind: [], hail: [] };
+    this.nearbyShelters = [];
+    this.coveringMCDs = [];
+    this.weatherService.mcd.resetTracking(latitude, longitude);
+    this.setThreatLevel('NONE');
+
+    if (wasRunning) {
+      this.start();
+    }
+  }
+
+  /**
+   * Current polling interval for a source
+   */
+  getInterval(source) {
+    return this.intervals[source][this.mode];
+  }
+
+  // ------------------------------------------
+  // Polling
+  // ------------------------------------------
+
+  async poll(source) {
+    this.timers.delete(source);
+    const generation = this.generation;
+
+    try {
+      switch (source) {
+        case 'alerts':
+          await this.pollAlerts(generation);
+          break;
+        case 'stormReports':
+          await this.pollStormReports(generation);
+          break;
+        case 'shelters':
+          await this.pollShelters(generation);
+          break;
+        case 'mcds':
+          await this.pollMCDs(generation);
+          break;
+      }
+    } catch (error) {
+      if (this.isCurrent(generation)) this.emit('error', { source, error });
+    }
+
+    // A newer generation schedules its own polls
+    if (this.isCurrent(generation)) this.schedule(source);
+  }
+
+  /**
+   * Whether a poll started in this generation may still update state
+   */
+  isCurrent(generation) {
+    return generation === this.generation;
+  }
+
+  schedule(source) {
+    if (!this.running || this.timers.has(source)) return;
+    this.timers.set(source, setTimeout(() => this.poll(source), this.getInterval(source)));
+  }
+
+  async pollAlerts(generation = this.generation) {
+    const alerts = await this.weatherService.nws.getActiveAlerts(this.latitude, this.longitude);
+    if (!this.isCurrent(generation)) return;
+
+    const diff = this.alertStore.update(alerts);
+
+    diff.new.forEach(alert => this.emit('alert:new', alert));
+    diff.updated.forEach(change => this.emit('alert:updated', change));
+    diff.cancelled.forEach(change => this.emit('alert:cancelled', change));
+    diff.expired.forEach(({ alert }) => this.emit('alert:expired', alert));
+
+    this.updateThreatLevel();
+  }
+
+  async pollStormReports(generation = this.generation) {
+    const nearbyReports = await this.weatherService.spc.getNearbyReports(
+      this.latitude, this.longitude, this.reportRadiusMiles
+    );
+    if (!this.isCurrent(generation)) return;
+
+    this.nearbyReports = nearbyReports;
+    this.emit('reports:updated', this.nearbyReports);
+    this.updateThreatLevel();
+  }
+
+  async pollShelters(generation = this.generation) {
+    const nearbyShelters = await this.weatherService.fema.getNearbyShelters(
+      this.latitude, this.longitude, this.shelterRadiusMiles
+    );
+    if (!this.isCurrent(generation)) return;
+
+    this.nearbyShelters = nearbyShelters;
+    this.emit('shelters:updated', this.nearbyShelters);
+  }
+
+  async pollMCDs(generation = this.generation) {
+    const diff = await this.weatherService.mcd.poll(this.latitude, this.longitude);
+    if (!this.isCurrent(generation)) return;
+
+    this.coveringMCDs = diff.covering;
+
+    diff.new.forEach(mcd => this.emit('mcd:new', mcd));
+    diff.probabilityRaised.forEach(change => this.emit('mcd:probabilityRaised', change));
+
+    this.updateThreatLevel();
+  }
+
+  // ------------------------------------------
+  // Threat tracking
+  // ------------------------------------------
+
+  updateThreatLevel() {
+    this.setThreatLevel(this.weatherService.calculateThreatLevel(
+      this.alertStore.getActive(),
+      this.nearbyReports,
+      this.coveringMCDs
+    ));
+  }
+
+  setThreatLevel(current) {
+    const previous = this.threatLevel;
+    if (current === previous) return;
+
+    this.threatLevel = current;
+    this.emit('threat:changed', { previous, current });
+    this.updateMode();
+  }
+
+  /**
+   * Tightens intervals at ELEVATED or above, relaxes them at NONE
+   * Levels in between keep the current mode to avoid flip-flopping
+   */
+  updateMode() {
+    const level = THREAT_LEVELS.indexOf(this.threatLevel);
+    let mode = this.mode;
+
+    if (level >= THREAT_LEVELS.indexOf(ACTIVE_THREAT_LEVEL)) {
+      mode = 'active';
+    } else if (this.threatLevel === 'NONE') {
+      mode = 'normal';
+    }
+
+    if (mode === this.mode) return;
+
+    const previous = this.mode;
+    this.mode = mode;
+    this.emit('mode:changed', { previous, current: mode });
+
+    // Re-schedule pending polls so the new intervals apply right away
+    for (const source of [...this.timers.keys()]) {
+      clearTimeout(this.timers.get(source));
+      this.timers.delete(source);
+      this.schedule(source);
+    }
+  }
+
+  /**
+   * Snapshot of the latest monitored state
+   */
+  getState() {
+    return {
+      location: { latitude: this.latitude, longitude: this.longitude },
+      running: this.running,
+      mode: this.mode,
+      threatLevel: this.threatLevel,
+      alerts: this.alertStore.getActive(),
+      nearbyReports: this.nearbyReports,
+      nearbyShelters: this.nearbyShelters,
+      mesoscaleDiscussions: this.coveringMCDs
+    };
+  }
+}
+
+// ==========================================
+// EXPORTS
+// ==========================================
+
+export {
+  WeatherMonitor,
+  MONITOR_INTERVALS,
+  THREAT_LEVELS
+};
+
+export default WeatherMonitor;
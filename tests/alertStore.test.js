@@ -0,0 +1,114 @@
+/**
+ * AlertStore lifecycle: new, updated, cancelled and expired alerts
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertStore } from '../services/alertStore.js';
+import { parseVTECList, getPrimaryVTEC } from '../services/vtec.js';
+
+// Mapped NWS alert, as NWSAlertsService.getActiveAlerts() builds it
+function warning(id, vtecString, sent, ends, extra = {}) {
+  const vtec = parseVTECList([vtecString]);
+  return {
+    id,
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    severity: 'Extreme',
+    areaDesc: 'Canadian, OK; Oklahoma, OK',
+    sent: new Date(sent),
+    expires: new Date(ends),
+    ends: new Date(ends),
+    references: [],
+    vtec,
+    eventKey: getPrimaryVTEC(vtec).eventKey,
+    ...extra
+  };
+}
+
+const ISSUED = warning('w1', '/O.NEW.KOUN.TO.W.0012.260506T2200Z-260506T2245Z/',
+  '2026-05-06T22:00:00Z', '2026-05-06T22:45:00Z');
+const EXTENDED = warning('w2', '/O.EXT.KOUN.TO.W.0012.000000T0000Z-260506T2315Z/',
+  '2026-05-06T22:30:00Z', '2026-05-06T23:15:00Z', { messageType: 'Update', references: ['w1'] });
+const CANCELLED = warning('w3', '/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/',
+  '2026-05-06T22:20:00Z', '2026-05-06T22:45:00Z', { messageType: 'Cancel', references: ['w1'] });
+
+const at = time => new Date(`2026-05-06T${time}:00Z`);
+
+test('reports a new alert once', () => {
+  const store = new AlertStore();
+
+  assert.deepEqual(store.update([ISSUED], at('22:05')).new, [ISSUED]);
+  const again = store.update([ISSUED], at('22:10'));
+  assert.equal(again.new.length, 0);
+  assert.deepEqual(again.active, [ISSUED]);
+});
+
+test('an extension Update replaces the alert it references', () => {
+  const store = new AlertStore();
+  store.update([ISSUED], at('22:05'));
+
+  const diff = store.update([ISSUED, EXTENDED], at('22:31'));
+  assert.equal(diff.new.length, 0);
+  assert.equal(diff.expired.length, 0);
+  assert.equal(diff.updated.length, 1);
+
+  const [change] = diff.updated;
+  assert.equal(change.previous, ISSUED);
+  assert.equal(change.alert.id, 'w2');
+  assert.deepEqual(change.alert.previousIds, ['w1']);
+  assert.deepEqual(change.changes.endTime, { from: ISSUED.ends, to: EXTENDED.ends });
+  assert.match(change.message, /^Tornado Warning extended until /);
+  assert.deepEqual(store.getActive().map(alert => alert.id), ['w2']);
+
+  // The original warning is still in the feed, but it is not active again,
+  // and it does not expire the extension when its own end time passes
+  const later = store.update([ISSUED, EXTENDED], at('22:50'));
+  assert.equal(later.new.length + later.expired.length, 0);
+  assert.deepEqual(later.active.map(alert => alert.id), ['w2']);
+});
+
+test('a Cancel for an alert no longer in the feed cancels it', () => {
+  const store = new AlertStore();
+  store.update([ISSUED], at('22:05'));
+
+  // Only the cancellation is listed now
+  const diff = store.update([CANCELLED], at('22:21'));
+  assert.equal(diff.expired.length, 0);
+  assert.equal(diff.cancelled.length, 1);
+  assert.equal(diff.cancelled[0].alert, ISSUED);
+  assert.equal(diff.cancelled[0].cancelledBy, CANCELLED);
+  assert.equal(diff.cancelled[0].message, 'Tornado Warning cancelled');
+  assert.deepEqual(diff.active, []);
+
+  // The original warning showing up again does not bring it back
+  const again = store.update([ISSUED, CANCELLED], at('22:25'));
+  assert.equal(again.new.length, 0);
+  assert.deepEqual(again.active, []);
+});
+
+test('a Cancel for an alert never seen keeps it from showing up later', () => {
+  const store = new AlertStore();
+
+  const diff = store.update([CANCELLED], at('22:21'));
+  assert.equal(diff.cancelled.length, 0);
+  assert.equal(diff.new.length, 0);
+
+  assert.equal(store.update([ISSUED, CANCELLED], at('22:25')).new.length, 0);
+});
+
+test('an alert expires at its end time or when it leaves the feed', () => {
+  const store = new AlertStore();
+  store.update([ISSUED], at('22:05'));
+
+  const ended = store.update([ISSUED], at('22:45'));
+  assert.deepEqual(ended.expired, [{ alert: ISSUED, message: 'Tornado Warning expired' }]);
+  assert.deepEqual(ended.active, []);
+
+  // Already over when first seen
+  assert.equal(new AlertStore().update([ISSUED], at('22:50')).new.length, 0);
+
+  const dropped = new AlertStore();
+  dropped.update([ISSUED], at('22:05'));
+  assert.equal(dropped.update([], at('22:10')).expired[0].alert, ISSUED);
+});
@@ -0,0 +1,96 @@
+/**
+ * SimpleCache eviction and FileCache storage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SimpleCache } from '../services/weatherDataService.js';
+import { FileCache } from '../services/cacheBackends.js';
+
+const MINUTE = 60 * 1000;
+
+async function tempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-cache-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test('SimpleCache keeps at most maxEntries, dropping the oldest writes', () => {
+  const cache = new SimpleCache({ maxEntries: 2 });
+  cache.set('a', 1, MINUTE);
+  cache.set('b', 2, MINUTE);
+  cache.set('c', 3, MINUTE);
+
+  assert.equal(cache.get('a'), null);
+  assert.equal(cache.get('c'), 3);
+
+  // Rewriting b makes c the oldest write
+  cache.set('b', 20, MINUTE);
+  cache.set('d', 4, MINUTE);
+  assert.deepEqual([...cache.cache.keys()], ['b', 'd']);
+});
+
+test('SimpleCache evicts entries past maxStaleMs before fresher ones', () => {
+  const cache = new SimpleCache({ maxEntries: 2, maxStaleMs: MINUTE });
+  cache.set('gone', 0, -2 * MINUTE);
+  cache.set('a', 1, MINUTE);
+  cache.set('b', 2, MINUTE);
+
+  assert.deepEqual([...cache.cache.keys()], ['a', 'b']);
+});
+
+test('SimpleCache serves expired data only through getStale', () => {
+  const cache = new SimpleCache({ maxStaleMs: 10 * MINUTE });
+  cache.set('stale', { level: 'HIGH' }, -MINUTE);
+  cache.set('evictable', { level: 'LOW' }, -11 * MINUTE);
+
+  assert.equal(cache.get('stale'), null);
+  const stale = cache.getStale('stale');
+  assert.deepEqual(stale.data, { level: 'HIGH' });
+  assert.equal(stale.isStale, true);
+
+  assert.equal(cache.getStale('evictable'), null);
+  assert.equal(cache.cache.has('evictable'), false);
+});
+
+test('FileCache round-trips Dates', async (t) => {
+  const cache = new FileCache(await tempDirectory(t));
+  const expires = new Date('2026-05-06T22:45:00Z');
+  await cache.set('nws_alerts_35.4676_-97.5164', { alerts: [{ id: 'w1', expires, vtec: [{ end: expires }] }] }, MINUTE);
+
+  const data = await cache.get('nws_alerts_35.4676_-97.5164');
+  assert.ok(data.alerts[0].expires instanceof Date);
+  assert.equal(data.alerts[0].expires.getTime(), expires.getTime());
+  assert.equal(data.alerts[0].vtec[0].end.getTime(), expires.getTime());
+
+  const stale = await cache.getStale('nws_alerts_35.4676_-97.5164');
+  assert.ok(stale.data.alerts[0].expires instanceof Date);
+  assert.equal(stale.isStale, false);
+});
+
+test('FileCache writes concurrent sets whole and leaves no temp files', async (t) => {
+  const directory = await tempDirectory(t);
+  const cache = new FileCache(directory);
+
+  await Promise.all([1, 2, 3, 4, 5].map(n => cache.set('spc_reports', { n }, MINUTE)));
+
+  assert.deepEqual(await fs.readdir(directory), ['spc_reports.json']);
+  assert.ok([1, 2, 3, 4, 5].includes((await cache.get('spc_reports')).n));
+});
+
+test('FileCache.clear() removes only its own files', async (t) => {
+  const directory = await tempDirectory(t);
+  const cache = new FileCache(directory);
+  await cache.set('a', 1, MINUTE);
+  await fs.writeFile(path.join(directory, 'a.json.123.1.tmp'), '{');
+  await fs.writeFile(path.join(directory, 'settings.json'), '{"theme":"dark"}');
+  await fs.writeFile(path.join(directory, 'notes.txt'), 'keep');
+
+  await cache.clear();
+
+  assert.deepEqual((await fs.readdir(directory)).sort(), ['notes.txt', 'settings.json']);
+  assert.equal(await cache.get('a'), null);
+});
@@ -0,0 +1,99 @@
+/**
+ * NWS gridpoint validTime intervals expanded into hourly series
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseISODuration,
+  parseValidTime,
+  expandGridProperty,
+  maxInWindow
+} from '../services/weatherDataService.js';
+
+const HOUR = 60 * 60 * 1000;
+const hours = series => series.values.map(entry => entry.time.toISOString().slice(11, 16));
+
+test('parses ISO 8601 durations', () => {
+  assert.equal(parseISODuration('PT1H'), HOUR);
+  assert.equal(parseISODuration('PT3H'), 3 * HOUR);
+  assert.equal(parseISODuration('P1D'), 24 * HOUR);
+  assert.equal(parseISODuration('P1DT6H'), 30 * HOUR);
+  assert.equal(parseISODuration('P1W'), 7 * 24 * HOUR);
+  assert.equal(parseISODuration('PT1H30M'), 1.5 * HOUR);
+
+  for (const invalid of ['P', 'PT', '3H', 'P1DT', 'PT-1H', '']) {
+    assert.throws(() => parseISODuration(invalid), /Invalid ISO 8601 duration/);
+  }
+});
+
+test('parses every validTime interval form', () => {
+  const expected = { start: new Date('2026-03-01T06:00:00Z'), end: new Date('2026-03-02T12:00:00Z') };
+
+  assert.deepEqual(parseValidTime('2026-03-01T06:00:00+00:00/P1DT6H'), expected);
+  assert.deepEqual(parseValidTime('2026-03-01T00:00:00-06:00/P1DT6H'), expected);
+  assert.deepEqual(parseValidTime('2026-03-01T06:00:00Z/2026-03-02T12:00:00Z'), expected);
+  assert.deepEqual(parseValidTime('P1DT6H/2026-03-02T12:00:00Z'), expected);
+  assert.throws(() => parseValidTime('2026-03-01T06:00:00Z'), /Invalid ISO 8601 interval/);
+});
+
+test('repeats a multi-hour value for every hour it covers', () => {
+  const series = expandGridProperty({
+    uom: 'wmoUnit:km_h-1',
+    values: [
+      { validTime: '2026-03-01T00:00:00+00:00/PT3H', value: 20 },
+      { validTime: '2026-03-01T03:00:00+00:00/PT1H', value: 30 }
+    ]
+  });
+
+  assert.deepEqual(hours(series), ['00:00', '01:00', '02:00', '03:00']);
+  assert.deepEqual(series.values.map(entry => entry.value), [20, 20, 20, 30]);
+  assert.equal(series.unit, 'km/h');
+});
+
+test('expands day-plus-hour durations', () => {
+  const series = expandGridProperty({
+    uom: 'wmoUnit:percent',
+    values: [{ validTime: '2026-03-01T18:00:00+00:00/P1DT6H', value: 0 }]
+  });
+
+  assert.equal(series.values.length, 30);
+  assert.equal(series.values[0].time.toISOString(), '2026-03-01T18:00:00.000Z');
+  assert.equal(series.values.at(-1).time.toISOString(), '2026-03-02T23:00:00.000Z');
+});
+
+test('leaves gaps between intervals empty', () => {
+  const series = expandGridProperty({
+    uom: 'wmoUnit:km_h-1',
+    values: [
+      { validTime: '2026-03-01T00:00:00+00:00/PT2H', value: 20 },
+      // No data 02:00-05:00
+      { validTime: '2026-03-01T05:00:00+00:00/PT2H', value: 40 }
+    ]
+  });
+
+  assert.deepEqual(hours(series), ['00:00', '01:00', '05:00', '06:00']);
+
+  // The two hours from 02:30 fall in the gap
+  assert.equal(maxInWindow(series, { now: new Date('2026-03-01T02:30:00Z'), hours: 2 }), null);
+  const max = maxInWindow(series, { now: new Date('2026-03-01T01:30:00Z'), hours: 4 });
+  assert.equal(max.value, 40);
+  assert.equal(max.time.toISOString(), '2026-03-01T05:00:00.000Z');
+});
+
+test('clips intervals to the requested window and converts units', () => {
+  const series = expandGridProperty({
+    uom: 'wmoUnit:km_h-1',
+    values: [{ validTime: '2026-03-01T00:00:00+00:00/PT6H', value: 100 }]
+  }, {
+    // The hour containing 02:30 counts
+    from: new Date('2026-03-01T02:30:00Z'),
+    to: new Date('2026-03-01T05:00:00Z'),
+    units: 'imperial'
+  });
+
+  assert.deepEqual(hours(series), ['02:00', '03:00', '04:00']);
+  assert.equal(series.unit, 'mph');
+  assert.equal(series.uom, 'wmoUnit:km_h-1');
+  assert.equal(series.values[0].value, 62.14);
+});
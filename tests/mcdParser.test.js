@@ -0,0 +1,68 @@
+/**
+ * mcdParser tests against the SPC MCD samples in sample_api_responses/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseMCD, isPointInMCD, isMCDActive } from '../services/mcdParser.js';
+
+const readSample = name => fs.readFileSync(new URL(`../sample_api_responses/${name}`, import.meta.url), 'utf8');
+
+test('parses MCD 0124 (South Florida, CST issuance)', () => {
+  const mcd = parseMCD(readSample('spc_mcd_0124.txt'));
+
+  assert.equal(mcd.number, '0124');
+  assert.equal(mcd.issued.toISOString(), '2026-03-01T17:39:00.000Z');
+  assert.equal(mcd.validFrom.toISOString(), '2026-03-01T17:39:00.000Z');
+  assert.equal(mcd.validUntil.toISOString(), '2026-03-01T19:45:00.000Z');
+  assert.equal(mcd.areasAffected, 'South Florida');
+  assert.deepEqual(mcd.states, ['FL']);
+  assert.equal(mcd.watchProbability, 20);
+  assert.deepEqual(mcd.forecasters, ['Wendt', 'Smith']);
+  assert.deepEqual(mcd.attnWFOs, ['MFL', 'KEY']);
+  assert.equal(mcd.peakWindGust, 'UP TO 60 MPH');
+  assert.equal(mcd.peakHailSize, 'UP TO 1.25 IN');
+  assert.equal(mcd.peakTornadoIntensity, null);
+  assert.equal(mcd.mentionsTornado, false);
+  assert.match(mcd.discussion, /^Convection continues/);
+  assert.doesNotMatch(mcd.discussion, /Wendt/);
+
+  const ring = mcd.polygon.coordinates[0];
+  assert.equal(ring.length, 9);
+  assert.deepEqual(ring[0], [-80.29, 25.2]);
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+});
+
+test('parses the synthetic Oklahoma MCD (00Z month rollover, west of 100W)', () => {
+  const mcd = parseMCD(readSample('spc_mcd_synthetic_oklahoma.txt'));
+
+  assert.equal(mcd.number, '0612');
+  assert.equal(mcd.issued.toISOString(), '2026-04-30T23:25:00.000Z');
+  assert.equal(mcd.validFrom.toISOString(), '2026-04-30T23:25:00.000Z');
+  assert.equal(mcd.validUntil.toISOString(), '2026-05-01T01:30:00.000Z');
+  assert.deepEqual(mcd.states, ['OK']);
+  assert.equal(mcd.watchProbability, 80);
+  assert.equal(mcd.peakTornadoIntensity, '95-130 MPH');
+  assert.equal(mcd.mentionsTornado, true);
+
+  // "36500250" is 36.50N 102.50W; "36709750" is 36.70N 97.50W
+  const ring = mcd.polygon.coordinates[0];
+  assert.deepEqual(ring[0], [-102.5, 36.5]);
+  assert.deepEqual(ring[2], [-97.5, 36.7]);
+});
+
+test('point and time checks use the parsed polygon and valid times', () => {
+  const florida = parseMCD(readSample('spc_mcd_0124.txt'));
+  const oklahoma = parseMCD(readSample('spc_mcd_synthetic_oklahoma.txt'));
+
+  // Oklahoma City
+  assert.equal(isPointInMCD(oklahoma, 35.4676, -97.5164), true);
+  assert.equal(isPointInMCD(florida, 35.4676, -97.5164), false);
+  // Guymon, in the panhandle west of 100W
+  assert.equal(isPointInMCD(oklahoma, 36.6828, -101.4816), true);
+
+  assert.equal(isMCDActive(oklahoma, new Date('2026-05-01T00:30:00Z')), true);
+  assert.equal(isMCDActive(oklahoma, new Date('2026-05-01T01:31:00Z')), false);
+  assert.equal(isMCDActive(oklahoma, new Date('2026-04-30T23:00:00Z')), false);
+});
@@ -0,0 +1,61 @@
+/**
+ * NotificationService push delivery
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NotificationService, MockTransport, ExpoPushTransport } from '../services/notificationService.js';
+import { parseVTECList, getPrimaryVTEC } from '../services/vtec.js';
+
+function tornadoWarning(id, vtecString, sent) {
+  const vtec = parseVTECList([vtecString]);
+  return {
+    id,
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    headline: 'Tornado Warning until 5:45 PM CDT',
+    sent: new Date(sent),
+    vtec,
+    eventKey: getPrimaryVTEC(vtec).eventKey
+  };
+}
+
+const ISSUED = tornadoWarning('w1', '/O.NEW.KOUN.TO.W.0012.260506T2200Z-260506T2245Z/', '2026-05-06T22:00:00Z');
+const CONTINUED = tornadoWarning('w2', '/O.CON.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/', '2026-05-06T22:15:00Z');
+
+test('MockTransport records sends without logging', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const transport = new MockTransport();
+  const notifier = new NotificationService({ transports: [transport] });
+  const recipient = { id: 'user-1' };
+
+  const result = await notifier.notify(recipient, { alerts: [ISSUED] });
+  assert.equal(result.pushed.length, 1);
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].recipient, recipient);
+  assert.equal(transport.sent[0].notification.title, result.pushed[0].title);
+  assert.equal(log.mock.callCount(), 0);
+
+  // The follow-up statement is the same warning
+  await notifier.notify(recipient, { alerts: [ISSUED, CONTINUED] });
+  assert.equal(transport.sent.length, 1);
+});
+
+test('reports a push no transport can deliver and retries it', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('{}'));
+  const notifier = new NotificationService({ transports: [new ExpoPushTransport()] });
+
+  // No expoPushToken
+  const result = await notifier.notify({ id: 'user-1' }, { alerts: [ISSUED] });
+  assert.equal(result.pushed.length, 0);
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].transport, null);
+  assert.match(result.errors[0].key, /^tornado_KOUN\.TO\.W\.0012_/);
+  assert.match(result.errors[0].error, /user-1/);
+  assert.equal(fetch.mock.callCount(), 0);
+
+  // Not marked as sent
+  const retry = await notifier.notify({ id: 'user-1' }, { alerts: [ISSUED] });
+  assert.equal(retry.skipped.length, 0);
+  assert.equal(retry.errors.length, 1);
+});
@@ -0,0 +1,48 @@
+/**
+ * ShelterOccupancyService capacity checks and failure handling
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShelterOccupancyService, MemoryOccupancyStore } from '../services/occupancyService.js';
+
+// Registry stand-in with one 4-person safe room
+const registry = { get: id => (id === 'ok-test-001' ? { id, totalCapacity: 4 } : null) };
+
+test('concurrent check-ins cannot overfill a shelter', async () => {
+  const occupancy = new ShelterOccupancyService(new MemoryOccupancyStore(), registry);
+
+  const results = await Promise.allSettled(
+    [1, 2, 3].map(() => occupancy.checkIn('ok-test-001', { partySize: 2 }))
+  );
+
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 2);
+  const [refused] = results.filter(r => r.status === 'rejected');
+  assert.equal(refused.reason.code, 'SHELTER_FULL');
+  assert.equal((await occupancy.getOccupancy('ok-test-001')).currentPopulation, 4);
+});
+
+test('reports room left when a party does not fit', async () => {
+  const occupancy = new ShelterOccupancyService(new MemoryOccupancyStore(), registry);
+  await occupancy.checkIn('ok-test-001', { partySize: 3 });
+
+  await assert.rejects(
+    occupancy.checkIn('ok-test-001', { partySize: 2 }),
+    error => error.code === 'SHELTER_FULL' && error.occupancy.availableCapacity === 1
+  );
+});
+
+test('marks availability unknown when check-ins cannot be read', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const failingStore = { listActive: async () => { throw new Error('database unreachable'); } };
+  const occupancy = new ShelterOccupancyService(failingStore, registry);
+
+  const [shelter] = await occupancy.applyOccupancy([
+    { id: 'ok-test-001', source: 'local', totalCapacity: 4, status: 'OPEN' }
+  ]);
+
+  assert.equal(shelter.currentPopulation, null);
+  assert.equal(shelter.availableCapacity, null);
+  assert.equal(shelter.occupancyUnknown, true);
+  assert.equal(shelter.isFull, false);
+});
@@ -0,0 +1,97 @@
+/**
+ * Open-Meteo tornado metrics: hourly series aligned to the response's
+ * local time, missing values kept missing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTornadoMetrics, openMeteoEnvironment, parseOpenMeteoTime } from '../services/weatherDataService.js';
+
+const CDT = -5 * 3600;
+const CST = -6 * 3600;
+
+// Raw Open-Meteo response: `hours` local times from midnight of `date`,
+// one fixed utc_offset_seconds for the whole series
+function openMeteoResponse(date, utcOffsetSeconds, hours = 48, hourly = {}) {
+  const start = Date.parse(`${date}T00:00:00Z`);
+  const time = Array.from({ length: hours }, (_, i) =>
+    new Date(start + i * 3600 * 1000).toISOString().slice(0, 16)
+  );
+  return {
+    latitude: 35.4676,
+    longitude: -97.5164,
+    timezone: 'America/Chicago',
+    utc_offset_seconds: utcOffsetSeconds,
+    hourly: { time, cape: time.map((_, i) => i * 10), ...hourly },
+    daily: { time: [date] }
+  };
+}
+
+const currentTime = (data, now) => buildTornadoMetrics(data, { now: new Date(now) }).current.time;
+
+test('parses local times with the response offset', () => {
+  assert.equal(parseOpenMeteoTime('2026-05-06T12:00', CDT).toISOString(), '2026-05-06T17:00:00.000Z');
+  // Half-hour offsets (Asia/Kolkata) cross the date line back a day
+  assert.equal(parseOpenMeteoTime('2026-05-06T00:00', 5.5 * 3600).toISOString(), '2026-05-05T18:30:00.000Z');
+  assert.equal(parseOpenMeteoTime('2026-05-06', CDT).toISOString(), '2026-05-06T05:00:00.000Z');
+});
+
+test('finds the current hour in a non-UTC series', () => {
+  const data = openMeteoResponse('2026-05-06', CDT);
+
+  // 17:30Z is 12:30 CDT, not hour 17 of the series
+  const metrics = buildTornadoMetrics(data, { now: new Date('2026-05-06T17:30:00Z') });
+  assert.equal(metrics.current.time, '2026-05-06T12:00');
+  assert.equal(metrics.current.cape, 120);
+  assert.equal(metrics.next24Hours.time[0], '2026-05-06T12:00');
+  assert.equal(metrics.next24Hours.time.length, 24);
+});
+
+test('an hour starts exactly at its boundary', () => {
+  const data = openMeteoResponse('2026-05-06', CDT);
+
+  assert.equal(currentTime(data, '2026-05-06T05:00:00Z'), '2026-05-06T00:00');
+  assert.equal(currentTime(data, '2026-05-06T05:59:59.999Z'), '2026-05-06T00:00');
+  assert.equal(currentTime(data, '2026-05-06T06:00:00Z'), '2026-05-06T01:00');
+  // Before the series and after it
+  assert.equal(currentTime(data, '2026-05-06T04:59:59Z'), '2026-05-06T00:00');
+  assert.equal(currentTime(data, '2026-05-09T00:00:00Z'), '2026-05-07T23:00');
+});
+
+test('stays aligned across a DST change', () => {
+  // Requested before the spring-forward change at 2 AM CST on 8 Mar 2026:
+  // the whole series keeps the CST offset
+  const spring = openMeteoResponse('2026-03-08', CST);
+  assert.equal(currentTime(spring, '2026-03-08T07:30:00Z'), '2026-03-08T01:00');
+  // 09:30Z is 3:30 AM CDT, but 03:00 in the series' CST clock
+  assert.equal(currentTime(spring, '2026-03-08T09:30:00Z'), '2026-03-08T03:00');
+
+  // Requested before the fall-back change at 2 AM CDT on 1 Nov 2026
+  const fall = openMeteoResponse('2026-11-01', CDT);
+  assert.equal(currentTime(fall, '2026-11-01T06:30:00Z'), '2026-11-01T01:00');
+  // 07:30Z is 1:30 AM CST again, 02:00 in the series' CDT clock
+  assert.equal(currentTime(fall, '2026-11-01T07:30:00Z'), '2026-11-01T02:00');
+});
+
+test('a missing CIN is not scored as a weak cap', () => {
+  const now = new Date('2026-05-06T17:30:00Z');
+  const missing = buildTornadoMetrics(openMeteoResponse('2026-05-06', CDT), { now });
+
+  assert.equal(missing.current.convective_inhibition, null);
+  assert.equal(openMeteoEnvironment(missing).cin, null);
+  assert.ok(!missing.tornadoThreatAssessment.factors.some(factor => factor.includes('CAP:')));
+
+  const weakCap = buildTornadoMetrics(openMeteoResponse('2026-05-06', CDT, 48, {
+    convective_inhibition: Array(48).fill(0)
+  }), { now });
+  assert.equal(weakCap.current.convective_inhibition, 0);
+  assert.ok(weakCap.tornadoThreatAssessment.factors.some(factor => factor.startsWith('WEAK CAP')));
+});
+
+test('a missing CAPE stays missing for the current hour', () => {
+  const data = openMeteoResponse('2026-05-06', CDT);
+  delete data.hourly.cape;
+
+  const metrics = buildTornadoMetrics(data, { now: new Date('2026-05-06T17:30:00Z') });
+  assert.equal(metrics.current.cape, null);
+});
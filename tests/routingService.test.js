@@ -0,0 +1,63 @@
+/**
+ * OfflineRouter tests against the synthetic OSM street grid in
+ * sample_api_responses/osm_road_graph_fixture.json
+ *
+ * The grid is 4x4 nodes 0.005 degrees apart: residential streets,
+ * Main Street (secondary, 35 mph) along the north edge, Avenue 2
+ * one-way northbound and Campus Walk a footway.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { OfflineRouter } from '../services/routingService.js';
+
+const osmData = JSON.parse(fs.readFileSync(
+  new URL('../sample_api_responses/osm_road_graph_fixture.json', import.meta.url), 'utf8'
+));
+
+// Grid corners and nodes by OSM id
+const NODE_1000 = { latitude: 36.11, longitude: -97.07 };    // SW corner
+const NODE_1001 = { latitude: 36.11, longitude: -97.065 };   // Avenue 2, south end
+const NODE_1002 = { latitude: 36.11, longitude: -97.06 };    // Campus Walk, south end
+const NODE_1031 = { latitude: 36.125, longitude: -97.065 };  // Avenue 2, north end
+const NODE_1032 = { latitude: 36.125, longitude: -97.06 };   // Campus Walk, north end
+const NODE_1033 = { latitude: 36.125, longitude: -97.055 };  // NE corner
+
+test('finds the shortest walking and driving times across the grid', async () => {
+  const router = new OfflineRouter(osmData);
+  const [corner] = await router.getTravelTimes(NODE_1000, [NODE_1033]);
+
+  // Walking: 6 blocks at 3 mph. Driving: 3 blocks north at 25 mph,
+  // then 3 blocks east on Main Street at 35 mph
+  assert.deepEqual(corner, { walkingMinutes: 37.5, drivingMinutes: 3.9 });
+});
+
+test('walks the footway but drives around it', async () => {
+  const router = new OfflineRouter(osmData);
+  const [campus] = await router.getTravelTimes(NODE_1002, [NODE_1032]);
+
+  assert.equal(campus.walkingMinutes, 20.7);
+  assert.ok(campus.drivingMinutes > 3);
+});
+
+test('drives one-way streets in their direction only', async () => {
+  const router = new OfflineRouter(osmData);
+  const [northbound] = await router.getTravelTimes(NODE_1001, [NODE_1031]);
+  const [southbound] = await router.getTravelTimes(NODE_1031, [NODE_1001]);
+
+  assert.equal(northbound.walkingMinutes, southbound.walkingMinutes);
+  assert.ok(northbound.drivingMinutes < southbound.drivingMinutes);
+});
+
+test('returns null for points off the road network', async () => {
+  const router = new OfflineRouter(osmData);
+  // ~6 miles north of the grid, past MAX_SNAP_MILES
+  const offNetwork = { latitude: 36.2, longitude: -97.07 };
+
+  const [toOff] = await router.getTravelTimes(NODE_1000, [offNetwork]);
+  const [fromOff] = await router.getTravelTimes(offNetwork, [NODE_1033]);
+
+  assert.deepEqual(toOff, { walkingMinutes: null, drivingMinutes: null });
+  assert.deepEqual(fromOff, { walkingMinutes: null, drivingMinutes: null });
+});
@@ -0,0 +1,69 @@
+/**
+ * fetchAllData sections: last-known-good data and fallbacks when a
+ * source fails
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeatherDataService } from '../services/weatherDataService.js';
+
+const options = { label: 'Test section', fallback: [], durationMs: 60 * 1000 };
+const failing = async () => {
+  throw new Error('Source unreachable');
+};
+
+test('saves every successful result as last-known-good', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const service = new WeatherDataService();
+
+  const first = await service.fetchSection('alerts', async () => ['first'], options);
+  assert.equal(first.status, 'fresh');
+  assert.deepEqual(first.data, ['first']);
+
+  // The saved copy is still fresh; the new data replaces it anyway
+  const second = await service.fetchSection('alerts', async () => ['second'], options);
+  assert.equal(second.status, 'fresh');
+  assert.deepEqual(second.data, ['second']);
+  assert.ok(second.fetchedAt >= first.fetchedAt);
+
+  const offline = await service.fetchSection('alerts', failing, options);
+  assert.equal(offline.status, 'stale');
+  assert.deepEqual(offline.data, ['second']);
+  assert.deepEqual(offline.fetchedAt, second.fetchedAt);
+  assert.equal(offline.error, 'Source unreachable');
+});
+
+test('falls back to the empty value without last-known-good data', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const service = new WeatherDataService();
+
+  const section = await service.fetchSection('reports', failing, options);
+
+  assert.equal(section.status, 'unavailable');
+  assert.deepEqual(section.data, []);
+  assert.equal(section.fetchedAt, null);
+  assert.equal(section.error, 'Source unreachable');
+});
+
+test('stale-while-revalidate serves the old data and saves the refresh', async (t) => {
+  const service = new WeatherDataService();
+  await service.fetchSection('outlook', async () => ({ day1: 'SLGT' }), { ...options, durationMs: -1 });
+
+  let refreshed;
+  const refresh = new Promise(resolve => {
+    refreshed = resolve;
+  });
+  const section = await service.fetchSection('outlook', async () => {
+    refreshed();
+    return { day1: 'MDT' };
+  }, { ...options, staleWhileRevalidate: true });
+
+  assert.equal(section.status, 'stale');
+  assert.deepEqual(section.data, { day1: 'SLGT' });
+
+  await refresh;
+  await new Promise(resolve => setImmediate(resolve));
+  const saved = await service.cache.getStale('last_good_outlook');
+  assert.deepEqual(saved.data.data, { day1: 'MDT' });
+  assert.equal(saved.isStale, false);
+});
@@ -0,0 +1,101 @@
+/**
+ * ShelterRegistry de-duplication and FEMA merge
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShelterRegistry, isSameShelter } from '../services/shelterRegistry.js';
+import { FEMASheltersService, SimpleCache } from '../services/weatherDataService.js';
+
+// Test shelters, not real places
+const point = (id, name, latitude, longitude, props = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [longitude, latitude] },
+  properties: { id, name, state: 'OK', tornadoRated: true, hours: 'Open during Tornado Warnings', ...props }
+});
+
+const registry = new ShelterRegistry({
+  type: 'FeatureCollection',
+  features: [
+    point('ok-test-001', 'Test Campus Storm Shelter', 36.12, -97.07, { capacity: 300 }),
+    point('ok-test-002', 'Test Library Safe Room', 36.13, -97.07, { access: 'private' })
+  ]
+});
+
+const fema = (id, name, latitude, longitude, extra = {}) => ({
+  id, name, latitude, longitude, isOpen: true, currentPopulation: 12, source: 'fema', ...extra
+});
+
+test('same place by proximity and name', () => {
+  const campus = { name: 'Test Campus Storm Shelter', latitude: 36.12, longitude: -97.07 };
+
+  // ~0.07 mi apart, same words once "storm shelter" is dropped
+  assert.equal(isSameShelter(campus, { name: 'TEST CAMPUS SHELTER', latitude: 36.121, longitude: -97.07 }), true);
+  // ~0.07 mi apart, different names
+  assert.equal(isSameShelter(campus, { name: 'Riverside Gym', latitude: 36.121, longitude: -97.07 }), false);
+  // Same spot, any name
+  assert.equal(isSameShelter(campus, { name: 'First Baptist Church', latitude: 36.12003, longitude: -97.07 }), true);
+  // Same name, ~0.7 mi apart
+  assert.equal(isSameShelter(campus, { name: 'Test Campus Shelter', latitude: 36.13, longitude: -97.07 }), false);
+  // No coordinates to compare
+  assert.equal(isSameShelter(campus, { name: 'Test Campus Storm Shelter', latitude: null, longitude: null }), false);
+});
+
+test('maps registry features to the FEMA shelter shape', () => {
+  const shelter = registry.get('ok-test-001');
+  assert.equal(shelter.source, 'local');
+  assert.equal(shelter.latitude, 36.12);
+  assert.equal(shelter.longitude, -97.07);
+  assert.equal(shelter.totalCapacity, 300);
+  assert.equal(shelter.isOpen, null);
+  assert.equal(registry.get('ok-test-002').isPublic, false);
+});
+
+test('merges FEMA duplicates into registry records and keeps the rest', () => {
+  const local = registry.getNearby(36.12, -97.07, 5);
+  const merged = registry.mergeWithFEMA(local, [
+    fema(901, 'TEST CAMPUS SHELTER', 36.121, -97.07, { distanceMiles: 0.1, totalCapacity: 250 }),
+    fema(902, 'Riverside Gym', 36.122, -97.07, { distanceMiles: 0.1 })
+  ]);
+
+  assert.deepEqual(merged.map(s => [s.id, s.source]), [
+    ['ok-test-001', 'local+fema'],
+    [902, 'fema'],
+    ['ok-test-002', 'local']
+  ]);
+
+  const [campus] = merged;
+  assert.equal(campus.femaId, 901);
+  assert.equal(campus.isOpen, true);
+  assert.equal(campus.currentPopulation, 12);
+  assert.equal(campus.totalCapacity, 250);
+  // Registry details survive the merge
+  assert.equal(campus.tornadoRated, true);
+  assert.equal(campus.hours, 'Open during Tornado Warnings');
+  // Inputs are not modified
+  assert.equal(local[0].source, 'local');
+});
+
+test('a FEMA shelter merges into one registry record at most', () => {
+  const merged = registry.mergeWithFEMA(registry.getNearby(36.12, -97.07, 5), [
+    fema(901, 'Test Campus Shelter', 36.12, -97.07, { distanceMiles: 0 }),
+    fema(903, 'Test Campus Shelter Annex', 36.12, -97.07, { distanceMiles: 0 })
+  ]);
+
+  assert.equal(merged.filter(s => s.source === 'local+fema').length, 1);
+  assert.equal(merged.find(s => s.id === 903).source, 'fema');
+});
+
+test('getNearbyShelters tags every shelter with its source', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({
+    features: [
+      { attributes: { OBJECTID: 901, SHELTER_NAME: 'TEST CAMPUS SHELTER' }, geometry: { x: -97.07, y: 36.121 } },
+      { attributes: { OBJECTID: 902, SHELTER_NAME: 'Riverside Gym' }, geometry: { x: -97.07, y: 36.122 } }
+    ]
+  })));
+
+  const service = new FEMASheltersService(new SimpleCache(), registry);
+  const shelters = await service.getNearbyShelters(36.12, -97.07, 5);
+
+  assert.deepEqual(shelters.map(s => s.source), ['local+fema', 'fema', 'local']);
+});
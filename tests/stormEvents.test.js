@@ -0,0 +1,84 @@
+/**
+ * NCEI Storm Events parsing, store and climatology tests against
+ * sample_api_responses/ncei_storm_events_details_synthetic.csv
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { parseStormEventsCSV, StormEventsStore, TornadoClimatology } from '../services/stormEvents.js';
+import { importStormEventsDirectory } from '../services/stormEventsImporter.js';
+
+const csvText = await fs.readFile(
+  new URL('../sample_api_responses/ncei_storm_events_details_synthetic.csv', import.meta.url), 'utf8'
+);
+
+test('parses tornado rows with local times converted to UTC', () => {
+  const events = parseStormEventsCSV(csvText);
+  assert.equal(events.length, 5);
+
+  const grady = events.find(event => event.eventId === 9000011);
+  // 19-MAY-25 18:56 CST-6
+  assert.equal(grady.beginTime.toISOString(), '2025-05-20T00:56:00.000Z');
+  assert.equal(grady.county, 'GRADY');
+  assert.equal(grady.efScale, 'EF4');
+  assert.equal(grady.rating, 4);
+  assert.equal(grady.damageProperty, 1500000);
+  assert.match(grady.narrative, /\nState Highway 4/);
+  assert.equal(grady.continuesInto.county, 'MCCLAIN');
+
+  // Pre-2007 F-scale and unrated tornadoes
+  assert.equal(events.find(event => event.eventId === 5690001).efScale, 'F1');
+  assert.equal(events.find(event => event.eventId === 9000021).rating, null);
+});
+
+test('filters by state and event type', () => {
+  assert.equal(parseStormEventsCSV(csvText, { states: ['kansas'] }).length, 1);
+  assert.equal(parseStormEventsCSV(csvText, { eventTypes: null, states: [40] }).length, 5);
+});
+
+test('builds a climatology from the store', () => {
+  const store = new StormEventsStore(parseStormEventsCSV(csvText, { states: ['OKLAHOMA'] }));
+  const climatology = new TornadoClimatology(store);
+
+  const [busiest] = climatology.countsByCountyMonth();
+  assert.equal(busiest.county, 'OKLAHOMA');
+  assert.equal(busiest.total, 2);
+
+  assert.deepEqual(climatology.efScaleDistribution().counts,
+    { EF0: 0, EF1: 1, EF2: 1, EF3: 0, EF4: 1, EF5: 0, EFU: 1 });
+  assert.deepEqual(climatology.tracksNear(35.254, -97.7, 5).map(track => track.eventId), [9000011, 9000012]);
+});
+
+test('survives a JSON round trip, imported years included', () => {
+  const store = new StormEventsStore(parseStormEventsCSV(csvText), [2024, 2025]);
+  const restored = StormEventsStore.fromJSON(JSON.parse(JSON.stringify(store)));
+
+  assert.equal(restored.size, store.size);
+  assert.ok(restored.get(9000011).beginTime instanceof Date);
+  assert.deepEqual(restored.years(), [2024, 2025]);
+});
+
+test('averages over every imported year, not just years with tornadoes', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storm-events-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const header = csvText.split('\n')[0] + '\n';
+  await fs.writeFile(path.join(directory, 'StormEvents_details-ftp_v1.0_d2025_c20260115.csv.gz'), gzipSync(csvText));
+  // Superseded by the c20260115 file above
+  await fs.writeFile(path.join(directory, 'StormEvents_details-ftp_v1.0_d2025_c20250601.csv'), header);
+  // A year with no Oklahoma tornadoes
+  await fs.writeFile(path.join(directory, 'StormEvents_details-ftp_v1.0_d2024_c20250301.csv'), header);
+
+  const { store, files } = await importStormEventsDirectory(directory, { states: ['OKLAHOMA'] });
+  assert.deepEqual(files.map(file => [file.year, file.events]), [[2024, 0], [2025, 4]]);
+  assert.deepEqual(store.years(), [2024, 2025]);
+
+  const monthly = new TornadoClimatology(store).countsByMonth({ from: '2024-01-01' });
+  assert.equal(monthly.years, 2);
+  assert.equal(monthly.total, 3);
+  assert.equal(monthly.byMonth[4].averagePerYear, 1);
+});
@@ -0,0 +1,220 @@
+/**
+ * Storm motion parsing, path projection and shelter recommendations
+ * that avoid the projected path
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+  parseStormMotion,
+  parseEventMotionDescription,
+  parseMotionFromText,
+  parseMeanStormMotion,
+  getCurrentStormPosition,
+  estimateStormArrival,
+  isHeadingTowardStorm
+} from '../services/stormMotion.js';
+import { parseSPCWatch } from '../services/watchParser.js';
+import { destinationPoint } from '../services/geoUtils.js';
+import { WeatherDataService } from '../services/weatherDataService.js';
+
+const watchProduct = await fs.readFile(
+  new URL('../sample_api_responses/spc_watch_synthetic_pds_tornado.txt', import.meta.url), 'utf8'
+);
+
+const NOW = new Date('2026-05-06T22:07:00Z');
+
+// Storm at 35.40N 97.70W moving east (from 270°) at 26 kt (~30 mph)
+const STORM = { latitude: 35.4, longitude: -97.7 };
+const motion = parseEventMotionDescription('2026-05-06T22:07:00-00:00...storm...270DEG...26KT...3540 9770');
+
+// A point `miles` from the storm along `bearing`
+const fromStorm = (bearing, miles) => destinationPoint(STORM.latitude, STORM.longitude, bearing, miles);
+
+test('parses the NWS eventMotionDescription', () => {
+  const parsed = parseEventMotionDescription('2026-05-06T22:07:00-00:00...storm...239DEG...31KT...3554 9753');
+
+  assert.equal(parsed.directionFromDeg, 239);
+  assert.equal(parsed.headingDeg, 59);
+  assert.equal(parsed.speedKt, 31);
+  assert.equal(parsed.speedMph, 36);
+  assert.deepEqual(parsed.time, new Date('2026-05-06T22:07:00Z'));
+  assert.deepEqual(parsed.positions, [{ latitude: 35.54, longitude: -97.53 }]);
+  assert.equal(parsed.source, 'eventMotionDescription');
+});
+
+test('parses every position of a line of storms, west of 100°W too', () => {
+  const parsed = parseEventMotionDescription('2026-05-06T22:07:00-00:00...storm...250DEG...40KT...3480 10215 3455 10190');
+
+  assert.deepEqual(parsed.positions, [
+    { latitude: 34.8, longitude: -102.15 },
+    { latitude: 34.55, longitude: -101.9 }
+  ]);
+  assert.equal(parseEventMotionDescription('storm moving east'), null);
+});
+
+test('parses storm motion from warning text', () => {
+  const mph = parseMotionFromText('At 507 PM CDT, a tornado was located near Tuttle, moving northeast at 35 mph.');
+  assert.equal(mph.headingDeg, 45);
+  assert.equal(mph.directionFromDeg, 225);
+  assert.equal(mph.speedMph, 35);
+  assert.equal(mph.speedKt, 30);
+  assert.deepEqual(mph.positions, []);
+
+  const knots = parseMotionFromText('...moving east-northeast at 40 knots.');
+  assert.equal(knots.headingDeg, 67.5);
+  assert.equal(knots.speedKt, 40);
+  assert.equal(knots.speedMph, 46);
+
+  assert.equal(parseMotionFromText('This storm is nearly stationary.'), null);
+});
+
+test('parses the mean storm motion vector of an SPC watch', () => {
+  const parsed = parseMeanStormMotion('MAX TOPS TO 500. MEAN STORM MOTION VECTOR 24030.');
+  assert.equal(parsed.directionFromDeg, 240);
+  assert.equal(parsed.headingDeg, 60);
+  assert.equal(parsed.speedKt, 30);
+  assert.equal(parsed.speedMph, 35);
+  assert.equal(parsed.source, 'watch');
+
+  assert.equal(parseMeanStormMotion('MAX TOPS TO 500.'), null);
+  assert.deepEqual(parseSPCWatch(watchProduct).stormMotion, parsed);
+});
+
+test('prefers eventMotionDescription, falls back to text and the polygon', () => {
+  const description = 'At 507 PM CDT, a tornado was located near Tuttle, moving east at 30 mph.';
+  const fromParameters = parseStormMotion({
+    description,
+    parameters: { eventMotionDescription: ['2026-05-06T22:07:00-00:00...storm...239DEG...31KT...3554 9753'] }
+  });
+  assert.equal(fromParameters.source, 'eventMotionDescription');
+  assert.equal(fromParameters.headingDeg, 59);
+
+  // Warning box drawn from the storm (west edge) out along its path
+  const polygon = {
+    type: 'Polygon',
+    coordinates: [[[-97.8, 35.3], [-97.4, 35.3], [-97.4, 35.5], [-97.8, 35.5], [-97.8, 35.3]]]
+  };
+  const fromText = parseStormMotion({ description, sent: '2026-05-06T22:07:00Z' }, polygon);
+  assert.equal(fromText.source, 'text');
+  assert.equal(fromText.headingDeg, 90);
+  assert.deepEqual(fromText.time, NOW);
+  assert.equal(fromText.positions.length, 1);
+  assert.ok(Math.abs(fromText.positions[0].longitude - -97.8) < 0.01);
+  assert.ok(fromText.positions[0].latitude > 35.3 && fromText.positions[0].latitude < 35.5);
+
+  assert.equal(parseStormMotion({ description: 'No motion given.' }), null);
+});
+
+test('moves the storm along its track since the report', () => {
+  const position = getCurrentStormPosition(motion, new Date(NOW.getTime() + 20 * 60 * 1000));
+  const expected = fromStorm(90, 10);
+
+  assert.ok(Math.abs(position.latitude - expected.latitude) < 0.001);
+  assert.ok(Math.abs(position.longitude - expected.longitude) < 0.001);
+});
+
+test('estimates arrival for points in the projected path only', () => {
+  const ahead = fromStorm(90, 10);
+  const inPath = estimateStormArrival(motion, ahead.latitude, ahead.longitude, NOW);
+  assert.equal(inPath.inPath, true);
+  assert.equal(inPath.minutes, 20);
+  assert.equal(inPath.distanceAheadMiles, 10);
+
+  // 10 miles ahead, 3 miles off the track: still inside the 10-mile band
+  const nearTrack = destinationPoint(ahead.latitude, ahead.longitude, 0, 3);
+  assert.equal(estimateStormArrival(motion, nearTrack.latitude, nearTrack.longitude, NOW).inPath, true);
+
+  // Outside the band, behind the storm, or beyond the projection
+  const offTrack = destinationPoint(ahead.latitude, ahead.longitude, 0, 8);
+  const behind = fromStorm(270, 5);
+  const far = fromStorm(90, 40);
+  for (const point of [offTrack, behind, far]) {
+    const arrival = estimateStormArrival(motion, point.latitude, point.longitude, NOW);
+    assert.equal(arrival.inPath, false);
+    assert.equal(arrival.minutes, null);
+  }
+
+  // No position to project from
+  assert.equal(estimateStormArrival(parseMotionFromText('moving east at 30 mph'), 35.4, -97.5, NOW), null);
+});
+
+test('flags routes that head toward the storm', () => {
+  const user = fromStorm(90, 10);
+  const towardStorm = destinationPoint(user.latitude, user.longitude, 280, 4);
+  const awayFromStorm = destinationPoint(user.latitude, user.longitude, 90, 4);
+  const sideways = destinationPoint(user.latitude, user.longitude, 180, 8);
+
+  assert.equal(isHeadingTowardStorm(motion, user.latitude, user.longitude, towardStorm.latitude, towardStorm.longitude, NOW), true);
+  assert.equal(isHeadingTowardStorm(motion, user.latitude, user.longitude, awayFromStorm.latitude, awayFromStorm.longitude, NOW), false);
+  assert.equal(isHeadingTowardStorm(motion, user.latitude, user.longitude, sideways.latitude, sideways.longitude, NOW), false);
+});
+
+test('recommendShelter skips shelters the storm reaches first and routes toward it', async () => {
+  const user = fromStorm(90, 10);
+  const shelter = (id, bearing, miles, etaMinutesDriving) => ({
+    id,
+    name: `Test Shelter ${id}`,
+    ...destinationPoint(user.latitude, user.longitude, bearing, miles),
+    distanceMiles: miles,
+    etaMinutesDriving,
+    isFull: false
+  });
+
+  const shelters = [
+    // West, between the user and the storm: the storm gets there in ~8 min
+    shelter('upstream', 270, 6, 10),
+    // Northwest, out toward the storm
+    shelter('toward', 300, 3, 5),
+    // East, in the path, but ~24 min before the storm arrives
+    shelter('downstream', 90, 2, 4),
+    // South, out of the path
+    shelter('south', 180, 8, 12),
+    shelter('full', 180, 9, 13)
+  ];
+  shelters[4].isFull = true;
+
+  const service = new WeatherDataService();
+  service.nws.getTornadoAlerts = async () => [{
+    id: 'w1',
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    sent: NOW,
+    vtec: [],
+    eventKey: null,
+    stormMotion: motion
+  }];
+  service.fema.getNearbyShelters = async () => shelters;
+
+  const result = await service.recommendShelter(user.latitude, user.longitude, { now: NOW });
+
+  assert.equal(result.recommended.id, 'south');
+  assert.deepEqual(result.shelters.map(s => s.id), ['south', 'downstream']);
+  assert.equal(result.shelters[1].stormArrivalMinutes, 24);
+
+  const reasons = Object.fromEntries(result.excluded.map(s => [s.id, s.reason]));
+  assert.match(reasons.upstream, /Storm reaches this shelter in about 8 min/);
+  assert.equal(reasons.toward, 'Route heads toward the storm');
+  assert.equal(reasons.full, 'Shelter is full');
+
+  assert.equal(result.storm.inPath, true);
+  assert.equal(result.storm.arrivalMinutesAtUser, 20);
+  assert.equal(result.storm.distanceMiles, 10);
+  assert.equal(result.alertsError, null);
+});
+
+test('recommendShelter picks the closest shelter without a warning', async () => {
+  const service = new WeatherDataService();
+  service.nws.getTornadoAlerts = async () => [];
+  service.fema.getNearbyShelters = async () => [
+    { id: 'near', latitude: 35.41, longitude: -97.5, distanceMiles: 1, etaMinutesDriving: 3, isFull: false },
+    { id: 'far', latitude: 35.5, longitude: -97.5, distanceMiles: 7, etaMinutesDriving: 12, isFull: false }
+  ];
+
+  const result = await service.recommendShelter(35.4, -97.5, { now: NOW });
+
+  assert.equal(result.recommended.id, 'near');
+  assert.deepEqual(result.excluded, []);
+  assert.equal(result.storm, null);
+});
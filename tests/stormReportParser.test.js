@@ -0,0 +1,103 @@
+/**
+ * stormReportParser tests against the combined SPC report file in
+ * sample_api_responses/spc_storm_reports_synthetic.csv
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  parseStormReportsCSV,
+  parseCSV,
+  groupReportsByType,
+  getConvectiveDay,
+  toConvectiveDay,
+  resolveReportTime
+} from '../services/stormReportParser.js';
+import { SPCStormReportsService, SimpleCache } from '../services/weatherDataService.js';
+
+const csvText = fs.readFileSync(
+  new URL('../sample_api_responses/spc_storm_reports_synthetic.csv', import.meta.url), 'utf8'
+);
+const reports = parseStormReportsCSV(csvText, { convectiveDay: '2026-05-06' });
+const { tornado, wind, hail } = groupReportsByType(reports);
+
+test('splits a combined file into its tornado, wind and hail sections', () => {
+  assert.equal(tornado.length, 3);
+  assert.equal(wind.length, 3);
+  // The Harrah hail report has no coordinates and is dropped
+  assert.equal(hail.length, 2);
+});
+
+test('keeps commas inside quoted comments', () => {
+  assert.equal(
+    tornado[0].comments,
+    'Tornado crossed I-35, damaging homes and a school. Rated EF2 by NWS survey. (OUN)'
+  );
+  assert.equal(tornado[0].office, 'OUN');
+  assert.equal(tornado[2].comments, 'Trained spotter reported a "rope" tornado over open fields. (OUN)');
+});
+
+test('joins unquoted comment commas and keeps quoted line breaks', () => {
+  assert.equal(tornado[1].comments, 'Brief tornado reported by storm chasers, no damage. (OUN)');
+  assert.equal(wind[1].comments, 'Measured gust at Tinker AFB. 6" limbs down nearby. (OUN)');
+  assert.equal(wind[2].comments, 'Report from mPING: 1-inch tree limbs broken;\nDelayed report via social media. (TSA)');
+  assert.equal(wind[2].office, 'TSA');
+});
+
+test('reads wind speeds in knots, with UNK as unknown', () => {
+  assert.equal(wind[0].speed, null);
+  assert.equal(wind[0].speedMph, null);
+  assert.equal(wind[1].speed, 65);
+  assert.equal(wind[1].speedMph, 75);
+  assert.equal(tornado[1].fScale, 'UNK');
+});
+
+test('reads hail sizes in hundredths of an inch', () => {
+  assert.equal(hail[0].size, 1.75);
+  assert.equal(hail[1].size, 1);
+});
+
+test('places times before 12Z on the next calendar day', () => {
+  assert.equal(tornado[0].time.toISOString(), '2026-05-06T22:15:00.000Z');
+  assert.equal(tornado[2].time.toISOString(), '2026-05-07T01:05:00.000Z');
+  // 1158Z is the last minute of the convective day
+  assert.equal(wind[2].time.toISOString(), '2026-05-07T11:58:00.000Z');
+  assert.ok(reports.every(report => report.convectiveDay === '2026-05-06'));
+});
+
+test('convective days run 12Z to 12Z', () => {
+  assert.equal(getConvectiveDay(new Date('2026-05-07T11:59:00Z')), '2026-05-06');
+  assert.equal(getConvectiveDay(new Date('2026-05-07T12:00:00Z')), '2026-05-07');
+  assert.equal(resolveReportTime('1200', '2026-12-31').toISOString(), '2026-12-31T12:00:00.000Z');
+  assert.equal(resolveReportTime('0130', '2026-12-31').toISOString(), '2027-01-01T01:30:00.000Z');
+  assert.equal(resolveReportTime('2460', '2026-05-06'), null);
+});
+
+test('a Date is looked up on the convective day it falls in', () => {
+  assert.equal(toConvectiveDay(new Date('2026-05-07T03:00:00Z')), '2026-05-06');
+  assert.equal(toConvectiveDay(new Date('2026-05-07T12:00:00Z')), '2026-05-07');
+  assert.equal(toConvectiveDay('2026-05-07'), '2026-05-07');
+});
+
+test('getReportsForDate fetches the convective day of a Date', async (t) => {
+  const urls = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    urls.push(url);
+    return new Response(csvText);
+  });
+
+  const spc = new SPCStormReportsService(new SimpleCache());
+  const reports = await spc.getReportsForDate(new Date('2026-05-07T03:00:00Z'), {
+    now: new Date('2026-05-08T00:00:00Z')
+  });
+
+  assert.deepEqual(urls.map(url => url.split('/').pop()).sort(), [
+    '260506_rpts_hail.csv', '260506_rpts_torn.csv', '260506_rpts_wind.csv'
+  ]);
+  assert.equal(reports.tornado[0].time.toISOString(), '2026-05-06T22:15:00.000Z');
+});
+
+test('parseCSV handles CRLF, blank lines and doubled quotes', () => {
+  assert.deepEqual(parseCSV('a,"b,c",d\r\n\r\n"x""y",z'), [['a', 'b,c', 'd'], ['x"y', 'z']]);
+});
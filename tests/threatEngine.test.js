@@ -0,0 +1,52 @@
+/**
+ * ThreatEngine metrics for warnings followed through their VTEC lifecycle
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeMetrics, evaluateThreat } from '../services/threatEngine.js';
+import { parseVTECList, getPrimaryVTEC } from '../services/vtec.js';
+
+// Mapped NWS alert, as NWSAlertsService.getActiveAlerts() builds it
+function tornadoWarning(id, vtecString, sent, extra = {}) {
+  const vtec = parseVTECList([vtecString]);
+  return {
+    id,
+    event: 'Tornado Warning',
+    isTornadoWarning: true,
+    messageType: 'Alert',
+    sent: new Date(sent),
+    vtec,
+    eventKey: getPrimaryVTEC(vtec).eventKey,
+    ...extra
+  };
+}
+
+const ISSUED = tornadoWarning('w1', '/O.NEW.KOUN.TO.W.0012.260506T2200Z-260506T2245Z/', '2026-05-06T22:00:00Z');
+const CONTINUED = tornadoWarning('w2', '/O.CON.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/', '2026-05-06T22:15:00Z');
+const CANCELLED = tornadoWarning('w3', '/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/', '2026-05-06T22:20:00Z',
+  { messageType: 'Cancel' });
+
+test('counts a warning and its follow-up statement as one warning', () => {
+  const metrics = computeMetrics({ alerts: [ISSUED, CONTINUED] });
+  assert.equal(metrics.tornadoWarnings, 1);
+  assert.equal(metrics.insideTornadoWarnings, 1);
+});
+
+test('does not count a cancelled warning', () => {
+  const metrics = computeMetrics({ alerts: [ISSUED, CONTINUED, CANCELLED] });
+  assert.equal(metrics.tornadoWarnings, 0);
+  assert.equal(metrics.insideTornadoWarnings, 0);
+
+  assert.equal(evaluateThreat({ alerts: [ISSUED] }).level, 'EXTREME');
+  assert.notEqual(evaluateThreat({ alerts: [ISSUED, CANCELLED] }).level, 'EXTREME');
+});
+
+test('uses the latest statement of the warning', () => {
+  // The follow-up statement's smaller polygon no longer covers the location
+  const outside = { ...CONTINUED, isInsidePolygon: false };
+  const metrics = computeMetrics({ alerts: [ISSUED, outside] });
+
+  assert.equal(metrics.tornadoWarnings, 1);
+  assert.equal(metrics.insideTornadoWarnings, 0);
+});
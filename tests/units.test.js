@@ -0,0 +1,147 @@
+/**
+ * Unit parsing and conversion, and the threat thresholds that depend on it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseUnit,
+  getDimension,
+  convert,
+  systemUnit,
+  toSystem,
+  toCanonical,
+  thresholdIn
+} from '../services/units.js';
+import { ThreatEngine, THREAT_RULES } from '../services/threatEngine.js';
+import { openMeteoEnvironment } from '../services/weatherDataService.js';
+
+function close(actual, expected, tolerance = 0.01) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('reads NWS WMO and NWS unit codes', () => {
+  assert.equal(parseUnit('wmoUnit:degC'), 'degC');
+  assert.equal(parseUnit('wmoUnit:km_h-1'), 'km/h');
+  assert.equal(parseUnit('wmoUnit:m_s-1'), 'm/s');
+  assert.equal(parseUnit('wmoUnit:percent'), 'percent');
+  assert.equal(parseUnit('wmoUnit:J_kg-1'), 'J/kg');
+  assert.equal(parseUnit('wmoUnit:degree_(angle)'), 'deg');
+  assert.equal(parseUnit('nwsUnit:kt'), 'kn');
+});
+
+test('reads Open-Meteo unit labels', () => {
+  assert.equal(parseUnit('°F'), 'degF');
+  assert.equal(parseUnit('°C'), 'degC');
+  assert.equal(parseUnit('mph'), 'mph');
+  assert.equal(parseUnit('km/h'), 'km/h');
+  assert.equal(parseUnit('inch'), 'in');
+  assert.equal(parseUnit('%'), 'percent');
+  assert.equal(parseUnit('m²/s²'), 'm2/s2');
+});
+
+test('returns null for unknown or missing units', () => {
+  assert.equal(parseUnit('wmoUnit:furlong'), null);
+  assert.equal(parseUnit(''), null);
+  assert.equal(parseUnit(undefined), null);
+  assert.equal(getDimension('wmoUnit:furlong'), null);
+  assert.equal(getDimension('wmoUnit:km_h-1'), 'speed');
+});
+
+test('converts temperatures with their offsets', () => {
+  assert.equal(convert(20, 'degC', 'degF'), 68);
+  close(convert(65, '°F', 'degC'), 18.33);
+  close(convert(300, 'K', 'degC'), 26.85);
+  close(convert(32, 'degF', 'K'), 273.15);
+});
+
+test('converts speeds between m/s, km/h, mph and knots', () => {
+  assert.equal(convert(36, 'km/h', 'm/s'), 10);
+  close(convert(100, 'km/h', 'mph'), 62.14);
+  close(convert(50, 'kn', 'mph'), 57.54);
+  close(convert(10, 'wmoUnit:m_s-1', 'kt'), 19.44);
+});
+
+test('converts precipitation, length and pressure', () => {
+  close(convert(1, 'inch', 'mm'), 25.4);
+  close(convert(1000, 'm', 'ft'), 3280.84);
+  close(convert(1013.25, 'hPa', 'inHg'), 29.92);
+});
+
+test('passes null through and rejects unknown or mismatched units', () => {
+  assert.equal(convert(null, 'degC', 'degF'), null);
+  assert.equal(convert(undefined, 'degC', 'degF'), null);
+  assert.throws(() => convert(1, 'furlong', 'm'), /Unknown unit: furlong/);
+  assert.throws(() => convert(1, 'degC', 'mph'), /Cannot convert degC to mph/);
+});
+
+test('converts into the requested unit system', () => {
+  assert.deepEqual(toSystem(20, 'degC', 'imperial'), { value: 68, unit: 'degF' });
+  assert.deepEqual(toSystem(10, 'm/s', 'metric'), { value: 36, unit: 'km/h' });
+  assert.deepEqual(toCanonical(36, 'wmoUnit:km_h-1'), { value: 10, unit: 'm/s' });
+
+  // Dimensions without a system unit keep their own
+  assert.equal(systemUnit('J/kg', 'imperial'), 'J/kg');
+  assert.deepEqual(toSystem(45, '%', 'imperial'), { value: 45, unit: 'percent' });
+
+  assert.throws(() => toSystem(1, 'degC', 'nautical'), /Unknown unit system: nautical/);
+});
+
+test('converts a threshold into the unit of the value it is compared against', () => {
+  close(thresholdIn({ value: 65, unit: 'degF' }, 'degC'), 18.33);
+  close(thresholdIn({ value: 50, unit: 'kn' }, 'mph'), 57.54);
+  assert.equal(thresholdIn({ value: 18, unit: 'degC' }, 'degC'), 18);
+});
+
+test('threat rules convert thresholds into the metric unit when they load', () => {
+  const engine = new ThreatEngine({
+    ...THREAT_RULES,
+    rules: [{
+      id: 'moisture-65f',
+      group: 'moisture',
+      when: [{ metric: 'dewpointC', op: '>=', value: 65, unit: 'degF' }],
+      points: 10
+    }]
+  });
+
+  const [condition] = engine.rules[0].when;
+  assert.equal(condition.unit, 'degC');
+  close(condition.value, 18.33);
+
+  // 18.5°C is over 65°F, 18°C isn't
+  assert.equal(engine.evaluate({ environment: { dewpointC: 18.5 } }).score, 10);
+  assert.equal(engine.evaluate({ environment: { dewpointC: 18 } }).score, 0);
+});
+
+test('threat rules without a unit, or with one of the wrong dimension, are rejected', () => {
+  const withCondition = condition => ({
+    ...THREAT_RULES,
+    rules: [{ id: 'bad', group: 'moisture', when: [condition], points: 10 }]
+  });
+
+  assert.throws(
+    () => new ThreatEngine(withCondition({ metric: 'dewpointC', op: '>=', value: 18 })),
+    /Threat rule bad: dewpointC threshold needs a unit \(degC\)/
+  );
+  assert.throws(
+    () => new ThreatEngine(withCondition({ metric: 'dewpointC', op: '>=', value: 18, unit: 'mph' })),
+    /Threat rule bad: Cannot convert mph to degC/
+  );
+});
+
+test('Open-Meteo environment inputs are converted from the response units', () => {
+  const metrics = units => ({
+    units,
+    current: { convective_inhibition: null },
+    peakValues: { maxCAPE_7day: 2000, maxDewpoint: units.temperature === 'degF' ? 65 : 18.33, maxWindGust_16day: 80 },
+    highRiskDays: []
+  });
+
+  const imperial = openMeteoEnvironment(metrics({ temperature: 'degF', speed: 'mph' }));
+  close(imperial.dewpointC, 18.33);
+  assert.equal(imperial.windGustMph, 80);
+
+  const metric = openMeteoEnvironment(metrics({ temperature: 'degC', speed: 'km/h' }));
+  close(metric.dewpointC, 18.33);
+  close(metric.windGustMph, 49.71);
+});
@@ -0,0 +1,125 @@
+/**
+ * P-VTEC parsing and grouping alerts into events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseVTEC,
+  parseVTECList,
+  getPrimaryVTEC,
+  groupAlertsByEvent,
+  getActiveEventAlerts
+} from '../services/vtec.js';
+
+// Mapped NWS alert, as NWSAlertsService.getActiveAlerts() builds it
+function alert(id, vtecStrings, sent, extra = {}) {
+  const vtec = parseVTECList(vtecStrings);
+  return {
+    id,
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    sent: new Date(sent),
+    vtec,
+    eventKey: getPrimaryVTEC(vtec)?.eventKey || null,
+    ...extra
+  };
+}
+
+test('parses a P-VTEC string', () => {
+  const vtec = parseVTEC('/O.EXT.KOUN.TO.W.0012.000000T0000Z-260506T2315Z/');
+
+  assert.equal(vtec.action, 'EXT');
+  assert.equal(vtec.office, 'KOUN');
+  assert.equal(vtec.phenomena, 'TO');
+  assert.equal(vtec.significance, 'W');
+  assert.equal(vtec.etn, 12);
+  assert.equal(vtec.begin, null);
+  assert.equal(vtec.end.toISOString(), '2026-05-06T23:15:00.000Z');
+  assert.equal(vtec.eventKey, 'KOUN.TO.W.0012');
+  assert.equal(vtec.isEnding, false);
+
+  assert.equal(parseVTEC('/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2315Z/').isEnding, true);
+  assert.equal(parseVTEC('/KOUN.0012.NO.260506T2200Z.000000T0000Z.000000T0000Z.OO/'), null);
+  assert.equal(parseVTECList(['not vtec', null, '/O.NEW.KTSA.SV.W.0034.260506T2200Z-260506T2300Z/']).length, 1);
+});
+
+test('a continuing code is primary over a cancelled one', () => {
+  const vtecs = parseVTECList([
+    '/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/',
+    '/O.CON.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/'
+  ]);
+
+  assert.equal(getPrimaryVTEC(vtecs).action, 'CON');
+  assert.equal(getPrimaryVTEC([vtecs[0]]).action, 'CAN');
+  assert.equal(getPrimaryVTEC([]), null);
+});
+
+// The same ETN issued by two offices, plus the watch with that number
+const NORMAN = [
+  alert('oun-new', ['/O.NEW.KOUN.TO.W.0012.260506T2200Z-260506T2245Z/'], '2026-05-06T22:00:00Z'),
+  alert('oun-con', ['/O.CON.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/'], '2026-05-06T22:15:00Z',
+    { messageType: 'Update' }),
+  alert('oun-ext', ['/O.EXT.KOUN.TO.W.0012.000000T0000Z-260506T2315Z/'], '2026-05-06T22:40:00Z',
+    { messageType: 'Update' })
+];
+const TULSA = [
+  alert('tsa-new', ['/O.NEW.KTSA.TO.W.0012.260506T2210Z-260506T2300Z/'], '2026-05-06T22:10:00Z'),
+  alert('tsa-can', ['/O.CAN.KTSA.TO.W.0012.000000T0000Z-260506T2300Z/'], '2026-05-06T22:30:00Z',
+    { messageType: 'Cancel' })
+];
+const WATCH = alert('oun-watch', ['/O.NEW.KOUN.TO.A.0012.260506T2000Z-260507T0300Z/'], '2026-05-06T20:00:00Z',
+  { event: 'Tornado Watch' });
+
+test('groups CON/EXT/CAN statements by office, phenomena, significance and ETN', () => {
+  // Feed order is not time order
+  const events = groupAlertsByEvent([TULSA[1], NORMAN[2], WATCH, NORMAN[0], TULSA[0], NORMAN[1]]);
+  const byKey = Object.fromEntries(events.map(event => [event.eventKey, event]));
+
+  assert.deepEqual(events.map(event => event.eventKey), ['KOUN.TO.W.0012', 'KTSA.TO.W.0012', 'KOUN.TO.A.0012']);
+
+  const norman = byKey['KOUN.TO.W.0012'];
+  assert.equal(norman.status, 'ACTIVE');
+  assert.equal(norman.action, 'EXT');
+  assert.equal(norman.latest.id, 'oun-ext');
+  assert.deepEqual(norman.products.map(product => product.id), ['oun-new', 'oun-con', 'oun-ext']);
+  assert.deepEqual(norman.issued, NORMAN[0].sent);
+  assert.equal(norman.ends.toISOString(), '2026-05-06T23:15:00.000Z');
+
+  const tulsa = byKey['KTSA.TO.W.0012'];
+  assert.equal(tulsa.status, 'CANCELLED');
+  assert.equal(tulsa.office, 'KTSA');
+
+  assert.equal(byKey['KOUN.TO.A.0012'].status, 'ACTIVE');
+});
+
+test('keeps the latest product of each active event', () => {
+  const feed = [...NORMAN, ...TULSA, WATCH];
+  assert.deepEqual(getActiveEventAlerts(feed).map(a => a.id), ['oun-ext', 'oun-watch']);
+
+  // Norman cancels its warning too
+  const cancelled = alert('oun-can', ['/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2315Z/'], '2026-05-06T22:50:00Z',
+    { messageType: 'Cancel' });
+  assert.deepEqual(getActiveEventAlerts([...feed, cancelled]).map(a => a.id), ['oun-watch']);
+});
+
+test('a partial cancellation leaves the warning active', () => {
+  const partial = alert('oun-partial', [
+    '/O.CAN.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/',
+    '/O.CON.KOUN.TO.W.0012.000000T0000Z-260506T2245Z/'
+  ], '2026-05-06T22:20:00Z', { messageType: 'Update' });
+
+  const [event] = groupAlertsByEvent([NORMAN[0], partial]);
+  assert.equal(event.status, 'ACTIVE');
+  assert.equal(event.action, 'CON');
+  assert.deepEqual(getActiveEventAlerts([NORMAN[0], partial]).map(a => a.id), ['oun-partial']);
+});
+
+test('alerts without VTEC are their own events', () => {
+  const statement = { id: 'sps-1', event: 'Special Weather Statement', sent: new Date('2026-05-06T21:00:00Z') };
+  const [event] = groupAlertsByEvent([statement]);
+
+  assert.equal(event.eventKey, 'sps-1');
+  assert.equal(event.status, 'ACTIVE');
+  assert.equal(event.etn, null);
+});
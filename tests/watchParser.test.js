@@ -0,0 +1,144 @@
+/**
+ * Watch objects from SPC watch products and NWS watch alerts,
+ * against sample_api_responses/spc_watch_synthetic_pds_tornado.txt
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+  parseSPCWatch,
+  watchFromAlert,
+  mergeWatches,
+  isWatchActive,
+  isPointInWatch,
+  formatWatchTitle
+} from '../services/watchParser.js';
+
+const product = await fs.readFile(
+  new URL('../sample_api_responses/spc_watch_synthetic_pds_tornado.txt', import.meta.url), 'utf8'
+);
+
+// NWS watch alert (WCN) properties for one office's counties
+function wcn(vtec, counties, extra = {}) {
+  return {
+    event: 'Tornado Watch',
+    messageType: 'Alert',
+    sent: '2026-04-30T22:30:00Z',
+    headline: 'Tornado Watch issued April 30 at 5:30PM CDT until April 30 at 10:00PM CDT',
+    description: 'THE NATIONAL WEATHER SERVICE HAS ISSUED TORNADO WATCH 123 IN EFFECT UNTIL 10 PM CDT',
+    areaDesc: counties.map(([name]) => name).join('; '),
+    geocode: { UGC: counties.map(([, code]) => code) },
+    parameters: { VTEC: [vtec] },
+    ...extra
+  };
+}
+
+const CADDO = ['Caddo, OK', 'OKC015'];
+const CANADIAN = ['Canadian, OK', 'OKC017'];
+const GRADY = ['Grady, OK', 'OKC051'];
+const CHILDRESS = ['Childress, TX', 'TXC075'];
+
+test('parses the SPC watch product', () => {
+  const watch = parseSPCWatch(product);
+
+  assert.equal(watch.number, 123);
+  assert.equal(watch.type, 'TORNADO');
+  assert.equal(watch.isPDS, true);
+  // SAW: 302230Z - 010300Z
+  assert.equal(watch.validFrom.toISOString(), '2026-04-30T22:30:00.000Z');
+  assert.equal(watch.validUntil.toISOString(), '2026-05-01T03:00:00.000Z');
+  assert.deepEqual(watch.states, ['OK', 'TX']);
+  assert.equal(watch.areaDescription, 'Western and Central Oklahoma Northwest Texas');
+  assert.deepEqual(watch.sources, ['spc']);
+
+  // Watch box along Woodward - Altus
+  assert.equal(isPointInWatch(watch, 35.5, -99.0), true);
+  assert.equal(isPointInWatch(watch, 35.4676, -97.5164), false);
+  assert.equal(formatWatchTitle(watch), 'PDS Tornado Watch #123 until 10 PM');
+});
+
+test('returns null for products and alerts that are not watches', () => {
+  assert.equal(parseSPCWatch('Mesoscale Discussion 0612'), null);
+  assert.equal(watchFromAlert({
+    event: 'Tornado Warning',
+    parameters: { VTEC: ['/O.NEW.KOUN.TO.W.0012.260430T2300Z-260430T2345Z/'] }
+  }), null);
+});
+
+test('builds a watch from a WCN alert with TO.A VTEC', () => {
+  const watch = watchFromAlert(wcn('/O.NEW.KOUN.TO.A.0123.260430T2230Z-260501T0300Z/', [CADDO, CANADIAN]));
+
+  assert.equal(watch.number, 123);
+  assert.equal(watch.type, 'TORNADO');
+  assert.equal(watch.isPDS, false);
+  assert.equal(watch.validUntil.toISOString(), '2026-05-01T03:00:00.000Z');
+  assert.deepEqual(watch.counties, ['Caddo, OK', 'Canadian, OK']);
+  assert.deepEqual(watch.countyCodes, ['OKC015', 'OKC017']);
+  assert.deepEqual(watch.states, ['OK']);
+  assert.equal(watch.polygon, null);
+  assert.equal(watch.isCancelled, false);
+  assert.equal(isPointInWatch(watch, 35.5, -98.0), null);
+});
+
+test('takes the watch number from the text without VTEC', () => {
+  const props = wcn(null, [CADDO]);
+  delete props.parameters;
+
+  assert.equal(watchFromAlert(props).number, 123);
+});
+
+test('marks cancelled watch alerts', () => {
+  const cancel = watchFromAlert(wcn('/O.CAN.KOUN.TO.A.0123.000000T0000Z-260501T0300Z/', [CADDO], {
+    messageType: 'Cancel'
+  }));
+  assert.equal(cancel.isCancelled, true);
+  assert.equal(isWatchActive(cancel), false);
+});
+
+test('merges SPC and per-office watches, keeping only live counties after a partial cancel', () => {
+  const watches = mergeWatches([
+    watchFromAlert(wcn('/O.CON.KOUN.TO.A.0123.000000T0000Z-260501T0300Z/', [CANADIAN, GRADY], {
+      messageType: 'Update'
+    })),
+    watchFromAlert(wcn('/O.CAN.KOUN.TO.A.0123.000000T0000Z-260501T0300Z/', [CADDO], {
+      messageType: 'Cancel'
+    })),
+    parseSPCWatch(product),
+    watchFromAlert(wcn('/O.NEW.KLUB.TO.A.0123.260430T2230Z-260501T0300Z/', [CHILDRESS]))
+  ]);
+
+  assert.equal(watches.length, 1);
+  const [watch] = watches;
+  assert.deepEqual(watch.counties, ['Canadian, OK', 'Grady, OK', 'Childress, TX']);
+  assert.deepEqual(watch.countyCodes, ['OKC017', 'OKC051', 'TXC075']);
+  assert.deepEqual(watch.sources, ['nws', 'spc']);
+  assert.deepEqual(watch.states, ['OK', 'TX']);
+  assert.equal(watch.isPDS, true);
+  assert.ok(watch.polygon);
+  assert.equal(watch.isCancelled, false);
+  assert.equal(isWatchActive(watch, new Date('2026-05-01T02:00:00Z')), true);
+  assert.equal(isWatchActive(watch, new Date('2026-05-01T03:01:00Z')), false);
+});
+
+test('a watch every office has cancelled is cancelled', () => {
+  const cancel = counties => watchFromAlert(wcn('/O.CAN.KOUN.TO.A.0123.000000T0000Z-260501T0300Z/', counties, {
+    messageType: 'Cancel'
+  }));
+  const [watch] = mergeWatches([cancel([CADDO]), cancel([CANADIAN, GRADY])]);
+
+  assert.equal(watch.isCancelled, true);
+  assert.equal(isWatchActive(watch), false);
+});
+
+test('formats watch titles', () => {
+  const severe = watchFromAlert({
+    ...wcn('/O.NEW.KOUN.SV.A.0124.260430T2330Z-260501T0430Z/', [CADDO]),
+    event: 'Severe Thunderstorm Watch'
+  });
+
+  assert.equal(severe.type, 'SEVERE_THUNDERSTORM');
+  assert.equal(formatWatchTitle(severe), 'Severe Thunderstorm Watch #124 until 11:30 PM');
+  assert.equal(formatWatchTitle(severe, { timeZone: 'America/Denver' }), 'Severe Thunderstorm Watch #124 until 10:30 PM');
+  assert.equal(formatWatchTitle({ ...severe, validUntil: null }), 'Severe Thunderstorm Watch #124');
+});
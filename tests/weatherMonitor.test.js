@@ -0,0 +1,68 @@
+/**
+ * WeatherMonitor location changes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WeatherMonitor } from '../services/weatherMonitor.js';
+import { MCDService, SimpleCache } from '../services/weatherDataService.js';
+
+// Covers both test locations (central Oklahoma)
+const MCD = {
+  number: '0612',
+  watchProbability: 40,
+  polygon: { type: 'Polygon', coordinates: [[[-99, 34], [-95, 34], [-95, 37], [-99, 37], [-99, 34]]] }
+};
+
+function createService(threatLevel = 'NONE') {
+  const mcd = new MCDService(new SimpleCache());
+  const pending = [];
+  // Each getActiveMCDs() call waits until the test releases it
+  mcd.getActiveMCDs = () => new Promise(resolve => pending.push(() => resolve([MCD])));
+
+  return {
+    mcd,
+    release: (index = 0) => pending.splice(index, 1)[0](),
+    calculateThreatLevel: () => threatLevel
+  };
+}
+
+test('a poll from the old location does not reset the new location\'s MCD tracking', async () => {
+  const service = createService();
+  const monitor = new WeatherMonitor(service, { latitude: 35.4676, longitude: -97.5164 });
+  const announced = [];
+  monitor.on('mcd:new', mcd => announced.push(mcd.number));
+
+  const stale = monitor.pollMCDs();
+  monitor.setLocation(36.1156, -97.0584);
+
+  // The new location's first poll finishes before the stale one
+  const first = monitor.pollMCDs();
+  service.release(1);
+  await first;
+  service.release();
+  await stale;
+
+  const second = monitor.pollMCDs();
+  service.release();
+  await second;
+
+  assert.deepEqual(announced, ['0612']);
+  assert.deepEqual(monitor.getState().mesoscaleDiscussions.map(mcd => mcd.number), ['0612']);
+});
+
+test('setLocation drops the old location\'s threat level and polling mode', () => {
+  const monitor = new WeatherMonitor(createService('HIGH'), { latitude: 35.4676, longitude: -97.5164 });
+  const changes = [];
+  monitor.on('threat:changed', change => changes.push(change));
+
+  monitor.updateThreatLevel();
+  assert.equal(monitor.getState().mode, 'active');
+
+  monitor.setLocation(36.1156, -97.0584);
+
+  const state = monitor.getState();
+  assert.equal(state.threatLevel, 'NONE');
+  assert.equal(state.mode, 'normal');
+  assert.deepEqual(changes.at(-1), { previous: 'HIGH', current: 'NONE' });
+});